@@ -0,0 +1,30 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SqliteStorageEngine } from '../services/storage/sqlite-engine.js';
+
+// 사용법: npm run import:sqlite -- [--force]
+// LOCAL_DATA_DIR 의 *.json 파일을 SQLITE_PATH 데이터베이스로 가져옵니다.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const dataDir = path.resolve(
+  process.env.LOCAL_DATA_DIR || path.join(__dirname, '..', '..', '..', 'local-data')
+);
+const sqlitePath = path.resolve(process.env.SQLITE_PATH || path.join(dataDir, 'writingresearch.db'));
+const force = process.argv.includes('--force');
+
+const engine = new SqliteStorageEngine(sqlitePath);
+try {
+  await engine.init();
+  const result = await engine.importFromJsonDir(dataDir, { force });
+  if (result.skipped) {
+    console.log(`[import] 이미 가져온 데이터베이스입니다: ${sqlitePath} (다시 가져오려면 --force)`);
+  } else {
+    console.log(
+      `[import] ${dataDir} -> ${sqlitePath}: ${result.imported.join(', ') || '가져올 파일 없음'}`
+    );
+  }
+} catch (err) {
+  console.error('[import] 실패:', err.message);
+  process.exitCode = 1;
+} finally {
+  engine.close();
+}
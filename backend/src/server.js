@@ -5,9 +5,158 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
-import OpenAI from 'openai';
 import ExcelJS from 'exceljs';
-import { Storage } from '@google-cloud/storage';
+import { createObjectStore, createStorageEngine } from './services/storage/index.js';
+import {
+  SnapshotStore,
+  collectSnapshotData,
+  createSnapshot,
+  diffSnapshotData,
+  isSnapshotId,
+  pipeSnapshotArchive,
+  restoreSnapshotData,
+  rewriteSnapshot,
+} from './services/snapshots.js';
+import {
+  anonymizeMessage,
+  anonymizeSessionRecord,
+  collectIdentities,
+  createPseudonymizer,
+  createScrubber,
+  generatePseudonymSalt,
+  applyRetentionToData,
+  lastMessageTs,
+  removeStudentFromData,
+  sanitizePrivacySettings,
+  sessionLastActivity,
+} from './services/privacy.js';
+import { REVISION_FIELD_LABELS, listRevisions, recordRevision } from './services/revisions.js';
+import { applyTelemetryBatch, sanitizeTelemetryBatch, summarizeTelemetry } from './services/telemetry.js';
+import { applyAutosave, clearAutosave, pendingAutosave } from './services/autosave.js';
+import { STAGE_EVENT_LABELS, recordStageEvent, summarizeStageTimes } from './services/stage-events.js';
+import { openSseStream } from './services/sse.js';
+import { AI_PROVIDER_IDS, buildChatMessages, getAiProvider } from './services/ai/index.js';
+import {
+  defaultResilience,
+  mergeResilience,
+  runWithResilience,
+  sanitizeResilience,
+} from './services/ai/resilience.js';
+import { sanitizeStageAi } from './services/ai/stage-settings.js';
+import {
+  defaultMockSettings,
+  mergeMockSettings,
+  sanitizeMockSettings,
+  validateMockReplies,
+} from './services/ai/mock.js';
+import {
+  USAGE_PURPOSE_LABELS,
+  checkUsageLimits,
+  createUsageEntry,
+  defaultUsageLimits,
+  estimateCost,
+  estimateTokens,
+  mergeUsageLimits,
+  sanitizeUsageLimits,
+  summarizeUsage,
+} from './services/ai/usage.js';
+import {
+  editSummary,
+  getStoredSummary,
+  hashTranscript,
+  isSummaryReusable,
+  listSummaries,
+  storeSummary,
+} from './services/ai/summaries.js';
+import {
+  PROMPT_VARIABLES,
+  findUnknownPromptVariables,
+  renderPromptTemplate,
+  usesPromptVariable,
+} from './services/ai/prompt-template.js';
+import {
+  buildScoringMessage,
+  buildScoringPrompt,
+  describeScores,
+  hashScoringSource,
+  isScoreCurrent,
+  mockScore,
+  overrideScores,
+  parseScoringReply,
+  storeScores,
+  validateScoreOverrides,
+} from './services/ai/scoring.js';
+import { createOpenAiModerationChecker } from './services/ai/moderation.js';
+import {
+  BLOCKED_AI_REPLY,
+  MODERATION_CONTEXT_SIZE,
+  MODERATION_STATUSES,
+  createKeywordChecker,
+  defaultModerationSettings,
+  listModerationFlags,
+  recordModerationFlag,
+  reviewModerationFlag,
+  runModerationCheckers,
+  sanitizeModerationSettings,
+  validateModerationSettings,
+} from './services/moderation.js';
+import {
+  RUBRIC_SCORERS,
+  RUBRIC_SCORER_LABELS,
+  collectRubricTexts,
+  exampleRubric,
+  sanitizeRubric,
+  validateRubric,
+} from './services/rubric.js';
+import {
+  DEBATE_STAGES,
+  STANCE_LABELS,
+  buildStanceInstruction,
+  describeStances,
+  isDebateStage,
+  normalizeStance,
+  resolveStance,
+  setStance,
+  studentStanceBlockReason,
+} from './services/stance.js';
+import {
+  defaultWorkflow,
+  describeWorkflow,
+  finalStageFor,
+  jumpTarget,
+  nextStage,
+  previousStage,
+  sanitizeWorkflow,
+  stageForSavedField,
+  validateWorkflow,
+} from './services/workflow.js';
+import {
+  DEFAULT_COHORT_NAME,
+  cohortSessionKey,
+  createCohortRecord,
+  isCohortCode,
+  normalizeCohortCode,
+  renameCohort,
+  sanitizeCohortOverrides,
+  summarizeCohort,
+} from './services/cohorts.js';
+import {
+  assertStageOpen,
+  defaultPacing,
+  describePacing,
+  sanitizePacing,
+  stageLock,
+  validatePacing,
+} from './services/pacing.js';
+import {
+  assignPins,
+  carryOverPins,
+  createLoginThrottle,
+  createStudentToken,
+  generateTokenSecret,
+  verifyRosterLogin,
+  verifyStudentToken,
+} from './services/student-auth.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,10 +171,34 @@ const PRESENCE_TTL_MS = 20_000;
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '159753tt!';
 const ADMIN_SESSION_TTL_MS = 1000 * 60 * 60 * 12;
 const adminTokens = new Map();
+// 학생 토큰 서명 키 (지정하지 않으면 처음 로그인할 때 생성해 관리자 설정에 저장)
+const STUDENT_TOKEN_SECRET = process.env.STUDENT_TOKEN_SECRET || '';
+const STUDENT_TOKEN_TTL_MS = 1000 * 60 * 60 * (parseEnvNumber(process.env.STUDENT_TOKEN_TTL_HOURS) ?? 12);
+const studentLoginThrottle = createLoginThrottle();
 const DATA_BUCKET = process.env.DATA_BUCKET || '';
 const DATA_BUCKET_PREFIX = process.env.DATA_BUCKET_PREFIX || 'local-data';
-const storageClient = DATA_BUCKET ? new Storage() : null;
-const dataBucket = DATA_BUCKET && storageClient ? storageClient.bucket(DATA_BUCKET) : null;
+// 데이터를 기록할 객체 저장소: local | gcs | emulator (기본: DATA_BUCKET이 있으면 gcs, 없으면 local)
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || (DATA_BUCKET ? 'gcs' : 'local'))
+  .trim()
+  .toLowerCase();
+// emulator 저장소를 기록할 디렉터리 (비워두면 메모리에만 보관)
+const STORAGE_EMULATOR_DIR = process.env.STORAGE_EMULATOR_DIR || '';
+// 다른 인스턴스가 바꾼 데이터가 있는지 확인하는 최소 간격
+const STORE_REFRESH_INTERVAL_MS = parseEnvNumber(process.env.STORE_REFRESH_INTERVAL_MS) ?? 2000;
+const STORAGE_ENGINE = (process.env.STORAGE_ENGINE || 'json').trim().toLowerCase();
+const SQLITE_PATH = path.resolve(
+  process.env.SQLITE_PATH || path.join(DATA_DIR, 'writingresearch.db')
+);
+const MESSAGE_CACHE_LIMIT = 500;
+const MESSAGE_ARCHIVE_AFTER_DAYS = parseEnvNumber(process.env.MESSAGE_ARCHIVE_AFTER_DAYS) ?? 30;
+const MESSAGE_ARCHIVE_INTERVAL_MS = 1000 * 60 * 60 * 6;
+// 정기 스냅샷 주기(시간, 0이면 끔)와 보관할 자동 스냅샷 개수
+const SNAPSHOT_INTERVAL_HOURS = parseEnvNumber(process.env.SNAPSHOT_INTERVAL_HOURS) ?? 24;
+const SNAPSHOT_KEEP = parseEnvNumber(process.env.SNAPSHOT_KEEP) ?? 30;
+// 가명 처리용 salt (지정하지 않으면 처음 사용할 때 생성해 관리자 설정에 저장)
+const PSEUDONYM_SALT = process.env.PSEUDONYM_SALT || '';
+const RETENTION_CHECK_INTERVAL_MS = 1000 * 60 * 60 * 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
 const PANEL_COPY_KEYS = [
   'prompt',
   'prewriting',
@@ -43,122 +216,211 @@ const app = express();
 await fs.mkdir(DATA_DIR, { recursive: true });
 
 // ----- 스토리지 유틸 -----
+// 실제 기록은 저장 엔진(json | sqlite)이 담당하고, FileStore는 메모리 캐시와 저장 시점만 관리
 class FileStore {
-  constructor(rootDir, { bucket = null, bucketPrefix = 'local-data' } = {}) {
-    this.rootDir = rootDir;
-    this.bucket = bucket;
-    this.bucketPrefix = bucketPrefix;
+  constructor(engine) {
+    this.engine = engine;
     this.sessions = [];
-    this.messages = [];
     this.matchups = [];
     this.publicSettings = defaultPublicSettings();
     this.roster = defaultRoster();
     this.adminOverrides = defaultAdminOverrides();
+    // 학급별 설정·명단 (기본 학급은 위의 전역 값을 그대로 씀)
+    this.cohorts = [];
+    // 메시지는 세션별 로그로 저장하고, 최근 조회한 세션만 메모리에 둠
+    // (버킷을 여러 인스턴스가 공유하면 다른 인스턴스의 메시지를 놓치므로 캐시하지 않음)
+    this.messageCache = new Map();
+    this.lastRefreshAt = 0;
+    this.refreshing = null;
   }
 
   async init() {
-    this.sessions = await this.readJson('sessions.json', []);
-    this.messages = await this.readJson('messages.json', []);
-    this.matchups = await this.readJson('matchups.json', []);
-    this.publicSettings = await this.readJson(
-      'public-settings.json',
+    await this.engine.init();
+    this.sessions = await this.engine.load('sessions', []);
+    this.matchups = await this.engine.load('matchups', []);
+    this.publicSettings = await this.engine.load(
+      'public-settings',
       defaultPublicSettings()
     );
     this.publicSettings = sanitizePublicSettings({}, this.publicSettings);
-    this.roster = await this.readJson('roster.json', defaultRoster());
-    this.adminOverrides = await this.readJson(
-      'admin-config.json',
+    this.roster = await this.engine.load('roster', defaultRoster());
+    this.adminOverrides = await this.engine.load(
+      'admin-config',
       defaultAdminOverrides()
     );
+    this.cohorts = await this.engine.load('cohorts', []);
   }
 
-  async readJson(filename, fallback) {
-    if (this.bucket) {
-      try {
-        const [contents] = await this.bucket
-          .file(this.buildBucketPath(filename))
-          .download();
-        return JSON.parse(contents.toString('utf8'));
-      } catch (err) {
-        if (err.code !== 404) {
-          console.warn('[FileStore] Failed to read from bucket', filename, err.message);
-        }
-      }
-    }
-    return this.readJsonFromDisk(filename, fallback);
+  // 다른 인스턴스가 저장한 데이터셋이 있으면 메모리 캐시를 바꿈 (요청마다 호출되지만 간격을 둠)
+  async refreshIfStale() {
+    if (!this.engine.shared) return;
+    if (this.refreshing) return this.refreshing;
+    if (Date.now() - this.lastRefreshAt < STORE_REFRESH_INTERVAL_MS) return;
+    this.refreshing = this.refresh().finally(() => {
+      this.lastRefreshAt = Date.now();
+      this.refreshing = null;
+    });
+    return this.refreshing;
   }
 
-  async readJsonFromDisk(filename, fallback) {
-    const filePath = path.join(this.rootDir, filename);
-    try {
-      const raw = await fs.readFile(filePath, 'utf8');
-      return JSON.parse(raw);
-    } catch (_err) {
-      return fallback;
-    }
+  async refresh() {
+    const sessions = await this.engine.refresh('sessions');
+    if (sessions) this.replaceSessions(sessions);
+    const matchups = await this.engine.refresh('matchups');
+    if (matchups) this.matchups = matchups;
+    const publicSettings = await this.engine.refresh('public-settings');
+    if (publicSettings) this.publicSettings = sanitizePublicSettings({}, publicSettings);
+    const roster = await this.engine.refresh('roster');
+    if (roster) this.roster = roster;
+    const adminOverrides = await this.engine.refresh('admin-config');
+    if (adminOverrides) this.adminOverrides = adminOverrides;
+    const cohorts = await this.engine.refresh('cohorts');
+    if (cohorts) this.cohorts = cohorts;
   }
 
-  async writeJson(filename, data) {
-    const json = JSON.stringify(data, null, 2);
-    if (this.bucket) {
-      try {
-        await this.bucket
-          .file(this.buildBucketPath(filename))
-          .save(json, { contentType: 'application/json' });
-      } catch (err) {
-        console.error('[FileStore] Failed to write to bucket', filename, err.message);
-      }
+  // 저장 엔진이 다른 인스턴스의 변경과 병합했을 수 있으므로 돌려받은 값으로 캐시를 바꿈
+  async saveSessions() {
+    const saved = await this.write('sessions', () => this.engine.save('sessions', this.sessions));
+    this.replaceSessions(saved);
+  }
+
+  // 이미 대기 중인 저장도 같은 배열을 들고 있으므로, 배열을 바꾸지 않고 내용만 바꿔야
+  // 병합·새로 읽은 세션이 다음 저장에서 빠지지 않음 (store.sessions에 새 배열을 대입하지 말고 이 메서드를 씀)
+  // 같은 세션 키의 레코드도 객체는 그대로 두고 내용만 바꾸므로, AI 호출처럼 await하는 동안 레코드를 들고 있던
+  // 요청이 그 뒤에 고친 내용도 목록에 남음
+  replaceSessions(sessions) {
+    if (sessions === this.sessions) return;
+    const current = new Map(this.sessions.map((record) => [record.sessionKey, record]));
+    const next = sessions.map((record) => {
+      const existing = current.get(record?.sessionKey);
+      if (!existing || existing === record) return record;
+      Object.keys(existing).forEach((field) => {
+        if (!Object.prototype.hasOwnProperty.call(record, field)) delete existing[field];
+      });
+      return Object.assign(existing, record);
+    });
+    this.sessions.splice(0, this.sessions.length, ...next);
+  }
+
+  async listMessages(sessionId) {
+    if (!sessionId) return [];
+    if (this.messageCache.has(sessionId)) {
+      return this.messageCache.get(sessionId);
+    }
+    const list = await this.engine.listMessages(sessionId);
+    if (this.engine.shared) return list;
+    this.messageCache.set(sessionId, list);
+    if (this.messageCache.size > MESSAGE_CACHE_LIMIT) {
+      const oldestKey = this.messageCache.keys().next().value;
+      this.messageCache.delete(oldestKey);
     }
-    const filePath = path.join(this.rootDir, filename);
-    await fs.writeFile(filePath, json, 'utf8');
+    return list;
   }
 
-  buildBucketPath(filename) {
-    return `${this.bucketPrefix}/${filename}`;
+  async appendMessage(message) {
+    await this.write('messages', () => this.engine.appendMessage(message));
+    const cached = this.messageCache.get(message.sessionId);
+    if (cached) cached.push(message);
   }
 
-  async saveSessions() {
-    await this.writeJson('sessions.json', this.sessions);
+  async deleteMessages(sessionIds) {
+    const ids = Array.from(sessionIds || []).filter(Boolean);
+    if (!ids.length) return;
+    await this.write('messages', () => this.engine.deleteMessages(ids));
+    ids.forEach((id) => this.messageCache.delete(id));
   }
 
-  async saveMessages() {
-    // 메모리/파일 크기 제한(최근 5000개 유지)
-    if (this.messages.length > 5000) {
-      this.messages = this.messages.slice(-5000);
-    }
-    await this.writeJson('messages.json', this.messages);
+  async listMessageSessionIds() {
+    return this.engine.listMessageSessionIds();
+  }
+
+  async replaceMessages(sessionId, messages) {
+    await this.write('messages', () => this.engine.replaceMessages(sessionId, messages));
+    this.messageCache.delete(sessionId);
+  }
+
+  async archiveIdleMessages(idleMs) {
+    return this.engine.archiveIdleMessages(idleMs);
+  }
+
+  // AI 사용량 로그는 여러 인스턴스가 함께 쓰므로 캐시하지 않고 매번 저장소에서 읽음
+  async listUsage(sessionKey) {
+    return sessionKey ? this.engine.listUsage(sessionKey) : [];
+  }
+
+  async appendUsage(sessionKey, entries) {
+    if (!sessionKey || !entries.length) return;
+    await this.write('usage', () => this.engine.appendUsage(sessionKey, entries));
+  }
+
+  async deleteUsage(sessionKeys) {
+    const keys = Array.from(sessionKeys || []).filter(Boolean);
+    if (!keys.length) return;
+    await this.write('usage', () => this.engine.deleteUsage(keys));
   }
 
   async saveMatchups() {
-    await this.writeJson('matchups.json', this.matchups);
+    this.matchups = await this.write('matchups', () => this.engine.save('matchups', this.matchups));
   }
 
   async savePublicSettings() {
-    await this.writeJson('public-settings.json', this.publicSettings);
+    this.publicSettings = await this.write('public-settings', () =>
+      this.engine.save('public-settings', this.publicSettings)
+    );
   }
 
   async saveRoster(roster) {
-    this.roster = roster;
-    await this.writeJson('roster.json', this.roster);
+    this.roster = await this.write('roster', () => this.engine.save('roster', roster));
   }
 
   async saveAdminOverrides(overrides) {
-    this.adminOverrides = overrides;
-    await this.writeJson('admin-config.json', this.adminOverrides);
+    this.adminOverrides = await this.write('admin-config', () =>
+      this.engine.save('admin-config', overrides)
+    );
+  }
+
+  async saveCohorts() {
+    this.cohorts = await this.write('cohorts', () => this.engine.save('cohorts', this.cohorts));
+  }
+
+  // 저장 실패를 경고로 넘기면 저장된 줄 알고 계속 쓰게 되므로, 요청 실패(503)로 알림
+  async write(dataset, task) {
+    try {
+      return await task();
+    } catch (err) {
+      console.error('[FileStore] Failed to write', dataset, err.message);
+      throw createHttpError(503, '데이터를 저장하지 못했습니다. 잠시 후 다시 시도해 주세요.');
+    }
   }
 }
 
-const store = new FileStore(DATA_DIR, {
-  bucket: dataBucket,
-  bucketPrefix: DATA_BUCKET_PREFIX,
+const objectStore = createObjectStore(STORAGE_BACKEND, {
+  rootDir: DATA_DIR,
+  bucketName: DATA_BUCKET,
+  prefix: DATA_BUCKET_PREFIX,
+  emulatorDir: STORAGE_EMULATOR_DIR ? path.resolve(STORAGE_EMULATOR_DIR) : '',
 });
+await objectStore.init();
+
+const store = new FileStore(
+  createStorageEngine(STORAGE_ENGINE, {
+    rootDir: DATA_DIR,
+    objects: objectStore,
+    sqlitePath: SQLITE_PATH,
+  })
+);
 await store.init();
+scheduleMessageArchiving();
+
+const snapshots = new SnapshotStore(objectStore);
+scheduleSnapshots();
+scheduleRetention();
+let lastRetentionResult = null;
 
 const baseAiConfig = buildBaseAiConfig();
 let runtimeOverrides = sanitizeOverrides(store.adminOverrides || defaultAdminOverrides());
+let appliedAdminOverrides = store.adminOverrides;
 let effectiveAiConfig = mergeAiConfig(baseAiConfig, runtimeOverrides);
-let openAiClient = null;
-let openAiClientSignature = '';
 
 // ----- 프레즌스(메모리) -----
 const presenceMap = new Map(); // key: roomId|studentId -> timestamp(ms)
@@ -264,6 +526,10 @@ function defaultPublicSettings() {
     panelCopyTypeB: defaultPanelCopy('TYPE_B'),
     uiText: defaultUiText('TYPE_A'),
     uiTextTypeB: defaultUiText('TYPE_B'),
+    // 글쓰기 과정 기록 (켜면 학생 화면에서 동의한 학생만 기록)
+    telemetryEnabled: false,
+    // 명단 로그인 (켜면 명단의 식별 번호·이름과 PIN이 맞아야 시작)
+    rosterLoginRequired: false,
   };
 }
 
@@ -376,6 +642,36 @@ function defaultAdminOverrides() {
       model: null,
       apiKey: null,
     },
+    vertex: {
+      model: null,
+      project: null,
+      location: null,
+    },
+    compatible: {
+      model: null,
+      baseUrl: null,
+      apiKey: null,
+    },
+    // 모의 AI 응답 지연(ms)·실패 주기·오류 코드·차시별 답변 (null이면 환경 변수·기본값)
+    mock: sanitizeMockSettings(null),
+    // AI 호출 제한 시간(ms)·재시도 횟수·대체 제공자 (null이면 환경 변수·기본값)
+    resilience: sanitizeResilience(null),
+    // 학생 한 명이 차시마다·하루에 쓸 수 있는 AI 토큰 (null이면 환경 변수 값, 없으면 제한 없음)
+    usageLimits: sanitizeUsageLimits(null),
+    // 보관 기간(일)이 지난 세션·메시지 처리 방식: anonymize(가명 처리) | delete(삭제)
+    privacy: {
+      retentionDays: null,
+      retentionAction: 'anonymize',
+      pseudonymSalt: null,
+    },
+    // 학생 메시지·AI 답변 검사 (금지어·정규식, 제공자 검사)
+    moderation: defaultModerationSettings(),
+    // 단계 진행 규칙 (null이면 기본 워크플로)
+    workflow: null,
+    // 교사가 정하는 단계 잠금·열리는 시각
+    pacing: defaultPacing(),
+    // 최종 글 채점 루브릭 (null이면 채점하지 않음)
+    rubric: null,
   };
 }
 
@@ -394,6 +690,40 @@ function buildBaseAiConfig() {
       model: process.env.PERPLEXITY_MODEL || 'llama-3.1-sonar-small-128k-online',
       apiKey: process.env.PERPLEXITY_API_KEY || '',
     },
+    vertex: {
+      model: process.env.VERTEX_MODEL || 'gemini-1.5-flash',
+      project: process.env.VERTEX_PROJECT || process.env.GOOGLE_CLOUD_PROJECT || '',
+      location: process.env.VERTEX_LOCATION || 'us-central1',
+    },
+    // Ollama, vLLM 등 OpenAI와 같은 형식의 서버
+    compatible: {
+      model: process.env.OPENAI_COMPAT_MODEL || '',
+      baseUrl: process.env.OPENAI_COMPAT_BASE_URL || '',
+      apiKey: process.env.OPENAI_COMPAT_API_KEY || '',
+    },
+    // API 키 없이 쓰는 모의 AI (수업 리허설·로컬 확인)
+    mock: mergeMockSettings(
+      defaultMockSettings(),
+      sanitizeMockSettings({
+        latencyMs: process.env.MOCK_AI_LATENCY_MS,
+        failEvery: process.env.MOCK_AI_FAIL_EVERY,
+      }),
+    ),
+    resilience: mergeResilience(
+      defaultResilience(),
+      sanitizeResilience({
+        timeoutMs: process.env.AI_TIMEOUT_MS,
+        maxRetries: process.env.AI_MAX_RETRIES,
+        fallbackProvider: (process.env.AI_FALLBACK_PROVIDER || '').trim().toLowerCase(),
+      }),
+    ),
+    usageLimits: mergeUsageLimits(
+      defaultUsageLimits(),
+      sanitizeUsageLimits({
+        stageTokens: process.env.AI_STAGE_TOKEN_LIMIT,
+        dayTokens: process.env.AI_DAILY_TOKEN_LIMIT,
+      }),
+    ),
   };
 }
 
@@ -405,7 +735,10 @@ function parseEnvNumber(value) {
 
 function sanitizeOverrides(input = {}) {
   const safe = defaultAdminOverrides();
-  if (typeof input.provider === 'string') safe.provider = input.provider.trim() || null;
+  if (typeof input.provider === 'string') {
+    const provider = input.provider.trim();
+    safe.provider = ['auto', 'none', ...AI_PROVIDER_IDS].includes(provider) ? provider : null;
+  }
   if (typeof input.temperature === 'number' && Number.isFinite(input.temperature)) {
     safe.temperature = input.temperature;
   } else if (input.temperature === null) {
@@ -455,6 +788,44 @@ function sanitizeOverrides(input = {}) {
     safe.perplexity.apiKey = store.adminOverrides.perplexity.apiKey;
   }
 
+  ['vertex', 'compatible'].forEach((section) => {
+    const value = input[section];
+    if (!value || typeof value !== 'object') return;
+    Object.keys(safe[section]).forEach((field) => {
+      if (field === 'apiKey') return;
+      safe[section][field] = typeof value[field] === 'string' ? value[field].trim() || null : null;
+    });
+  });
+  // OpenAI 호환 서버 키: null이면 지우고, 보내지 않으면 저장된 키 유지
+  if (input.compatible && Object.prototype.hasOwnProperty.call(input.compatible, 'apiKey')) {
+    const apiKey = input.compatible.apiKey;
+    safe.compatible.apiKey = typeof apiKey === 'string' ? apiKey.trim() : '';
+  } else if (store?.adminOverrides?.compatible?.apiKey) {
+    safe.compatible.apiKey = store.adminOverrides.compatible.apiKey;
+  }
+  if (input.mock && typeof input.mock === 'object') {
+    safe.mock = sanitizeMockSettings(input.mock);
+  } else if (store?.adminOverrides?.mock) {
+    safe.mock = sanitizeMockSettings(store.adminOverrides.mock);
+  }
+  if (input.resilience && typeof input.resilience === 'object') {
+    safe.resilience = sanitizeResilience(input.resilience);
+  } else if (store?.adminOverrides?.resilience) {
+    safe.resilience = sanitizeResilience(store.adminOverrides.resilience);
+  }
+  if (input.usageLimits && typeof input.usageLimits === 'object') {
+    safe.usageLimits = sanitizeUsageLimits(input.usageLimits);
+  } else if (store?.adminOverrides?.usageLimits) {
+    safe.usageLimits = sanitizeUsageLimits(store.adminOverrides.usageLimits);
+  }
+
+  // AI 설정 화면은 privacy를 보내지 않으므로, 없으면 저장된 값을 유지
+  safe.privacy = sanitizePrivacySettings(input.privacy, store?.adminOverrides?.privacy);
+  safe.moderation = sanitizeModerationSettings(input.moderation, store?.adminOverrides?.moderation);
+  safe.workflow = sanitizeWorkflow(input.workflow, store?.adminOverrides?.workflow);
+  safe.pacing = sanitizePacing(input.pacing, store?.adminOverrides?.pacing);
+  safe.rubric = sanitizeRubric(input.rubric, store?.adminOverrides?.rubric);
+
   return safe;
 }
 
@@ -465,6 +836,11 @@ function mergeAiConfig(base, overrides) {
     systemPrompt: base.systemPrompt,
     openai: { ...base.openai },
     perplexity: { ...base.perplexity },
+    vertex: { ...base.vertex },
+    compatible: { ...base.compatible },
+    mock: mergeMockSettings(base.mock, overrides.mock),
+    resilience: mergeResilience(base.resilience, overrides.resilience),
+    usageLimits: mergeUsageLimits(base.usageLimits, overrides.usageLimits),
   };
   if (overrides.provider) result.provider = overrides.provider;
   if (typeof overrides.temperature === 'number') result.temperature = overrides.temperature;
@@ -507,19 +883,130 @@ function mergeAiConfig(base, overrides) {
       result.perplexity.apiKey = overrides.perplexity.apiKey;
     }
   }
+  ['vertex', 'compatible'].forEach((section) => {
+    Object.entries(overrides[section] || {}).forEach(([field, value]) => {
+      if (value !== null && value !== undefined && value !== '') result[section][field] = value;
+    });
+  });
   return result;
 }
 
-function getEffectiveAiConfig() {
-  return effectiveAiConfig;
+// 학급 설정이 있으면 전역 설정 위에 학급의 AI 설정을 덮어씀
+function getEffectiveAiConfig(cohort = '') {
+  const overrides = findCohort(cohort)?.overrides;
+  return overrides ? mergeAiConfig(effectiveAiConfig, overrides) : effectiveAiConfig;
 }
 
 async function applyAdminOverrides(overrides) {
   runtimeOverrides = sanitizeOverrides(overrides);
   await store.saveAdminOverrides(runtimeOverrides);
+  appliedAdminOverrides = store.adminOverrides;
+  effectiveAiConfig = mergeAiConfig(baseAiConfig, runtimeOverrides);
+}
+
+// 저장된 관리자 설정이 다른 경로(스냅샷 복원, 다른 인스턴스)로 바뀌었으면 실행 중인 설정에 반영
+function syncRuntimeOverrides() {
+  if (store.adminOverrides === appliedAdminOverrides) return;
+  appliedAdminOverrides = store.adminOverrides;
+  runtimeOverrides = sanitizeOverrides(store.adminOverrides || defaultAdminOverrides());
   effectiveAiConfig = mergeAiConfig(baseAiConfig, runtimeOverrides);
-  openAiClient = null;
-  openAiClientSignature = '';
+}
+
+// ----- 학급(코호트) -----
+// 학급 코드가 빈 문자열이면 기본 학급: 전역 공개 설정·명단·매칭·관리자 설정을 그대로 씀
+function findCohort(code) {
+  const key = normalizeCohortCode(code);
+  if (!key) return null;
+  return (store.cohorts || []).find((cohort) => cohort.code === key) || null;
+}
+
+// 요청에 들어온 학급 코드 확인 (비어 있으면 기본 학급, 없는 코드는 404)
+function resolveCohort(input) {
+  const code = normalizeCohortCode(input);
+  if (!code) return '';
+  if (!findCohort(code)) throw createHttpError(404, '학급 코드를 찾을 수 없습니다. 선생님께 받은 코드를 확인하세요.');
+  return code;
+}
+
+// 관리자 화면은 X-Cohort 헤더(내려받기 링크는 cohort 쿼리)로 작업할 학급을 고름
+function resolveAdminCohort(req) {
+  return resolveCohort(req.get('x-cohort') || req.query?.cohort);
+}
+
+function getPublicSettings(cohort = '') {
+  const entry = findCohort(cohort);
+  if (entry) return entry.publicSettings || defaultPublicSettings();
+  return store.publicSettings || defaultPublicSettings();
+}
+
+async function saveCohortPublicSettings(cohort, settings) {
+  const entry = findCohort(cohort);
+  if (!entry) {
+    store.publicSettings = settings;
+    await store.savePublicSettings();
+    return store.publicSettings;
+  }
+  entry.publicSettings = settings;
+  entry.updatedAt = Date.now();
+  await store.saveCohorts();
+  return settings;
+}
+
+function getCohortRoster(cohort = '') {
+  const entry = findCohort(cohort);
+  return (entry ? entry.roster : store.roster) || defaultRoster();
+}
+
+function getCohortMatchups(cohort = '') {
+  const entry = findCohort(cohort);
+  return (entry ? entry.matchups : store.matchups) || [];
+}
+
+async function saveCohortRoster(cohort, roster, matchups) {
+  const entry = findCohort(cohort);
+  if (!entry) {
+    await store.saveRoster(roster);
+    store.matchups = matchups;
+    await store.saveMatchups();
+    return;
+  }
+  entry.roster = roster;
+  entry.matchups = matchups;
+  entry.updatedAt = Date.now();
+  await store.saveCohorts();
+}
+
+// 학급 AI 설정·워크플로·진행 설정·루브릭 저장 (input에 없는 항목은 유지)
+async function applyCohortOverrides(cohort, input = {}) {
+  const entry = findCohort(cohort);
+  const previous = entry.overrides || {};
+  const next = sanitizeCohortOverrides(input, previous);
+  next.workflow = Object.prototype.hasOwnProperty.call(input, 'workflow')
+    ? sanitizeWorkflow(input.workflow, previous.workflow)
+    : previous.workflow ?? null;
+  next.pacing = Object.prototype.hasOwnProperty.call(input, 'pacing')
+    ? sanitizePacing(input.pacing, previous.pacing)
+    : previous.pacing ?? null;
+  next.rubric = Object.prototype.hasOwnProperty.call(input, 'rubric')
+    ? sanitizeRubric(input.rubric, previous.rubric)
+    : previous.rubric ?? null;
+  entry.overrides = next;
+  entry.updatedAt = Date.now();
+  await store.saveCohorts();
+}
+
+function listCohortSummaries() {
+  const defaultSessions = store.sessions.filter((record) => !record.cohort).length;
+  return [
+    {
+      code: '',
+      name: DEFAULT_COHORT_NAME,
+      isDefault: true,
+      sessions: defaultSessions,
+      students: store.roster?.students?.length || 0,
+    },
+    ...(store.cohorts || []).map((cohort) => summarizeCohort(cohort, store.sessions)),
+  ];
 }
 
 function issueAdminToken() {
@@ -557,15 +1044,83 @@ function requireAdminAuth(req, _res, next) {
   return next();
 }
 
+// ----- 학생 로그인 토큰 -----
+function isRosterLoginRequired(cohort = '') {
+  return getPublicSettings(cohort).rosterLoginRequired === true;
+}
+
+function getStudentTokenSecret() {
+  return STUDENT_TOKEN_SECRET || runtimeOverrides.privacy?.studentTokenSecret || '';
+}
+
+async function ensureStudentTokenSecret() {
+  const current = getStudentTokenSecret();
+  if (current) return current;
+  const { studentTokenSecret } = await savePrivacySettings({ studentTokenSecret: generateTokenSecret() });
+  return studentTokenSecret;
+}
+
+/**
+ * 명단 로그인이 켜진 학급의 세션이면 X-Session-Token 토큰이 그 세션(records 중 하나)의 것인지 확인합니다.
+ * 동료 대화방처럼 여러 세션이 함께 쓰는 자원은 그중 한 명의 토큰이면 되므로,
+ * 한 학생의 세션이어야 하는 경우에는 그 세션 하나만 넘깁니다.
+ */
+function assertStudentAccess(req, records) {
+  const guarded = records.filter((record) => isRosterLoginRequired(record.cohort));
+  if (!guarded.length) return;
+  const sessionKey = readStudentTokenKey(req);
+  if (!sessionKey) throw createHttpError(401, '로그인이 필요합니다. 다시 로그인하세요.');
+  if (!guarded.some((record) => record.sessionKey === sessionKey)) {
+    throw createHttpError(403, '다른 학생의 세션에는 접근할 수 없습니다.');
+  }
+}
+
+// X-Session-Token 토큰이 올바르면 그 세션 키, 없거나 틀리면 null
+function readStudentTokenKey(req) {
+  const token = req.get('x-session-token') || '';
+  const secret = getStudentTokenSecret();
+  return token && secret ? verifyStudentToken(token, secret) : null;
+}
+
+// 대화 채널의 sessionId(ai:세션키 또는 동료 대화방 roomId)를 쓰는 세션들
+function findChatSessions(sessionId) {
+  const id = String(sessionId || '');
+  if (!id) return [];
+  if (id.startsWith('ai:')) {
+    const record = findSession(id.slice(3));
+    return record ? [record] : [];
+  }
+  return store.sessions.filter((record) => record.roomId === id);
+}
+
+/**
+ * 명단 로그인. 명단에 없는 식별 번호, 틀린 이름·PIN은 같은 401 오류로 거절하고
+ * 같은 학급·식별 번호로 여러 번 틀리면 잠시 막습니다. 명단의 학생 항목을 돌려줍니다.
+ */
+function checkRosterLogin(cohort, { studentId, studentName, pin }) {
+  const throttleKey = `${cohort}|${String(studentId || '').trim().toLowerCase()}`;
+  const retryAfter = studentLoginThrottle.retryAfter(throttleKey);
+  if (retryAfter) {
+    throw createHttpError(429, `로그인을 여러 번 실패했습니다. ${Math.ceil(retryAfter / 60000)}분 뒤에 다시 시도하세요.`);
+  }
+  const student = verifyRosterLogin(getCohortRoster(cohort), { studentId, studentName, pin });
+  if (!student) {
+    studentLoginThrottle.fail(throttleKey);
+    throw createHttpError(401, '식별 번호, 이름, PIN이 명단과 일치하지 않습니다. 선생님께 확인하세요.');
+  }
+  studentLoginThrottle.reset(throttleKey);
+  return student;
+}
+
 function revokeAdminToken(token) {
   if (token && adminTokens.has(token)) {
     adminTokens.delete(token);
   }
 }
 
-function buildAdminConfigResponse() {
-  const effective = getEffectiveAiConfig();
-  const overrides = store.adminOverrides || defaultAdminOverrides();
+function buildAdminConfigResponse(cohort = '') {
+  const effective = getEffectiveAiConfig(cohort);
+  const overrides = findCohort(cohort)?.overrides || store.adminOverrides || defaultAdminOverrides();
   const redactOverrideKeys = (section) => {
     if (!section) return {};
     const result = { ...section };
@@ -590,6 +1145,19 @@ function buildAdminConfigResponse() {
         model: effective.perplexity.model,
         hasApiKey: !!effective.perplexity.apiKey,
       },
+      vertex: {
+        model: effective.vertex.model,
+        project: effective.vertex.project,
+        location: effective.vertex.location,
+      },
+      compatible: {
+        model: effective.compatible.model,
+        baseUrl: effective.compatible.baseUrl,
+        hasApiKey: !!effective.compatible.apiKey,
+      },
+      mock: { ...effective.mock },
+      resilience: { ...effective.resilience },
+      usageLimits: { ...effective.usageLimits },
     },
     overrides: {
       provider: overrides.provider,
@@ -597,55 +1165,64 @@ function buildAdminConfigResponse() {
       systemPrompt: overrides.systemPrompt,
       openai: redactOverrideKeys(overrides.openai),
       perplexity: redactOverrideKeys(overrides.perplexity),
+      vertex: redactOverrideKeys(overrides.vertex),
+      compatible: redactOverrideKeys(overrides.compatible),
+      mock: sanitizeMockSettings(overrides.mock),
+      resilience: sanitizeResilience(overrides.resilience),
+      usageLimits: sanitizeUsageLimits(overrides.usageLimits),
     },
+    // 학급을 고른 경우: API 키·접속 주소는 전역 설정을 같이 씀
+    cohort,
   };
 }
 
-function buildSessionKey(group, studentId) {
+function buildSessionKey(group, studentId, cohort = '') {
   const g = String(group || '').toUpperCase();
   const sid = String(studentId || '').trim();
   if (!g || !sid) {
     throw createHttpError(400, '집단과 식별 번호가 필요합니다.');
   }
-  return `${g}|${sid}`;
+  return cohortSessionKey(cohort, g, sid);
 }
 
 function md5(text) {
   return crypto.createHash('md5').update(text).digest('hex');
 }
 
-function makeSoloRoomId(group, studentId) {
-  const hash = md5(`${group}|${studentId}`).slice(0, 12);
+// 학급 학생의 방은 학급 코드를 섞어 다른 학급의 같은 식별 번호와 겹치지 않게 함
+function makeSoloRoomId(group, studentId, cohort = '') {
+  const hash = md5(`${cohort ? `${cohort}:` : ''}${group}|${studentId}`).slice(0, 12);
   return `solo_${hash}`;
 }
 
-function makePairRoomId(keyA, keyB) {
+function makePairRoomId(keyA, keyB, cohort = '') {
   const a = String(keyA || '').trim();
   const b = String(keyB || '').trim();
   const left = a < b ? a : b;
   const right = a < b ? b : a;
-  const hash = md5(`${left}|${right}`).slice(0, 12);
+  const hash = md5(`${cohort ? `${cohort}:` : ''}${left}|${right}`).slice(0, 12);
   return `r_${hash}`;
 }
 
-function createSession(group, studentId, studentName, partnerHint) {
+function createSession(group, studentId, studentName, partnerHint, cohort = '') {
   const now = Date.now();
-  const sessionKey = buildSessionKey(group, studentId);
+  const sessionKey = buildSessionKey(group, studentId, cohort);
   const upperGroup = String(group || '').toUpperCase();
   let roomId = '';
   let partnerStudentId = '';
   let partnerName = '';
 
   if (partnerHint) {
-    roomId = partnerHint.roomId || makePairRoomId(partnerHint.keyA, partnerHint.keyB);
+    roomId = partnerHint.roomId || makePairRoomId(partnerHint.keyA, partnerHint.keyB, cohort);
     partnerStudentId = partnerHint.partnerId || '';
     partnerName = partnerHint.partnerName || '';
   } else {
-    roomId = makeSoloRoomId(group, studentId);
+    roomId = makeSoloRoomId(group, studentId, cohort);
   }
 
   return {
     sessionKey,
+    ...(cohort ? { cohort } : {}),
     group: upperGroup,
     studentId: String(studentId || '').trim(),
     studentName: String(studentName || '').trim(),
@@ -666,11 +1243,11 @@ function createSession(group, studentId, studentName, partnerHint) {
   };
 }
 
-function findMatchForStudent(group, studentId, studentName) {
+function findMatchForStudent(group, studentId, studentName, cohort = '') {
   const upperGroup = String(group || '').toUpperCase();
   const sid = String(studentId || '').trim();
   const sname = String(studentName || '').trim();
-  const rows = store.matchups || [];
+  const rows = getCohortMatchups(cohort);
   for (const row of rows) {
     // row: { roomId?, studentIdA, nameA, studentIdB, nameB, group? }
     if (row.group && String(row.group).toUpperCase() !== upperGroup) continue;
@@ -684,7 +1261,7 @@ function findMatchForStudent(group, studentId, studentName) {
       (aName && aName === sname) ||
       (bName && bName === sname);
     if (!matches) continue;
-    const roomId = row.roomId || makePairRoomId(aId || aName, bId || bName);
+    const roomId = row.roomId || makePairRoomId(aId || aName, bId || bName, cohort);
     const partnerId = aId === sid ? bId : aId;
     const partnerName = aId === sid ? bName : aName;
     return { roomId, partnerId, partnerName, keyA: aId || aName, keyB: bId || bName };
@@ -692,28 +1269,32 @@ function findMatchForStudent(group, studentId, studentName) {
   return null;
 }
 
+function sameCohort(a, b) {
+  return (a?.cohort || '') === (b?.cohort || '');
+}
+
 function findSession(sessionKey) {
   return store.sessions.find((s) => s.sessionKey === sessionKey) || null;
 }
 
-function ensureSession(group, studentId, studentName) {
-  const sessionKey = buildSessionKey(group, studentId);
+function ensureSession(group, studentId, studentName, cohort = '') {
+  const sessionKey = buildSessionKey(group, studentId, cohort);
   let record = findSession(sessionKey);
   const upperGroup = String(group || '').toUpperCase();
   const partnerHint =
     upperGroup === 'A' || upperGroup === 'B'
-      ? findMatchForStudent(group, studentId, studentName)
+      ? findMatchForStudent(group, studentId, studentName, cohort)
       : null;
 
   if (!record) {
-    record = createSession(group, studentId, studentName, partnerHint);
+    record = createSession(group, studentId, studentName, partnerHint, cohort);
     store.sessions.push(record);
   } else {
     record.studentName = String(studentName || record.studentName || '').trim();
     if (!record.roomId) {
       record.roomId = partnerHint
         ? partnerHint.roomId || record.roomId
-        : makeSoloRoomId(group, studentId);
+        : makeSoloRoomId(group, studentId, cohort);
     }
     if (partnerHint) {
       record.partnerStudentId = partnerHint.partnerId || record.partnerStudentId || '';
@@ -748,6 +1329,7 @@ function buildSessionState(record) {
     store.sessions.find(
       (s) =>
         s.group === record.group &&
+        sameCohort(s, record) &&
         s.studentId &&
         s.studentId === record.partnerStudentId
     );
@@ -780,7 +1362,10 @@ function buildSessionState(record) {
       submittedAt: Number(record.finalSubmittedAt || 0),
     },
     steps: stepsFromRecord(record),
+    workflow: describeWorkflow(getWorkflow(record.cohort), record),
+    locks: describePacing(getPacing(record.cohort), record.group),
     aiSessionId: `ai:${record.sessionKey}`,
+    stances: describeStances(record),
     partner: null,
     presence: null,
   };
@@ -790,7 +1375,7 @@ function buildPartnerSnapshot(record) {
   if (!record) return null;
   if (record.partnerStudentId) {
     const partner = store.sessions.find(
-      (s) => s.group === record.group && s.studentId === record.partnerStudentId
+      (s) => s.group === record.group && sameCohort(s, record) && s.studentId === record.partnerStudentId
     );
     if (partner) {
       return {
@@ -819,6 +1404,7 @@ function buildAdminSessionSummary(record) {
   if (!record) return null;
   return {
     sessionKey: record.sessionKey,
+    cohort: record.cohort || '',
     group: record.group,
     stage: Number(record.stage || 1),
     createdAt: Number(record.createdAt || 0),
@@ -828,6 +1414,18 @@ function buildAdminSessionSummary(record) {
       name: record.studentName || '',
     },
     partner: buildPartnerSnapshot(record),
+    aiFailures: buildAiFailureSummary(record),
+  };
+}
+
+// 재시도 후에도 실패한 AI 호출 횟수와 마지막 실패
+function buildAiFailureSummary(record) {
+  const failures = record.aiFailures || {};
+  return {
+    count: Number(failures.count || 0),
+    lastAt: Number(failures.lastAt || 0),
+    lastError: failures.lastError || '',
+    lastStatus: Number(failures.lastStatus || 0),
   };
 }
 
@@ -836,6 +1434,7 @@ function buildAdminSessionDetail(record) {
   const summary = buildAdminSessionSummary(record);
   return {
     sessionKey: summary.sessionKey,
+    cohort: summary.cohort,
     mode: summary.group,
     stage: summary.stage,
     createdAt: summary.createdAt,
@@ -843,6 +1442,7 @@ function buildAdminSessionDetail(record) {
     aiSessionId: `ai:${record.sessionKey}`,
     you: summary.user,
     partner: summary.partner,
+    aiFailures: summary.aiFailures,
     writing: {
       prewriting: {
         text: record.preText || '',
@@ -861,6 +1461,13 @@ function buildAdminSessionDetail(record) {
         submittedAt: Number(record.finalSubmittedAt || 0),
       },
     },
+    stageEvents: (record.stageEvents || []).map((event) => ({
+      ...event,
+      label: STAGE_EVENT_LABELS[event.type] || event.type,
+    })),
+    stageTimes: summarizeStageTimes(record),
+    stances: describeStances(record),
+    scores: buildScoreView(record),
   };
 }
 
@@ -883,35 +1490,68 @@ async function generateAiFeedback(userMessage, group, contextText, options = {})
   const trimmed = String(userMessage || '').trim();
   if (!trimmed) return '질문/메시지가 비어 있습니다.';
 
-  const provider = options.provider || resolveAiProvider(options.stage, group) || 'openai';
+  const cohort = options.cohort || '';
   const stage = Number(options.stage || 1);
+  const stageAi = resolveStageAi(stage, group, cohort);
+  const provider = options.provider || stageAi.provider;
+  const modelOptions = {
+    provider,
+    model: provider === stageAi.provider ? stageAi.model : null,
+    temperature: stageAi.temperature,
+    maxTokens: stageAi.maxTokens,
+  };
   const sessionId = options.sessionId || '';
   const evalPrompt = options.evalPrompt || '';
-  const config = getEffectiveAiConfig();
-  const typeKey = mapGroupToTypeKey(group);
-  const stagePrompt = getStagePrompt(stage, typeKey);
-  const stageSystemPrompt = typeof stagePrompt?.aiPrompt === 'string' ? stagePrompt.aiPrompt.trim() : '';
-  const transcriptLimit = stage < 3 ? 30 : 0;
+  // { onToken, signal }: 주면 토큰 단위로 받음 (SSE 응답용)
+  const stream = options.stream || null;
+  // { provider, attempts, fallback }: 실제로 답한 제공자 (대체 제공자로 넘어갔는지 기록용)
+  const meta = options.meta || null;
+  // 사용량은 세션 레코드에 남김 (요약 호출 포함)
+  const usageFor = options.sessionKey ? { sessionKey: options.sessionKey, stage, purpose: 'reply' } : null;
+  const config = getEffectiveAiConfig(cohort);
+  const stagePrompt = getStagePrompt(stage, cohort);
+  const stagePromptTemplate = typeof stagePrompt?.aiPrompt === 'string' ? stagePrompt.aiPrompt.trim() : '';
   const recentTranscript =
-    transcriptLimit && sessionId
-      ? await buildTranscriptText(sessionId, { limit: transcriptLimit })
+    stageAi.historyWindow && sessionId
+      ? await buildTranscriptText(sessionId, { limit: stageAi.historyWindow })
       : '';
   const historyBlock = recentTranscript ? `<대화기록>\n${recentTranscript}\n</대화기록>` : '';
   const baseContext = [contextText || '', historyBlock].filter(Boolean).join('\n\n');
 
+  // 이전 차시 대화 요약 (세션에 저장해 두고 원문이 바뀔 때만 다시 만듦): 3-2차시부터는 늘 쓰고,
+  // 그 전에는 차시 프롬프트에 {{previousStageSummary}}가 있을 때만 이전 차시 대화로 만듦
+  const previousStage = Math.max(1, stage - 1);
+  const needsPrevious = stage >= 3 || (stage > 1 && usesPromptVariable(stagePromptTemplate, 'previousStageSummary'));
+  const { previous: transcriptStage2, transcript } = needsPrevious
+    ? await buildSummarySource(sessionId, previousStage)
+    : { previous: '', transcript: '' };
+  const summarySource = stage >= 3 ? transcript : transcriptStage2;
+  const summary =
+    summarySource.trim() === ''
+      ? ''
+      : await resolveTranscriptSummary({
+          sessionKey: options.sessionKey,
+          stage: previousStage,
+          transcript: summarySource,
+          cohort,
+          modelOptions,
+          usageFor,
+        }).catch(() => '');
+  const record = options.sessionKey ? findSession(options.sessionKey) : null;
+  const stageSystemPrompt = renderPromptTemplate(
+    stagePromptTemplate,
+    buildPromptVariables(record, stage, cohort, { previousStageSummary: summary })
+  );
+  // 3-1·4-1차시 토론 상대 AI에게 학생의 반대편 입장을 알려 줌 (4-1차시는 3-1차시 입장을 뒤집음)
+  const stanceInstruction = buildStanceInstruction(record, stage);
+  const withStance = (prompt) => [prompt, stanceInstruction].filter(Boolean).join('\n\n');
+
   // 3-2 차시: gpt-4.1로 평가, 이전 대화 요약/원문 포함
   if (stage >= 3) {
-    const previousStage = Math.max(1, stage - 1);
-    const transcriptStage2 = await buildTranscriptText(sessionId, { stage: previousStage });
-    const transcript = transcriptStage2 || (await buildTranscriptText(sessionId));
-    const summary =
-      transcript.trim() === ''
-        ? ''
-        : await summarizeTranscript(transcript).catch(() => '');
     const wrapped = `<이전토론대화>${summary || transcript || '대화 없음'}</이전토론대화>`;
     const mergedContext = [baseContext || '', wrapped].filter(Boolean).join('\n\n');
     const mergedSystemPrompt = [
-      stageSystemPrompt || evalPrompt || config.systemPrompt,
+      withStance(stageSystemPrompt || evalPrompt || config.systemPrompt),
       transcriptStage2
         ? '아래는 3-1차시(이전 단계) 학생과 AI의 상세 대화 기록입니다. 이 기록을 토대로 학생에게 토론 피드백을 제공합니다.\n' +
           `<3-1차시 대화기록>\n${transcriptStage2}\n</3-1차시 대화기록>`
@@ -919,96 +1559,196 @@ async function generateAiFeedback(userMessage, group, contextText, options = {})
     ]
       .filter(Boolean)
       .join('\n\n');
-    return callOpenAiChat({
+    return callAiChat({
+      ...modelOptions,
       message: trimmed,
       contextText: mergedContext,
-      model: 'gpt-4.1',
       systemPrompt: mergedSystemPrompt,
+      cohort,
+      stream,
+      meta,
+      usageFor,
     });
   }
 
   if (provider === 'perplexity') {
-    return callPerplexityChat({
+    return callAiChat({
+      ...modelOptions,
       message: trimmed,
       contextText: baseContext,
-      systemPrompt: stageSystemPrompt || config.systemPrompt,
+      systemPrompt: withStance(stageSystemPrompt || config.systemPrompt),
+      cohort,
+      stream,
+      meta,
+      usageFor,
     });
   }
-  return callOpenAiChat({
+  return callAiChat({
+    ...modelOptions,
     message: trimmed,
     contextText: baseContext,
-    systemPrompt: stageSystemPrompt || evalPrompt || config.systemPrompt,
+    systemPrompt: withStance(stageSystemPrompt || evalPrompt || config.systemPrompt),
+    cohort,
+    stream,
+    meta,
+    usageFor,
   });
 }
 
-async function callOpenAiChat({ message, contextText, model, systemPrompt, temperature }) {
-  const client = ensureOpenAiClient();
-  const config = getEffectiveAiConfig();
-  const modelName = model || config.openai.model || 'gpt-4.1-mini';
+// 제공자 공통 호출: 지침·참고 자료·학생 메시지를 묶어 고른 제공자(services/ai)에 보냄
+// stream({ onToken, signal })을 주면 토큰 단위로 받고, 중단되면 받은 데까지 돌려줌
+// 제한 시간·재시도·대체 제공자는 AI 설정의 resilience를 따르고, meta를 주면 실제로 답한 제공자·시도 횟수를 적어 줌
+// usageFor({ sessionKey, stage, purpose })를 주면 토큰·걸린 시간을 그 세션의 사용량에 남김 (저장은 호출한 쪽에서)
+async function callAiChat({
+  provider = 'openai',
+  message,
+  contextText,
+  model,
+  systemPrompt,
+  temperature,
+  maxTokens = null,
+  cohort = '',
+  stream = null,
+  meta = null,
+  usageFor = null,
+}) {
+  if (provider === 'none') throw createHttpError(503, 'AI 응답이 비활성화되어 있습니다.');
+  const entry = getAiProvider(provider);
+  if (!entry) throw createHttpError(400, `알 수 없는 AI 제공자입니다: ${provider}`);
+  const config = getEffectiveAiConfig(cohort);
   const prompt =
     typeof systemPrompt === 'string' && systemPrompt.trim()
       ? systemPrompt
       : config.systemPrompt || '';
-  const messages = [];
-  if (prompt) messages.push({ role: 'system', content: prompt });
-  if (contextText) {
-    messages.push({ role: 'system', content: `[참고]\n${contextText}` });
-  }
-  messages.push({ role: 'user', content: message });
-  const selectedTemp =
+  const messages = buildChatMessages({ systemPrompt: prompt, contextText, message });
+  const resolvedTemperature =
     typeof temperature === 'number' && Number.isFinite(temperature)
       ? temperature
-      : getEffectiveTemperature();
-  const resp = await client.chat.completions.create({
-    model: modelName,
-    messages,
-    temperature: selectedTemp,
-  });
-  const text = resp?.choices?.[0]?.message?.content || '';
-  return text.trim() || '응답을 생성하지 못했습니다.';
-}
-
-async function callPerplexityChat({ message, contextText, systemPrompt }) {
-  const config = getEffectiveAiConfig();
-  const apiKey = config.perplexity.apiKey || '';
-  if (!apiKey) {
-    throw createHttpError(500, 'Perplexity API 키가 설정되지 않았습니다.');
-  }
-  const effectivePrompt = typeof systemPrompt === 'string' && systemPrompt.trim()
-    ? systemPrompt
-    : config.systemPrompt || '';
-  const modelName = config.perplexity.model || 'llama-3.1-sonar-small-128k-online';
-  const messages = [];
-  if (effectivePrompt) messages.push({ role: 'system', content: effectivePrompt });
-  if (contextText) {
-    messages.push({ role: 'system', content: `[참고]\n${contextText}` });
-  }
-  messages.push({ role: 'user', content: message });
-
-  const resp = await fetch('https://api.perplexity.ai/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: modelName,
-      messages,
-    }),
-  });
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => '');
-    throw createHttpError(
-      resp.status,
-      `Perplexity 요청 실패 (${resp.status}): ${text || '오류'}`
+      : getEffectiveTemperature(cohort);
+  const { timeoutMs, maxRetries, fallbackProvider } = config.resilience;
+  const startedAt = Date.now();
+  let usage = {};
+  let usedModel = '';
+  let result;
+  try {
+    result = await runWithResilience(
+      (providerId, { signal, onToken }) => {
+        const current = getAiProvider(providerId);
+        const settings = config[current.configKey] || {};
+        // 대체 제공자는 고른 모델 대신 그 제공자의 설정 모델을 씀
+        const currentModel = providerId === provider ? model : null;
+        usage = {};
+        usedModel = currentModel || settings.model || current.defaultModel;
+        return current.chat({
+          messages,
+          model: usedModel,
+          temperature: resolvedTemperature,
+          maxTokens,
+          settings,
+          stream: stream ? { onToken, signal } : null,
+          signal,
+          usage,
+          stage: usageFor?.stage ?? null,
+          purpose: usageFor?.purpose || 'reply',
+        });
+      },
+      {
+        providers: [provider, fallbackProvider],
+        timeoutMs,
+        maxRetries,
+        signal: stream?.signal || null,
+        onToken: stream?.onToken || null,
+      },
     );
+  } catch (err) {
+    await noteAiUsage(usageFor, {
+      provider: err.provider || provider,
+      model: usedModel,
+      latencyMs: Date.now() - startedAt,
+      attempts: err.attempts,
+      ok: false,
+    });
+    throw err;
+  }
+  // 중단한 스트리밍 등 제공자가 토큰 수를 알려 주지 않으면 글자 수로 어림
+  const estimated = !Number.isFinite(usage.promptTokens) || !Number.isFinite(usage.completionTokens);
+  await noteAiUsage(usageFor, {
+    provider: result.provider,
+    model: usedModel,
+    promptTokens: usage.promptTokens ?? estimateTokens(messages.map((m) => m.content).join('\n')),
+    completionTokens: usage.completionTokens ?? estimateTokens(result.text),
+    estimated,
+    latencyMs: Date.now() - startedAt,
+    attempts: result.attempts,
+  });
+  if (meta) {
+    meta.provider = result.provider;
+    meta.attempts = result.attempts;
+    meta.fallback = result.provider !== provider;
+  }
+  if (stream) return result.text;
+  return result.text || '응답을 생성하지 못했습니다.';
+}
+
+// 사용량 로그에 호출 한 번을 추가. 기록에 실패해도 이미 받은 답변(또는 원래 오류)은 그대로 돌려줌
+async function noteAiUsage(usageFor, entry) {
+  const record = usageFor?.sessionKey ? findSession(usageFor.sessionKey) : null;
+  if (!record) return;
+  try {
+    await store.appendUsage(record.sessionKey, [
+      createUsageEntry({ ...entry, stage: usageFor.stage, purpose: usageFor.purpose }),
+    ]);
+  } catch (err) {
+    console.error('[Usage] Failed to record AI usage', record.sessionKey, err.message);
   }
-  const data = await resp.json();
-  const text =
-    data?.choices?.[0]?.message?.content ||
-    data?.data?.[0]?.text ||
-    '응답을 생성하지 못했습니다.';
-  return String(text || '').trim();
+}
+
+// 학생별 AI 사용량 한도(차시·하루)를 넘었으면 { scope, used, limit }, 아니면 null
+async function findUsageLimitExceeded(record, stage) {
+  const limits = getEffectiveAiConfig(record.cohort || '').usageLimits;
+  if (!limits?.stageTokens && !limits?.dayTokens) return null;
+  return checkUsageLimits(await store.listUsage(record.sessionKey), stage, limits);
+}
+
+// 학생별 AI 사용량 한도(차시·하루)를 넘었으면 429로 거절
+async function enforceAiUsageLimits(sessionKey, stage) {
+  const record = sessionKey ? findSession(sessionKey) : null;
+  if (!record) return;
+  const exceeded = await findUsageLimitExceeded(record, stage);
+  if (!exceeded) return;
+  throw createHttpError(
+    429,
+    exceeded.scope === 'stage'
+      ? '이번 차시에 쓸 수 있는 AI 사용량을 모두 썼어요. 지금까지 나눈 대화를 바탕으로 활동을 이어 가고, 더 필요하면 선생님께 말씀해 주세요.'
+      : '오늘 쓸 수 있는 AI 사용량을 모두 썼어요. 내일 다시 이용할 수 있고, 급하면 선생님께 말씀해 주세요.'
+  );
+}
+
+// 3-2차시 평가·요약은 OpenAI gpt-4.1을 쓰되, Vertex AI·OpenAI 호환 서버·모의 AI를 고른 경우 그 제공자의 모델을 씀
+// (비활성화는 그대로 비활성화)
+function resolveEvaluationModel(provider) {
+  if (['vertex', 'compatible', 'mock', 'none'].includes(provider)) return { provider, model: null };
+  return { provider: 'openai', model: 'gpt-4.1' };
+}
+
+/**
+ * 차시에 쓸 AI 설정. 차시 안내의 AI 설정 → AI 설정 카드(학급 포함) → 기존 단계별 기본값 순서로 정합니다.
+ * 기본값: 2차시 Perplexity(자동 선택일 때), 3-2차시부터 평가 모델, 최근 대화 30개(3-2차시부터는 이전 차시 요약을 대신 씀)
+ * { provider, model, temperature, maxTokens, historyWindow }
+ */
+function resolveStageAi(stage, group, cohort = '') {
+  const s = Number(stage || 1);
+  const stageAi = sanitizeStageAi(getStagePrompt(s, cohort)?.ai);
+  const historyWindow = stageAi.historyWindow ?? (s < 3 ? 30 : 0);
+  if (stageAi.provider) return { ...stageAi, historyWindow };
+  const provider = resolveAiProvider(s, group, cohort);
+  const fallback = s >= 3 ? resolveEvaluationModel(provider) : { provider, model: null };
+  return {
+    ...stageAi,
+    provider: fallback.provider,
+    model: stageAi.model || fallback.model,
+    historyWindow,
+  };
 }
 
 function buildDictionaryResult(term) {
@@ -1036,123 +1776,93 @@ function buildDictionaryResult(term) {
   };
 }
 
-// ----- Stage 전환 로직 -----
-function ensureStage(record, target) {
+// ----- Stage 전환 로직 (관리자 설정의 워크플로를 따름) -----
+// 학급에 워크플로가 없으면 전역 워크플로를 따름
+function getWorkflow(cohort = '') {
+  return findCohort(cohort)?.overrides?.workflow || runtimeOverrides.workflow || defaultWorkflow();
+}
+
+// 진행 설정(일정)은 학급마다 따로 정함
+function getPacing(cohort = '') {
+  const entry = findCohort(cohort);
+  if (entry) return entry.overrides?.pacing || defaultPacing();
+  return runtimeOverrides.pacing || defaultPacing();
+}
+
+// 학급에 루브릭이 없으면 전역 루브릭을 따름
+function getRubric(cohort = '') {
+  return findCohort(cohort)?.overrides?.rubric || runtimeOverrides.rubric || null;
+}
+
+// 단계가 바뀌면 이동 기록(type, actor)을 남김
+function ensureStage(record, target, { type = 'auto', actor = 'student' } = {}) {
+  const now = Date.now();
+  recordStageEvent(record, { from: Number(record.stage || 1), to: target, type, actor, now });
   record.stage = target;
-  record.updatedAt = Date.now();
+  record.updatedAt = now;
+}
+
+// 교사가 잠근 단계로는 이동하지 않음 (현재 단계에 머무는 것은 허용)
+function moveToStage(record, target, type) {
+  if (target === Number(record.stage || 1)) return;
+  assertStageOpen(getPacing(record.cohort), record, target);
+  ensureStage(record, target, { type });
 }
 
 function handleAdvanceToPeer(record) {
-  const stage = Number(record.stage || 1);
-  const group = String(record.group || '').toUpperCase();
-  if (stage === 2) {
-    if (!record.draftText) {
-      throw createHttpError(400, '2단계 메모를 먼저 저장하세요.');
-    }
-    if (group === 'C') {
-      ensureStage(record, 4);
-    } else {
-      ensureStage(record, 3);
-    }
-  } else if (stage === 3) {
-    if (!record.notesText) {
-      throw createHttpError(400, '3단계 메모를 먼저 저장하세요.');
-    }
-    ensureStage(record, 4);
-  } else if (stage < 2) {
-    ensureStage(record, 2);
-  }
+  const target = nextStage(getWorkflow(record.cohort), record);
+  if (target) moveToStage(record, target, 'advance');
 }
 
 function handleAdvanceToFinal(record) {
-  const group = String(record.group || '').toUpperCase();
-  const stage = Number(record.stage || 1);
-  if ((group === 'A' || group === 'B') && !record.notesText) {
-    throw createHttpError(400, '3단계 메모를 먼저 저장하세요.');
-  }
-  if (group !== 'C' && stage < 3) {
-    throw createHttpError(400, '최종 단계로 이동하기 전에 이전 단계를 완료하세요.');
-  }
-  if (!record.draftText) {
-    throw createHttpError(400, '2단계 메모를 먼저 저장하세요.');
-  }
+  const target = finalStageFor(getWorkflow(record.cohort), record);
+  assertStageOpen(getPacing(record.cohort), record, target);
   record.finalText = record.finalText || '';
-  ensureStage(record, 4);
+  ensureStage(record, target, { type: 'advance-final' });
 }
 
+// force는 잠금과 진행 조건을 무시하는 교사용 이동 (학생 API에서는 쓰지 않음)
 function handleJump(record, desired, options = {}) {
+  const target = jumpTarget(getWorkflow(record.cohort), record, desired, options);
   if (options.force) {
-    ensureStage(record, desired);
+    if (target !== Number(record.stage || 1)) ensureStage(record, target, { type: 'forced', actor: 'admin' });
     return;
   }
-  const group = String(record.group || '').toUpperCase();
-  const currentStage = Number(record.stage || 1);
-  if (desired === 3 && !(group === 'A' || group === 'B')) {
-    throw createHttpError(400, '해당 집단은 3단계가 없습니다.');
-  }
-  if (desired === currentStage) return;
-  const movingForward = desired > currentStage;
-  if (movingForward) {
-    if (desired === 2 && !record.preText) {
-      throw createHttpError(400, '사전 글쓰기를 먼저 제출하세요.');
-    }
-    if (desired === 3 && !record.draftText) {
-      throw createHttpError(400, '2단계 메모를 먼저 저장하세요.');
-    }
-    if (desired === 4) {
-      if (group === 'A' || group === 'B') {
-        if (!record.notesText) throw createHttpError(400, '3단계 메모를 먼저 저장하세요.');
-      } else if (group === 'C') {
-        if (!record.draftText) throw createHttpError(400, '2단계 메모를 먼저 저장하세요.');
-      } else if (!record.finalText && !record.finalSubmittedAt) {
-        throw createHttpError(400, '최종 단계로 이동 조건이 충족되지 않았습니다.');
-      }
-    }
-  } else {
-    if (desired === 2 && !record.preText) {
-      throw createHttpError(400, '사전 글쓰기를 먼저 제출하세요.');
-    }
-    if (desired === 3 && !record.draftText) {
-      throw createHttpError(400, '2단계 메모를 먼저 저장하세요.');
-    }
-  }
-  ensureStage(record, desired);
+  moveToStage(record, target, 'jump');
 }
 
 function handleRegress(record) {
-  const currentStage = Number(record.stage || 1);
-  const group = String(record.group || '').toUpperCase();
-  if (currentStage <= 1) return;
-  if (currentStage === 2) ensureStage(record, 1);
-  else if (currentStage === 3) ensureStage(record, 2);
-  else if (currentStage >= 4) ensureStage(record, group === 'C' ? 2 : 3);
-}
-
-// ----- AI 클라이언트/설정 -----
-function ensureOpenAiClient() {
-  const config = getEffectiveAiConfig();
-  const apiKey = config.openai.apiKey || '';
-  if (!apiKey) {
-    throw createHttpError(500, 'OpenAI API 키가 설정되지 않았습니다.');
-  }
-  const signature = [
-    apiKey,
-    config.openai.baseUrl || '',
-    config.openai.organization || '',
-  ].join('|');
-  if (!openAiClient || openAiClientSignature !== signature) {
-    openAiClient = new (OpenAI.default || OpenAI)({
-      apiKey,
-      baseURL: config.openai.baseUrl || undefined,
-      organization: config.openai.organization || undefined,
-    });
-    openAiClientSignature = signature;
-  }
-  return openAiClient;
+  const target = previousStage(getWorkflow(record.cohort), record);
+  if (target) moveToStage(record, target, 'regress');
+}
+
+// 글을 저장하면 그 글을 요구하는 단계까지 이동 (예: 3단계 메모 저장 → 3단계). 잠긴 단계면 저장만 함
+function catchUpToFieldStage(record, field) {
+  const target = stageForSavedField(getWorkflow(record.cohort), record, field);
+  if (target && !stageLock(getPacing(record.cohort), record.group, target)) ensureStage(record, target);
+}
+
+// 한 번만 내는 글(사전 글쓰기)은 제출하면 그 단계를 마친 것이므로 다음 단계로 이동 (잠겨 있으면 머묾)
+function completeFieldStage(record, field) {
+  catchUpToFieldStage(record, field);
+  const current = getWorkflow(record.cohort).stages.find((entry) => entry.stage === Number(record.stage || 1));
+  if (current?.requires !== field) return;
+  const target = nextStage(getWorkflow(record.cohort), record);
+  if (target && !stageLock(getPacing(record.cohort), record.group, target)) ensureStage(record, target);
+}
+
+// 글을 덮어쓰기 전에 저장 당시 단계와 함께 수정 기록을 남김
+function saveWritingText(record, field, text, savedAtField) {
+  const now = Date.now();
+  recordRevision(record, field, text, { stage: record.stage, now });
+  record[field] = text;
+  record[savedAtField] = now;
+  clearAutosave(record, field);
 }
 
-function getEffectiveTemperature() {
-  const config = getEffectiveAiConfig();
+// ----- AI 설정 -----
+function getEffectiveTemperature(cohort = '') {
+  const config = getEffectiveAiConfig(cohort);
   return Number.isFinite(config.temperature) ? config.temperature : 0.6;
 }
 
@@ -1180,6 +1890,20 @@ app.use((req, res, next) => {
   return next(createHttpError(401, 'API 키가 유효하지 않습니다.'));
 });
 
+// 버킷을 여러 인스턴스가 공유할 때, 요청을 처리하기 전에 다른 인스턴스의 변경을 반영
+app.use(API_PREFIX, (_req, _res, next) => {
+  store.refreshIfStale().then(
+    () => {
+      syncRuntimeOverrides();
+      next();
+    },
+    (err) => {
+      console.warn('[FileStore] Failed to refresh shared data', err.message);
+      next();
+    }
+  );
+});
+
 // ----- 라우트 정의 -----
 const router = express.Router();
 const adminRouter = express.Router();
@@ -1207,106 +1931,381 @@ adminRouter.post('/logout', requireAdminAuth, (req, res) => {
 
 adminRouter.use(requireAdminAuth);
 
-adminRouter.get('/config', (_req, res) => {
-  res.json(buildAdminConfigResponse());
-});
-
-adminRouter.post('/config', async (req, res, next) => {
+// 이후 관리자 API는 req.cohort(선택한 학급, 빈 문자열이면 기본 학급)를 기준으로 동작
+adminRouter.use((req, _res, next) => {
   try {
-    await applyAdminOverrides(req.body || {});
-    res.json(buildAdminConfigResponse());
+    req.cohort = resolveAdminCohort(req);
+    next();
   } catch (err) {
     next(err);
   }
 });
 
-adminRouter.get('/public-settings', (_req, res) => {
-  res.json(store.publicSettings || defaultPublicSettings());
+// ----- 학급(코호트) -----
+adminRouter.get('/cohorts', (_req, res) => {
+  res.json({ cohorts: listCohortSummaries(), defaultName: DEFAULT_COHORT_NAME });
 });
 
-adminRouter.post('/public-settings', async (req, res, next) => {
+// { code, name, copyFrom }: copyFrom 학급(없으면 기본 학급)의 공개 설정·AI 설정을 복사해 시작
+adminRouter.post('/cohorts', async (req, res, next) => {
   try {
-    store.publicSettings = sanitizePublicSettings(req.body || {}, store.publicSettings);
-    await store.savePublicSettings();
-    res.json(store.publicSettings);
+    const code = normalizeCohortCode(req.body?.code);
+    if (!isCohortCode(code)) {
+      throw createHttpError(400, '학급 코드는 영문 소문자·숫자·하이픈 2~32자로 입력하세요.');
+    }
+    if (findCohort(code)) throw createHttpError(409, '이미 있는 학급 코드입니다.');
+    const source = resolveCohort(req.body?.copyFrom);
+    const sourceOverrides = source ? findCohort(source).overrides : runtimeOverrides;
+    const cohort = createCohortRecord(
+      { code, name: req.body?.name },
+      {
+        publicSettings: getPublicSettings(source),
+        overrides: { ...sourceOverrides, workflow: sourceOverrides?.workflow ?? null, pacing: null },
+      }
+    );
+    store.cohorts = [...store.cohorts, cohort];
+    await store.saveCohorts();
+    res.json({ cohort: summarizeCohort(cohort, store.sessions) });
   } catch (err) {
     next(err);
   }
 });
 
-adminRouter.get('/sessions', (_req, res) => {
-  const sessions =
-    store.sessions?.map((record) => buildAdminSessionSummary(record)) || [];
-  res.json({ sessions });
-});
-
-// ⚠️ export 라우트는 /sessions/:sessionKey 보다 먼저 선언해야 함
-adminRouter.get('/sessions/export', async (req, res, next) => {
+adminRouter.post('/cohorts/:code', async (req, res, next) => {
   try {
-    const format = parseExportFormat(req.query?.format);
-    const scopes = parseExportScopes(req.query?.scopes);
-    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
-    if (format === 'csv') {
-      const csv = await buildExportCsv(scopes);
-      res.setHeader(
-        'Content-Disposition',
-        `attachment; filename="writingresearch-export-${stamp}.csv"`
-      );
-      res.setHeader('Content-Type', 'text/csv;charset=utf-8');
-      return res.send(csv);
-    }
-    const workbook = await buildExportWorkbook(scopes);
-    const buffer = await workbook.xlsx.writeBuffer();
-    const extension = format === 'xls' ? 'xls' : 'xlsx';
-    const contentType =
-      format === 'xls'
-        ? 'application/vnd.ms-excel'
-        : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-    res.setHeader(
-      'Content-Disposition',
-      `attachment; filename="writingresearch-export-${stamp}.${extension}"`
-    );
-    res.setHeader('Content-Type', contentType);
-    res.send(Buffer.from(buffer));
+    const cohort = findCohort(req.params.code);
+    if (!cohort) throw createHttpError(404, '학급을 찾을 수 없습니다.');
+    renameCohort(cohort, req.body?.name);
+    await store.saveCohorts();
+    res.json({ cohort: summarizeCohort(cohort, store.sessions) });
   } catch (err) {
     next(err);
   }
 });
 
-// 간편 전체 내보내기 (충돌 우회용): format만 받고 모든 스코프 포함
-adminRouter.get('/export-all', async (req, res, next) => {
+// 세션이 남아 있는 학급은 지울 수 없음 (세션을 먼저 정리)
+adminRouter.delete('/cohorts/:code', async (req, res, next) => {
   try {
-    const format = parseExportFormat(req.query?.format);
-    const scopes = ['all', 'ai-chat', 'stage1', 'stage2', 'stage3', 'final'];
-    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
-    if (format === 'csv') {
-      const csv = await buildExportCsv(scopes);
-      res.setHeader(
-        'Content-Disposition',
-        `attachment; filename="writingresearch-export-${stamp}.csv"`
-      );
-      res.setHeader('Content-Type', 'text/csv;charset=utf-8');
-      return res.send(csv);
+    const cohort = findCohort(req.params.code);
+    if (!cohort) throw createHttpError(404, '학급을 찾을 수 없습니다.');
+    if (store.sessions.some((record) => record.cohort === cohort.code)) {
+      throw createHttpError(409, '이 학급에 학생 세션이 있어 삭제할 수 없습니다. 세션을 먼저 삭제하세요.');
     }
-    const workbook = await buildExportWorkbook(scopes);
-    const buffer = await workbook.xlsx.writeBuffer();
-    const extension = format === 'xls' ? 'xls' : 'xlsx';
-    const contentType =
-      format === 'xls'
-        ? 'application/vnd.ms-excel'
-        : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-    res.setHeader(
-      'Content-Disposition',
-      `attachment; filename="writingresearch-export-${stamp}.${extension}"`
-    );
-    res.setHeader('Content-Type', contentType);
-    res.send(Buffer.from(buffer));
+    await snapshotBeforeDestructiveAction('before-cohort-delete');
+    store.cohorts = store.cohorts.filter((entry) => entry.code !== cohort.code);
+    await store.saveCohorts();
+    res.json({ ok: true });
   } catch (err) {
     next(err);
   }
 });
 
-adminRouter.get('/sessions/:sessionKey', (req, res, next) => {
+adminRouter.get('/config', (req, res) => {
+  res.json(buildAdminConfigResponse(req.cohort));
+});
+
+// 학급을 고른 경우 AI 모델·온도·시스템 프롬프트만 그 학급에 저장 (API 키는 기본 학급에서)
+adminRouter.post('/config', async (req, res, next) => {
+  try {
+    if (req.cohort) {
+      const { provider, temperature, systemPrompt, openai, perplexity, vertex, compatible } = req.body || {};
+      await applyCohortOverrides(req.cohort, {
+        provider,
+        temperature,
+        systemPrompt,
+        openai: { model: openai?.model },
+        perplexity: { model: perplexity?.model },
+        vertex: { model: vertex?.model },
+        compatible: { model: compatible?.model },
+      });
+    } else {
+      const mockErrors = validateMockReplies(req.body?.mock?.replies);
+      if (mockErrors.length) {
+        throw createHttpError(400, `모의 AI 답변 목록이 올바르지 않습니다. ${mockErrors.join(' ')}`);
+      }
+      await applyAdminOverrides(req.body || {});
+    }
+    res.json(buildAdminConfigResponse(req.cohort));
+  } catch (err) {
+    next(err);
+  }
+});
+
+adminRouter.get('/public-settings', (req, res) => {
+  res.json(getPublicSettings(req.cohort));
+});
+
+adminRouter.post('/public-settings', async (req, res, next) => {
+  try {
+    const settings = sanitizePublicSettings(req.body || {}, getPublicSettings(req.cohort));
+    res.json(await saveCohortPublicSettings(req.cohort, settings));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ----- 차시 AI 프롬프트 변수 -----
+adminRouter.get('/prompt-variables', (_req, res) => {
+  res.json({ variables: PROMPT_VARIABLES });
+});
+
+// { stage, template, sessionKey }: 저장 전 프롬프트도 미리 볼 수 있도록 template을 받음 (없으면 저장된 프롬프트)
+// 이전 차시 요약은 저장된 것만 씀 (미리보기 때문에 AI를 부르지 않음)
+adminRouter.post('/prompt-preview', (req, res, next) => {
+  try {
+    const stage = Number(req.body?.stage || 0);
+    if (!stage) throw createHttpError(400, 'stage가 필요합니다.');
+    const sessionKey = String(req.body?.sessionKey || '');
+    const record = sessionKey ? findSession(sessionKey) : null;
+    if (sessionKey && !record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
+    const cohort = record ? record.cohort || '' : req.cohort;
+    const template =
+      typeof req.body?.template === 'string' ? req.body.template : getStagePrompt(stage, cohort)?.aiPrompt || '';
+    const values = buildPromptVariables(record, stage, cohort, {
+      previousStageSummary: record && stage > 1 ? getStoredSummary(record, stage - 1)?.text || '' : '',
+    });
+    res.json({
+      stage,
+      sessionKey: record?.sessionKey || '',
+      rendered: renderPromptTemplate(template.trim(), values),
+      variables: PROMPT_VARIABLES.map((variable) => ({ ...variable, value: values[variable.key] || '' })),
+      unknown: findUnknownPromptVariables(template),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ----- 단계 진행 규칙(워크플로) -----
+adminRouter.get('/workflow', (req, res) => {
+  res.json(buildWorkflowResponse(req.cohort));
+});
+
+// { workflow: null }을 보내면 기본 워크플로로 되돌림
+adminRouter.post('/workflow', async (req, res, next) => {
+  try {
+    const workflow = req.body?.workflow ?? null;
+    if (workflow !== null) {
+      const errors = validateWorkflow(workflow);
+      if (errors.length) {
+        throw createHttpError(400, `워크플로 설정이 올바르지 않습니다. ${errors.join(' ')}`);
+      }
+    }
+    if (req.cohort) {
+      await applyCohortOverrides(req.cohort, { workflow });
+    } else {
+      const current = store.adminOverrides || defaultAdminOverrides();
+      await applyAdminOverrides({ ...current, workflow });
+    }
+    res.json(buildWorkflowResponse(req.cohort));
+  } catch (err) {
+    next(err);
+  }
+});
+
+adminRouter.get('/pacing', (req, res) => {
+  res.json(buildPacingResponse(req.cohort));
+});
+
+// { pacing: { rules: [] } } 또는 { pacing: null }(모두 열기)
+adminRouter.post('/pacing', async (req, res, next) => {
+  try {
+    const pacing = req.body?.pacing ?? null;
+    if (pacing !== null) {
+      const errors = validatePacing(pacing);
+      if (errors.length) {
+        throw createHttpError(400, `진행 설정이 올바르지 않습니다. ${errors.join(' ')}`);
+      }
+    }
+    if (req.cohort) {
+      await applyCohortOverrides(req.cohort, { pacing });
+    } else {
+      const current = store.adminOverrides || defaultAdminOverrides();
+      await applyAdminOverrides({ ...current, pacing });
+    }
+    res.json(buildPacingResponse(req.cohort));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ----- 루브릭 채점 -----
+adminRouter.get('/rubric', (req, res) => {
+  res.json(buildRubricResponse(req.cohort));
+});
+
+// { rubric: null }을 보내면 루브릭을 지움 (학급은 전역 루브릭을 따름)
+adminRouter.post('/rubric', async (req, res, next) => {
+  try {
+    const rubric = req.body?.rubric ?? null;
+    if (rubric !== null) {
+      const errors = validateRubric(rubric);
+      if (errors.length) {
+        throw createHttpError(400, `루브릭이 올바르지 않습니다. ${errors.join(' ')}`);
+      }
+    }
+    if (req.cohort) {
+      await applyCohortOverrides(req.cohort, { rubric });
+    } else {
+      const current = store.adminOverrides || defaultAdminOverrides();
+      await applyAdminOverrides({ ...current, rubric });
+    }
+    res.json(buildRubricResponse(req.cohort));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 채점 현황: 학생별 총점과 마지막 채점 작업
+adminRouter.get('/scores', (req, res) => {
+  const rubric = getRubric(req.cohort);
+  const sessions = rubric
+    ? store.sessions
+      .filter((record) => (record.cohort || '') === req.cohort)
+      .map((record) => {
+        const scores = buildScoreView(record);
+        return {
+          sessionKey: record.sessionKey,
+          studentId: record.studentId || '',
+          studentName: record.studentName || '',
+          hasFinal: Boolean(String(record.finalText || '').trim()),
+          total: scores.total,
+          maxTotal: scores.maxTotal,
+          complete: scores.complete,
+          stale: scores.stale,
+          overridden: scores.criteria.some((criterion) => criterion.teacherScore !== null),
+          scorerLabel: scores.scorerLabel,
+          scoredAt: scores.scoredAt,
+        };
+      })
+    : [];
+  res.json({ rubric, job: scoringJobs.get(req.cohort) || null, sessions, cohort: req.cohort });
+});
+
+// { scorer, force, sessionKeys }: 채점 작업을 시작하고 바로 작업 상태를 돌려줌 (진행 상황은 GET /scores)
+adminRouter.post('/scores/run', (req, res, next) => {
+  try {
+    const rubric = getRubric(req.cohort);
+    if (!rubric) throw createHttpError(400, '루브릭을 먼저 저장하세요.');
+    const scorer = req.body?.scorer || rubric.scorer;
+    if (!RUBRIC_SCORERS.includes(scorer)) throw createHttpError(400, '알 수 없는 채점 방식입니다.');
+    const sessionKeys = Array.isArray(req.body?.sessionKeys) ? req.body.sessionKeys.map(String) : null;
+    const job = startScoringJob(req.cohort, rubric, { scorer, force: req.body?.force === true, sessionKeys });
+    res.status(202).json({ job });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 교사가 학생을 특정 단계로 옮김 (잠금·진행 조건 무시)
+adminRouter.post('/sessions/:sessionKey/stage', async (req, res, next) => {
+  try {
+    const key = decodeURIComponent(req.params.sessionKey);
+    const record = findSession(key);
+    if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
+    const desired = Number(req.body?.stage || 0);
+    if (!desired) throw createHttpError(400, 'stage가 필요합니다.');
+    handleJump(record, desired, { force: true });
+    await store.saveSessions();
+    res.json(buildSessionState(record));
+  } catch (err) {
+    next(err);
+  }
+});
+
+adminRouter.get('/sessions', (req, res) => {
+  const sessions =
+    store.sessions
+      ?.filter((record) => (record.cohort || '') === req.cohort)
+      .map((record) => buildAdminSessionSummary(record)) || [];
+  res.json({ sessions, cohort: req.cohort });
+});
+
+// AI 사용량: 모델·차시·날짜·학생별 토큰과 예상 비용, 현재 한도
+adminRouter.get('/usage', async (req, res, next) => {
+  try {
+    const records = store.sessions.filter((record) => (record.cohort || '') === req.cohort);
+    res.json({
+      usage: summarizeUsage(records, await loadUsageByKey(records)),
+      limits: getEffectiveAiConfig(req.cohort).usageLimits,
+      cohort: req.cohort,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ⚠️ export 라우트는 /sessions/:sessionKey 보다 먼저 선언해야 함
+adminRouter.get('/sessions/export', async (req, res, next) => {
+  try {
+    const format = parseExportFormat(req.query?.format);
+    const scopes = parseExportScopes(req.query?.scopes);
+    const privacy = parseExportPrivacy(req.query);
+    const cohort = req.cohort ?? resolveAdminCohort(req);
+    const stamp = `${cohort ? `${cohort}-` : ''}${new Date().toISOString().replace(/[:.]/g, '-')}${privacy.pseudonymize ? '-pseudonymized' : ''}`;
+    if (format === 'csv') {
+      const csv = await buildExportCsv(scopes, privacy, cohort);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="writingresearch-export-${stamp}.csv"`
+      );
+      res.setHeader('Content-Type', 'text/csv;charset=utf-8');
+      return res.send(csv);
+    }
+    const workbook = await buildExportWorkbook(scopes, privacy, cohort);
+    const buffer = await workbook.xlsx.writeBuffer();
+    const extension = format === 'xls' ? 'xls' : 'xlsx';
+    const contentType =
+      format === 'xls'
+        ? 'application/vnd.ms-excel'
+        : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="writingresearch-export-${stamp}.${extension}"`
+    );
+    res.setHeader('Content-Type', contentType);
+    res.send(Buffer.from(buffer));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 간편 전체 내보내기 (충돌 우회용): format만 받고 모든 스코프 포함
+adminRouter.get('/export-all', async (req, res, next) => {
+  try {
+    const format = parseExportFormat(req.query?.format);
+    const scopes = ['all', 'ai-chat', 'ai-usage', 'stage1', 'stage2', 'stage3', 'final'];
+    const privacy = parseExportPrivacy(req.query);
+    const cohort = req.cohort ?? resolveAdminCohort(req);
+    const stamp = `${cohort ? `${cohort}-` : ''}${new Date().toISOString().replace(/[:.]/g, '-')}${privacy.pseudonymize ? '-pseudonymized' : ''}`;
+    if (format === 'csv') {
+      const csv = await buildExportCsv(scopes, privacy, cohort);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="writingresearch-export-${stamp}.csv"`
+      );
+      res.setHeader('Content-Type', 'text/csv;charset=utf-8');
+      return res.send(csv);
+    }
+    const workbook = await buildExportWorkbook(scopes, privacy, cohort);
+    const buffer = await workbook.xlsx.writeBuffer();
+    const extension = format === 'xls' ? 'xls' : 'xlsx';
+    const contentType =
+      format === 'xls'
+        ? 'application/vnd.ms-excel'
+        : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="writingresearch-export-${stamp}.${extension}"`
+    );
+    res.setHeader('Content-Type', contentType);
+    res.send(Buffer.from(buffer));
+  } catch (err) {
+    next(err);
+  }
+});
+
+adminRouter.get('/sessions/:sessionKey', (req, res, next) => {
   try {
     const record = findSession(req.params.sessionKey);
     if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
@@ -1316,14 +2315,14 @@ adminRouter.get('/sessions/:sessionKey', (req, res, next) => {
   }
 });
 
-adminRouter.get('/sessions/:sessionKey/chats/:channel', (req, res, next) => {
+adminRouter.get('/sessions/:sessionKey/chats/:channel', async (req, res, next) => {
   try {
     const record = findSession(req.params.sessionKey);
     if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
     const channel = req.params.channel;
     if (channel === 'ai') {
       const sessionId = `ai:${record.sessionKey}`;
-      return res.json({ messages: collectMessages(sessionId, 'ai-feedback') });
+      return res.json({ messages: await collectMessages(sessionId, 'ai-feedback') });
     }
     throw createHttpError(400, '알 수 없는 채널입니다.');
   } catch (err) {
@@ -1331,6 +2330,115 @@ adminRouter.get('/sessions/:sessionKey/chats/:channel', (req, res, next) => {
   }
 });
 
+adminRouter.get('/sessions/:sessionKey/revisions', (req, res, next) => {
+  try {
+    const record = findSession(req.params.sessionKey);
+    if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
+    const revisions = listRevisions(record).map((revision) => ({
+      ...revision,
+      stageName: revision.stage ? getStageLabelName(revision.stage, record.cohort) : '',
+    }));
+    res.json({ sessionKey: record.sessionKey, fields: REVISION_FIELD_LABELS, revisions });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// { stage, stance: 'pro' | 'con' | null }: 교사가 토론 차시 입장을 정함 (null이면 지워 학생이 고르거나 뒤집어 씀)
+adminRouter.post('/sessions/:sessionKey/stance', async (req, res, next) => {
+  try {
+    const record = findSession(req.params.sessionKey);
+    if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
+    const stage = Number(req.body?.stage || 0);
+    if (!isDebateStage(stage)) throw createHttpError(400, `stage는 ${DEBATE_STAGES.join(', ')} 중 하나여야 합니다.`);
+    const stance = req.body?.stance === null || req.body?.stance === '' ? null : normalizeStance(req.body?.stance);
+    if (stance === null && req.body?.stance) throw createHttpError(400, 'stance는 pro, con 또는 null이어야 합니다.');
+    setStance(record, stage, stance, { by: 'admin' });
+    await store.saveSessions();
+    res.json({ session: buildAdminSessionDetail(record) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 이전 차시 대화 요약: 목록(원문이 바뀐 요약은 stale), 고치기(빈 글이면 지움), 다시 요약
+adminRouter.get('/sessions/:sessionKey/summaries', async (req, res, next) => {
+  try {
+    const record = findSession(req.params.sessionKey);
+    if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
+    res.json({ sessionKey: record.sessionKey, summaries: await buildSummaryList(record) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+adminRouter.post('/sessions/:sessionKey/summaries/:stage', async (req, res, next) => {
+  try {
+    const record = findSession(req.params.sessionKey);
+    if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
+    const stage = Number(req.params.stage || 0);
+    if (!stage) throw createHttpError(400, 'stage가 필요합니다.');
+    if (typeof req.body?.text !== 'string') throw createHttpError(400, 'text 값이 필요합니다.');
+    editSummary(record, stage, req.body.text);
+    await store.saveSessions();
+    res.json({ sessionKey: record.sessionKey, summaries: await buildSummaryList(record) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+adminRouter.post('/sessions/:sessionKey/summaries/:stage/regenerate', async (req, res, next) => {
+  try {
+    const record = findSession(req.params.sessionKey);
+    if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
+    const stage = Number(req.params.stage || 0);
+    if (!stage) throw createHttpError(400, 'stage가 필요합니다.');
+    const summary = await ensureStageSummary(record, stage, { force: true });
+    if (!summary) throw createHttpError(400, '요약할 대화가 없거나 아직 진행 중인 차시입니다.');
+    res.json({ sessionKey: record.sessionKey, summaries: await buildSummaryList(record) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 교사 점수 { scores: { [기준 id]: 점수 | null }, note }: null이면 채점 점수로 되돌림
+adminRouter.post('/sessions/:sessionKey/scores', async (req, res, next) => {
+  try {
+    const record = findSession(decodeURIComponent(req.params.sessionKey));
+    if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
+    const rubric = getRubric(record.cohort || '');
+    if (!rubric) throw createHttpError(400, '루브릭을 먼저 저장하세요.');
+    const changes = req.body?.scores || {};
+    const errors = validateScoreOverrides(rubric, changes);
+    if (errors.length) throw createHttpError(400, errors.join(' '));
+    overrideScores(record, changes, req.body?.note);
+    await store.saveSessions();
+    res.json({ scores: buildScoreView(record) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 한 학생만 바로 다시 채점 ({ scorer }, 같은 글이어도 다시 채점)
+adminRouter.post('/sessions/:sessionKey/scores/run', async (req, res, next) => {
+  try {
+    const record = findSession(decodeURIComponent(req.params.sessionKey));
+    if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
+    const rubric = getRubric(record.cohort || '');
+    if (!rubric) throw createHttpError(400, '루브릭을 먼저 저장하세요.');
+    const scorer = req.body?.scorer || rubric.scorer;
+    if (!RUBRIC_SCORERS.includes(scorer)) throw createHttpError(400, '알 수 없는 채점 방식입니다.');
+    try {
+      await scoreSession(record, rubric, { scorer, force: true });
+    } finally {
+      await store.saveSessions();
+    }
+    res.json({ scores: buildScoreView(record) });
+  } catch (err) {
+    next(err);
+  }
+});
+
 adminRouter.post('/sessions/:sessionKey/partner', async (req, res, next) => {
   try {
     const sessionKey = req.params.sessionKey;
@@ -1360,6 +2468,7 @@ adminRouter.post('/sessions/bulk-delete', async (req, res, next) => {
   try {
     const keys = Array.isArray(req.body?.sessionKeys) ? req.body.sessionKeys : [];
     if (!keys.length) throw createHttpError(400, '삭제할 세션이 없습니다.');
+    await snapshotBeforeDestructiveAction('before-bulk-delete');
     const result = await deleteSessionsByKeys(keys);
     res.json(result);
   } catch (err) {
@@ -1373,9 +2482,11 @@ router.get('/admin/sessions/export', requireAdminAuth, async (req, res, next) =>
   try {
     const format = parseExportFormat(req.query?.format);
     const scopes = parseExportScopes(req.query?.scopes);
-    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const privacy = parseExportPrivacy(req.query);
+    const cohort = req.cohort ?? resolveAdminCohort(req);
+    const stamp = `${cohort ? `${cohort}-` : ''}${new Date().toISOString().replace(/[:.]/g, '-')}${privacy.pseudonymize ? '-pseudonymized' : ''}`;
     if (format === 'csv') {
-      const csv = await buildExportCsv(scopes);
+      const csv = await buildExportCsv(scopes, privacy, cohort);
       res.setHeader(
         'Content-Disposition',
         `attachment; filename="writingresearch-export-${stamp}.csv"`
@@ -1383,7 +2494,7 @@ router.get('/admin/sessions/export', requireAdminAuth, async (req, res, next) =>
       res.setHeader('Content-Type', 'text/csv;charset=utf-8');
       return res.send(csv);
     }
-    const workbook = await buildExportWorkbook(scopes);
+    const workbook = await buildExportWorkbook(scopes, privacy, cohort);
     const buffer = await workbook.xlsx.writeBuffer();
     const extension = format === 'xls' ? 'xls' : 'xlsx';
     const contentType =
@@ -1401,24 +2512,201 @@ router.get('/admin/sessions/export', requireAdminAuth, async (req, res, next) =>
   }
 });
 
-adminRouter.get('/roster', (_req, res) => {
-  res.json(store.roster || defaultRoster());
+adminRouter.get('/roster', (req, res) => {
+  res.json(getCohortRoster(req.cohort));
+});
+
+adminRouter.post('/roster', async (req, res, next) => {
+  try {
+    const { students, pairings } = normalizeRosterPayload(req.body || {});
+    const roster = { students: carryOverPins(students, getCohortRoster(req.cohort)), pairings };
+    await snapshotBeforeDestructiveAction('before-roster-save');
+    const matchups = pairings.map((pair) => ({
+      studentIdA: pair.primary.id,
+      nameA: pair.primary.name || '',
+      studentIdB: pair.partner.id,
+      nameB: pair.partner.name || '',
+      group: inferGroupFromId(pair.primary.id),
+    }));
+    await saveCohortRoster(req.cohort, roster, matchups);
+    res.json(roster);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 명단 로그인용 PIN 발급 { regenerate, studentIds }: 기본은 PIN이 없는 학생에게만 발급
+adminRouter.post('/roster/pins', async (req, res, next) => {
+  try {
+    const current = getCohortRoster(req.cohort);
+    if (!current.students?.length) throw createHttpError(400, '명단에 학생이 없습니다.');
+    const { roster, issued } = assignPins(current, {
+      regenerate: req.body?.regenerate === true,
+      studentIds: Array.isArray(req.body?.studentIds) ? req.body.studentIds : null,
+    });
+    if (issued) {
+      await snapshotBeforeDestructiveAction('before-pin-issue');
+      await saveCohortRoster(req.cohort, roster, getCohortMatchups(req.cohort));
+    }
+    res.json({ roster, issued });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ----- 스냅샷 (시점 복원) -----
+adminRouter.get('/snapshots', async (_req, res, next) => {
+  try {
+    res.json({ snapshots: await snapshots.list() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+adminRouter.post('/snapshots', async (req, res, next) => {
+  try {
+    const meta = await createSnapshot(store, snapshots, {
+      reason: 'manual',
+      label: req.body?.label || '',
+    });
+    res.json({ snapshot: meta });
+  } catch (err) {
+    next(err);
+  }
+});
+
+adminRouter.get('/snapshots/:snapshotId/diff', async (req, res, next) => {
+  try {
+    const snapshot = await loadSnapshotOrThrow(req.params.snapshotId);
+    const current = await collectSnapshotData(store);
+    res.json({ snapshot: snapshot.meta, diff: diffSnapshotData(snapshot.data, current) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+adminRouter.get('/snapshots/:snapshotId/download', async (req, res, next) => {
+  try {
+    const snapshot = await loadSnapshotOrThrow(req.params.snapshotId);
+    res.setHeader('Content-Disposition', `attachment; filename="${snapshot.meta.id}.zip"`);
+    res.setHeader('Content-Type', 'application/zip');
+    await pipeSnapshotArchive(snapshot, res);
+  } catch (err) {
+    next(err);
+  }
+});
+
+adminRouter.post('/snapshots/:snapshotId/restore', async (req, res, next) => {
+  try {
+    const snapshot = await loadSnapshotOrThrow(req.params.snapshotId);
+    // 복원도 되돌릴 수 있도록 현재 상태를 먼저 남김
+    const safety = await snapshotBeforeDestructiveAction('before-restore');
+    const salt = store.adminOverrides?.privacy?.pseudonymSalt || null;
+    await restoreSnapshotData(store, snapshot.data);
+    syncRuntimeOverrides();
+    // 가명이 바뀌지 않도록 salt는 복원하지 않고 현재 값을 유지
+    if (salt && runtimeOverrides.privacy?.pseudonymSalt !== salt) {
+      await savePrivacySettings({ pseudonymSalt: salt });
+    }
+    res.json({ ok: true, restored: snapshot.meta, safetySnapshot: safety });
+  } catch (err) {
+    next(err);
+  }
+});
+
+adminRouter.delete('/snapshots/:snapshotId', async (req, res, next) => {
+  try {
+    await loadSnapshotOrThrow(req.params.snapshotId);
+    await snapshots.remove(req.params.snapshotId);
+    res.json({ ok: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ----- 개인정보 보호: 보관 정책, 학생별 삭제 -----
+adminRouter.get('/privacy', (_req, res) => {
+  res.json(buildPrivacyResponse());
+});
+
+adminRouter.post('/privacy', async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    await savePrivacySettings({
+      retentionDays: body.retentionDays ?? null,
+      retentionAction: body.retentionAction,
+    });
+    res.json(buildPrivacyResponse());
+  } catch (err) {
+    next(err);
+  }
+});
+
+adminRouter.post('/privacy/retention/run', async (_req, res, next) => {
+  try {
+    if (!(runtimeOverrides.privacy?.retentionDays > 0)) {
+      throw createHttpError(400, '보관 기간이 설정되어 있지 않습니다.');
+    }
+    lastRetentionResult = await applyRetentionPolicy();
+    res.json(lastRetentionResult);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ----- 대화 검사(모더레이션) -----
+// 검토 목록: ?status=open(기본) | confirmed | dismissed | all
+adminRouter.get('/moderation', (req, res) => {
+  const status = [...MODERATION_STATUSES, 'all'].includes(req.query.status) ? req.query.status : 'open';
+  const records = store.sessions.filter((record) => (record.cohort || '') === req.cohort);
+  res.json({
+    settings: getModerationSettings(),
+    items: listModerationFlags(records, { status }),
+    open: listModerationFlags(records, { status: 'open' }).length,
+    status,
+    cohort: req.cohort,
+  });
 });
 
-adminRouter.post('/roster', async (req, res, next) => {
+// 검사 설정은 모든 학급에 함께 적용
+adminRouter.post('/moderation/settings', async (req, res, next) => {
   try {
-    const { students, pairings } = normalizeRosterPayload(req.body || {});
-    const roster = { students, pairings };
-    await store.saveRoster(roster);
-    store.matchups = pairings.map((pair) => ({
-      studentIdA: pair.primary.id,
-      nameA: pair.primary.name || '',
-      studentIdB: pair.partner.id,
-      nameB: pair.partner.name || '',
-      group: inferGroupFromId(pair.primary.id),
-    }));
-    await store.saveMatchups();
-    res.json(roster);
+    const input = req.body?.moderation;
+    const errors = validateModerationSettings(input);
+    if (errors.length) throw createHttpError(400, `검사 설정이 올바르지 않습니다. ${errors.join(' ')}`);
+    const current = store.adminOverrides || defaultAdminOverrides();
+    await applyAdminOverrides({ ...current, moderation: { ...getModerationSettings(), ...input } });
+    res.json({ settings: getModerationSettings() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// { status: confirmed | dismissed | open, note }
+adminRouter.post('/moderation/items/:flagId', async (req, res, next) => {
+  try {
+    const flagId = String(req.params.flagId || '');
+    const record = store.sessions.find(
+      (entry) => (entry.cohort || '') === req.cohort && (entry.moderationFlags || []).some((flag) => flag.id === flagId)
+    );
+    if (!record) throw createHttpError(404, '검토 항목을 찾을 수 없습니다.');
+    const status = req.body?.status;
+    if (typeof status !== 'undefined' && !MODERATION_STATUSES.includes(status)) {
+      throw createHttpError(400, `status는 ${MODERATION_STATUSES.join(', ')} 중 하나여야 합니다.`);
+    }
+    const flag = reviewModerationFlag(record, flagId, { status, note: req.body?.note });
+    await store.saveSessions();
+    res.json({ item: listModerationFlags([record], { status: 'all' }).find((entry) => entry.id === flag.id) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+adminRouter.delete('/students/:studentId', async (req, res, next) => {
+  try {
+    const studentId = String(req.params.studentId || '').trim();
+    if (!studentId) throw createHttpError(400, '식별 번호가 필요합니다.');
+    res.json(await deleteStudentData(studentId, req.cohort));
   } catch (err) {
     next(err);
   }
@@ -1429,23 +2717,75 @@ router.get('/server/diag', (_req, res) => {
     ok: true,
     dataDir: DATA_DIR,
     publicDir: PUBLIC_DIR,
+    storageEngine: store.engine.name,
+    objectStore: objectStore.name,
     sessions: store.sessions.length,
-    messages: store.messages.length,
+    cachedMessageLogs: store.messageCache.size,
     time: new Date().toISOString(),
   });
 });
 
-router.get('/public-settings', (_req, res) => {
-  res.json(store.publicSettings || defaultPublicSettings());
+// ?cohort=학급코드: 그 학급의 차시 안내·제시문 (없는 코드는 404)
+router.get('/public-settings', (req, res, next) => {
+  try {
+    res.json(getPublicSettings(resolveCohort(req.query?.cohort)));
+  } catch (err) {
+    next(err);
+  }
 });
 
 router.post('/session/start', async (req, res, next) => {
   try {
-    const { group, studentId, studentName } = req.body || {};
+    const { group, studentName } = req.body || {};
+    let { studentId } = req.body || {};
     requireBodyFields(req.body, ['group', 'studentId', 'studentName']);
-    const record = ensureSession(group, studentId, studentName);
+    const cohort = resolveCohort(req.body?.cohort);
+    if (isRosterLoginRequired(cohort)) {
+      // 세션 키가 명단과 같은 표기가 되도록 명단의 식별 번호를 씀
+      studentId = checkRosterLogin(cohort, { studentId, studentName, pin: req.body?.pin }).id;
+    }
+    const record = ensureSession(group, studentId, studentName, cohort);
     await store.saveSessions();
-    res.json(buildSessionState(record));
+    const { token, expiresAt } = createStudentToken(record.sessionKey, await ensureStudentTokenSecret(), {
+      ttlMs: STUDENT_TOKEN_TTL_MS,
+    });
+    // 자동 저장된 작성 중인 글은 로그인할 때만 내려보냄 (학생 화면이 복원)
+    res.json({
+      ...buildSessionState(record),
+      autosave: pendingAutosave(record),
+      cohortName: cohort ? findCohort(cohort).name : '',
+      token,
+      tokenExpiresAt: expiresAt,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 명단 로그인이 켜져 있으면 /session/:sessionKey/*, /chat/* 요청은 본인 토큰이 있어야 함
+router.use('/session/:sessionKey', (req, _res, next) => {
+  try {
+    const record = findSession(decodeURIComponent(req.params.sessionKey));
+    if (record) assertStudentAccess(req, [record]);
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.use('/chat', (req, _res, next) => {
+  try {
+    const sessionId = req.query?.sessionId || req.body?.sessionId;
+    if (!sessionId) throw createHttpError(400, 'sessionId가 필요합니다.');
+    const records = findChatSessions(sessionId);
+    // 세션과 이어지지 않은 채널은 토큰 확인·사용량 계산을 건너뛰게 되므로 받지 않음
+    if (!records.length) throw createHttpError(404, '대화 세션을 찾을 수 없습니다. 다시 로그인하세요.');
+    assertStudentAccess(req, records);
+    // 프롬프트 자료·요약 저장·사용량은 metadata.sessionKey의 세션 기준이므로 그 세션도 따로 본인 것이어야 함
+    const metaKey = req.body?.metadata?.sessionKey;
+    const metaRecord = metaKey ? findSession(metaKey) : null;
+    if (metaRecord) assertStudentAccess(req, [metaRecord]);
+    next();
   } catch (err) {
     next(err);
   }
@@ -1462,6 +2802,43 @@ router.get('/session/:sessionKey', (req, res, next) => {
   }
 });
 
+// 3-2·4-2차시 돌아보기 화면의 이전 차시 대화 요약 (저장된 요약이 없거나 원문이 바뀌었으면 새로 만듦)
+router.get('/session/:sessionKey/summaries/:stage', async (req, res, next) => {
+  try {
+    const record = findSession(decodeURIComponent(req.params.sessionKey));
+    if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
+    const stage = Number(req.params.stage || 0);
+    if (!stage) throw createHttpError(400, 'stage가 필요합니다.');
+    const summary = await ensureStageSummary(record, stage).catch(() => getStoredSummary(record, stage));
+    res.json({
+      stage,
+      summary: summary
+        ? { text: summary.text, generatedAt: Number(summary.generatedAt || 0), edited: summary.edited === true }
+        : null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// { stage, stance: 'pro' | 'con' }: 지금 진행 중인 토론 차시의 입장 고르기
+router.post('/session/:sessionKey/stance', async (req, res, next) => {
+  try {
+    const record = findSession(decodeURIComponent(req.params.sessionKey));
+    if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
+    const stage = Number(req.body?.stage || record.stage || 1);
+    const stance = normalizeStance(req.body?.stance);
+    if (!stance) throw createHttpError(400, 'stance는 pro 또는 con이어야 합니다.');
+    const blocked = studentStanceBlockReason(record, stage);
+    if (blocked) throw createHttpError(409, blocked);
+    setStance(record, stage, stance, { by: 'student' });
+    await store.saveSessions();
+    res.json(buildSessionState(record));
+  } catch (err) {
+    next(err);
+  }
+});
+
 router.post('/session/:sessionKey/prewriting', async (req, res, next) => {
   try {
     requireBodyFields(req.body, ['text']);
@@ -1469,9 +2846,8 @@ router.post('/session/:sessionKey/prewriting', async (req, res, next) => {
     const record = findSession(key);
     if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
     if (record.preText) throw createHttpError(400, '이미 사전 글쓰기가 제출되었습니다.');
-    record.preText = String(req.body.text || '').trim();
-    record.preSubmittedAt = Date.now();
-    if ((record.stage || 1) < 2) ensureStage(record, 2);
+    saveWritingText(record, 'preText', String(req.body.text || '').trim(), 'preSubmittedAt');
+    completeFieldStage(record, 'preText');
     record.updatedAt = Date.now();
     await store.saveSessions();
     res.json(buildSessionState(record));
@@ -1486,9 +2862,8 @@ router.post('/session/:sessionKey/draft', async (req, res, next) => {
     const key = decodeURIComponent(req.params.sessionKey);
     const record = findSession(key);
     if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
-    record.draftText = String(req.body.text || '').trim();
-    record.draftSavedAt = Date.now();
-    if ((record.stage || 1) < 2) ensureStage(record, 2);
+    saveWritingText(record, 'draftText', String(req.body.text || '').trim(), 'draftSavedAt');
+    catchUpToFieldStage(record, 'draftText');
     record.updatedAt = Date.now();
     await store.saveSessions();
     res.json(buildSessionState(record));
@@ -1503,12 +2878,8 @@ router.post('/session/:sessionKey/notes', async (req, res, next) => {
     const key = decodeURIComponent(req.params.sessionKey);
     const record = findSession(key);
     if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
-    record.notesText = String(req.body.text || '').trim();
-    record.notesUpdatedAt = Date.now();
-    const group = String(record.group || '').toUpperCase();
-    if ((record.stage || 1) < 3 && (group === 'A' || group === 'B')) {
-      ensureStage(record, 3);
-    }
+    saveWritingText(record, 'notesText', String(req.body.text || '').trim(), 'notesUpdatedAt');
+    catchUpToFieldStage(record, 'notesText');
     record.updatedAt = Date.now();
     await store.saveSessions();
     res.json(buildSessionState(record));
@@ -1525,9 +2896,11 @@ router.post('/session/:sessionKey/final', async (req, res, next) => {
     if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
     const text = String(req.body.text || '').trim();
     if (!text) throw createHttpError(400, '최종 제출할 글이 없습니다.');
-    record.finalText = text;
-    record.finalSubmittedAt = Date.now();
-    ensureStage(record, 4);
+    const finalStage = getWorkflow(record.cohort).stages.find((entry) => entry.final);
+    const target = finalStage ? finalStage.stage : Number(record.stage || 1);
+    if (target !== Number(record.stage || 1)) assertStageOpen(getPacing(record.cohort), record, target);
+    saveWritingText(record, 'finalText', text, 'finalSubmittedAt');
+    ensureStage(record, target, { type: 'final-submit' });
     await store.saveSessions();
     res.json(buildSessionState(record));
   } catch (err) {
@@ -1567,8 +2940,7 @@ router.post('/session/:sessionKey/jump', async (req, res, next) => {
     const record = findSession(key);
     if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
     const desired = Math.min(5, Math.max(1, Number(req.body?.stage || 0) || 1));
-    const force = Boolean(req.body?.force);
-    handleJump(record, desired, { force });
+    handleJump(record, desired);
     await store.saveSessions();
     res.json(buildSessionState(record));
   } catch (err) {
@@ -1589,6 +2961,44 @@ router.post('/session/:sessionKey/regress', async (req, res, next) => {
   }
 });
 
+// 작성 중인 글 자동 저장 (제출된 글과 따로 보관, updatedAt은 바꾸지 않음)
+router.post('/session/:sessionKey/autosave', async (req, res, next) => {
+  try {
+    const key = decodeURIComponent(req.params.sessionKey);
+    const record = findSession(key);
+    if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
+    const fields = req.body?.fields;
+    if (!fields || typeof fields !== 'object') throw createHttpError(400, 'fields가 필요합니다.');
+    if (applyAutosave(record, fields, { stage: record.stage })) {
+      await store.saveSessions();
+    }
+    res.json({ ok: true, savedAt: Date.now() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 글쓰기 과정 기록 묶음 (관리자가 켜고 학생이 동의한 경우만)
+router.post('/session/:sessionKey/telemetry', async (req, res, next) => {
+  try {
+    const key = decodeURIComponent(req.params.sessionKey);
+    const record = findSession(key);
+    if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다.');
+    if (!getPublicSettings(record.cohort).telemetryEnabled) {
+      throw createHttpError(403, '글쓰기 과정 기록이 꺼져 있습니다.');
+    }
+    if (req.body?.consent !== true) throw createHttpError(400, '글쓰기 과정 기록에 동의해야 합니다.');
+    const batch = sanitizeTelemetryBatch(req.body || {});
+    if (batch) {
+      applyTelemetryBatch(record, batch);
+      await store.saveSessions();
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
 router.post('/session/:sessionKey/presence/touch', (req, res) => {
   const key = decodeURIComponent(req.params.sessionKey);
   const record = findSession(key);
@@ -1606,14 +3016,14 @@ router.post('/session/:sessionKey/presence/leave', (req, res) => {
   res.json({ ok: true });
 });
 
-router.get('/chat/:channel/messages', (req, res, next) => {
+router.get('/chat/:channel/messages', async (req, res, next) => {
   try {
     const { channel } = req.params;
     const sessionId = req.query.sessionId;
     const since = Number(req.query.since || 0) || 0;
     if (!sessionId) throw createHttpError(400, 'sessionId가 필요합니다.');
-    const list = store.messages
-      .filter((m) => m.channel === channel && m.sessionId === sessionId && Number(m.ts || 0) > since)
+    const list = (await store.listMessages(String(sessionId)))
+      .filter((m) => m.channel === channel && Number(m.ts || 0) > since)
       .sort((a, b) => Number(a.ts) - Number(b.ts));
     res.json(list);
   } catch (err) {
@@ -1626,7 +3036,22 @@ router.post('/chat/:channel/send', async (req, res, next) => {
     const { channel } = req.params;
     const { sessionId, group, userId, userName, role, text, metadata } = req.body || {};
     requireBodyFields(req.body, ['sessionId', 'text']);
+    const sender = findSenderSession(sessionId, userId);
+    const moderation = await moderateText(String(text || ''), {
+      source: 'student',
+      record: sender,
+      chatSessionId: sessionId,
+      channel,
+      stage: sender?.stage,
+      senderId: userId,
+      senderName: userName,
+    });
+    if (moderation.flag) await store.saveSessions();
+    if (moderation.blocked) throw createHttpError(422, BLOCKED_STUDENT_MESSAGE);
     const ts = Date.now();
+    // AI 대화에는 보낼 때의 학생 입장을 남김 (saveAiReply와 같이)
+    const stance =
+      channel === 'ai-feedback' ? resolveStance(findChatSessions(sessionId)[0], metadata?.stage)?.stance : null;
     const message = {
       ts,
       sessionId,
@@ -1637,10 +3062,13 @@ router.post('/chat/:channel/send', async (req, res, next) => {
       senderName: userName || '',
       role: role || 'user',
       text: String(text || ''),
-      ext: metadata || {},
+      ext: {
+        ...(metadata || {}),
+        ...(stance ? { stance } : {}),
+        ...(moderation.flagged ? { moderation: { flagged: true, flagId: moderation.flag?.id || '' } } : {}),
+      },
     };
-    store.messages.push(message);
-    await store.saveMessages();
+    await store.appendMessage(message);
     res.json({ ok: true, ts });
   } catch (err) {
     next(err);
@@ -1651,32 +3079,136 @@ router.post('/chat/ai/respond', async (req, res, next) => {
   try {
     const { sessionId, group, userMessage, context, metadata } = req.body || {};
     requireBodyFields(req.body, ['sessionId', 'userMessage']);
-    const sessionInfo = resolveSessionInfo(sessionId, metadata);
+    const sessionInfo = resolveSessionInfo(req);
     const stage = sessionInfo.stage || 1;
     const effectiveGroup = (sessionInfo.group || group || '').toUpperCase();
-    const provider = resolveAiProvider(stage, effectiveGroup);
+    await enforceAiUsageLimits(sessionInfo.sessionKey, stage);
+    await assertStudentMessageAllowed(userMessage);
+    const { provider } = resolveStageAi(stage, effectiveGroup, sessionInfo.cohort);
+    const meta = {};
+    let text;
+    try {
+      text = await generateAiFeedback(userMessage, effectiveGroup, context, {
+        stage,
+        sessionId,
+        sessionKey: sessionInfo.sessionKey,
+        cohort: sessionInfo.cohort,
+        meta,
+      });
+    } catch (err) {
+      // 제공자 호출까지 간 실패(attempts가 있음)만 대화 기록·실패 횟수에 남김
+      if (err.attempts) {
+        await saveAiFailure({
+          sessionId,
+          sessionKey: sessionInfo.sessionKey,
+          group: effectiveGroup,
+          err,
+          metadata,
+          provider,
+          stage,
+          userMessage,
+        });
+      }
+      throw err;
+    }
+    const screened = await moderateAiReply(text, { sessionId, sessionKey: sessionInfo.sessionKey, stage });
+    const ts = await saveAiReply({
+      sessionId,
+      group: effectiveGroup,
+      text: screened.text,
+      metadata,
+      provider: meta.provider || provider,
+      stage,
+      extra: { ...(meta.fallback ? { fallback: true } : {}), ...screened.extra },
+    });
+    res.json({ ok: true, text: screened.text, ts });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 스트리밍 응답(SSE): 토큰을 받는 대로 보내고, 끝나면 전체 글을 저장
+// 학생이 중단하면(연결 종료) 모델 호출도 멈추고 그때까지 받은 글만 cancelled 표시와 함께 저장
+// 재시도·대체 제공자까지 실패하면 오류 항목을 저장하고 error 이벤트에 그 ts를 함께 보냄
+// AI 답변 검사를 켜 두면 검사하기 전에는 보여 주지 않도록 토큰을 모았다가 검사한 답변을 한 번에 보냄
+router.post('/chat/ai/respond/stream', async (req, res, next) => {
+  const { sessionId, group, userMessage, context, metadata } = req.body || {};
+  let sessionInfo;
+  try {
+    requireBodyFields(req.body, ['sessionId', 'userMessage']);
+    sessionInfo = resolveSessionInfo(req);
+    await enforceAiUsageLimits(sessionInfo.sessionKey, sessionInfo.stage);
+    await assertStudentMessageAllowed(userMessage);
+  } catch (err) {
+    next(err);
+    return;
+  }
+  const { stage } = sessionInfo;
+  const effectiveGroup = (sessionInfo.group || group || '').toUpperCase();
+  const { provider } = resolveStageAi(stage, effectiveGroup, sessionInfo.cohort);
+  const holdTokens = isModerationActive('ai');
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  const sse = openSseStream(res);
+  const meta = {};
+  let received = '';
+  try {
     const text = await generateAiFeedback(userMessage, effectiveGroup, context, {
-      provider,
       stage,
       sessionId,
+      sessionKey: sessionInfo.sessionKey,
+      cohort: sessionInfo.cohort,
+      meta,
+      stream: {
+        signal: controller.signal,
+        onToken: (token) => {
+          received += token;
+          if (!holdTokens) sse.send('token', { text: token });
+        },
+      },
     });
-    const ts = Date.now();
-    const message = {
-      ts,
-      sessionId,
-      channel: 'ai-feedback',
-      group: effectiveGroup,
-      senderId: 'AI',
-      senderName: 'AI',
-      role: 'ai',
-      text,
-      ext: { ...(req.body?.metadata || {}), provider, stage },
-    };
-    store.messages.push(message);
-    await store.saveMessages();
-    res.json({ ok: true, text, ts });
+    const cancelled = controller.signal.aborted;
+    const finalText = cancelled ? received.trim() : text;
+    if (finalText) {
+      const screened = await moderateAiReply(finalText, { sessionId, sessionKey: sessionInfo.sessionKey, stage });
+      if (holdTokens) sse.send('token', { text: screened.text });
+      const ts = await saveAiReply({
+        sessionId,
+        group: effectiveGroup,
+        text: screened.text,
+        metadata,
+        provider: meta.provider || provider,
+        stage,
+        extra: {
+          ...(cancelled ? { cancelled: true } : {}),
+          ...(meta.fallback ? { fallback: true } : {}),
+          ...screened.extra,
+        },
+      });
+      sse.send('done', { ok: true, text: screened.text, ts });
+    }
   } catch (err) {
-    next(err);
+    if (!controller.signal.aborted) {
+      console.error('[ERROR]', err.status || 500, err.message);
+      let ts = null;
+      if (err.attempts) {
+        ts = await saveAiFailure({
+          sessionId,
+          sessionKey: sessionInfo.sessionKey,
+          group: effectiveGroup,
+          err,
+          metadata,
+          provider,
+          stage,
+          userMessage,
+        }).catch(() => null);
+      }
+      sse.send('error', { error: err.message || 'AI 응답 생성에 실패했습니다.', status: err.status || 500, ts });
+    }
+  } finally {
+    sse.close();
   }
 });
 
@@ -1694,17 +3226,21 @@ app.use(`${API_PREFIX}/admin`, adminRouter);
 app.use(API_PREFIX, router);
 
 // 정적 파일 서빙(가능한 경우)
-if (PUBLIC_DIR) {
-  app.use(express.static(PUBLIC_DIR));
+// 화면 파일만 내보냄: 저장소 루트를 그대로 쓰는 로컬 실행에서 local-data(명단 PIN, 토큰 서명 키,
+// 스냅샷 등)나 소스 파일이 주소로 내려받아지지 않도록 디렉터리 전체를 서빙하지 않음
+const PUBLIC_FILES = ['index.html', 'admin.html', 'chat.html', 'modal.html', 'app-config.js', 'chatgpt.png'];
 
-  const serveHtml = (file) => (req, res, next) =>
+if (PUBLIC_DIR) {
+  const serveFile = (file) => (req, res, next) =>
     res.sendFile(path.join(PUBLIC_DIR, file), (err) => {
       if (err) next(err);
     });
 
-  app.get('/admin', serveHtml('admin.html'));
-  app.get('/chat', serveHtml('chat.html'));
-  app.get('/modal', serveHtml('modal.html'));
+  app.get('/', serveFile('index.html'));
+  PUBLIC_FILES.forEach((file) => app.get(`/${file}`, serveFile(file)));
+  app.get('/admin', serveFile('admin.html'));
+  app.get('/chat', serveFile('chat.html'));
+  app.get('/modal', serveFile('modal.html'));
 }
 
 // 헬스체크
@@ -1735,71 +3271,477 @@ app.listen(PORT, () => {
 });
 
 // ----- 보조 -----
-function resolveSessionInfo(sessionId, metadata) {
-  const metaKey = metadata?.sessionKey || '';
+// ----- 대화 검사(모더레이션) -----
+const BLOCKED_STUDENT_MESSAGE = '수업에 맞지 않는 표현이 있어 메시지를 보내지 않았습니다. 표현을 고쳐 다시 보내 주세요.';
+
+// 학급과 관계없이 전역 설정을 씀 (OpenAI 키도 기본 학급 설정에서)
+function getModerationSettings() {
+  return runtimeOverrides.moderation || defaultModerationSettings();
+}
+
+function isModerationActive(source) {
+  const settings = getModerationSettings();
+  if (!settings.enabled || !(source === 'ai' ? settings.checkAi : settings.checkStudent)) return false;
+  return buildModerationCheckers(settings).length > 0;
+}
+
+function buildModerationCheckers(settings) {
+  const checkers = [];
+  if (settings.keywords.length || settings.patterns.length) checkers.push(createKeywordChecker(settings));
+  if (settings.provider === 'openai') checkers.push(createOpenAiModerationChecker(getEffectiveAiConfig('').openai));
+  return checkers;
+}
+
+// 메시지를 보낸 학생의 세션 (AI 대화는 그 세션, 동료 대화는 방에서 보낸 학생)
+function findSenderSession(sessionId, userId) {
+  const candidates = findChatSessions(sessionId);
+  if (String(sessionId || '').startsWith('ai:')) return candidates[0] || null;
+  return candidates.find((record) => record.studentId === String(userId || '')) || null;
+}
+
+// 검토 목록에 함께 보여 줄 앞선 대화
+async function buildModerationContext(chatSessionId, channel) {
+  const list = (await store.listMessages(chatSessionId)).filter((m) => !channel || m.channel === channel);
+  return list
+    .slice()
+    .sort((a, b) => Number(a.ts || 0) - Number(b.ts || 0))
+    .slice(-MODERATION_CONTEXT_SIZE)
+    .map((m) => ({ ts: Number(m.ts || 0), role: m.role || '', senderName: m.senderName || '', text: m.text || '' }));
+}
+
+/**
+ * 학생 메시지(source: student)나 AI 답변(source: ai)을 검사합니다.
+ * 걸리면 record(보낸 학생의 세션)에 항목을 남기고(저장은 호출한 쪽에서) { flagged, blocked, flag }를 돌려줍니다.
+ * record가 없으면 검사만 합니다.
+ */
+async function moderateText(text, { source, record = null, chatSessionId = '', channel = '', stage, senderId, senderName }) {
+  if (!isModerationActive(source)) return { flagged: false, blocked: false, flag: null };
+  const settings = getModerationSettings();
+  const outcome = await runModerationCheckers(buildModerationCheckers(settings), text);
+  outcome.errors.forEach((error) => console.warn('[Moderation] Checker failed', error.checker, error.message));
+  if (!outcome.flagged) return { flagged: false, blocked: false, flag: null };
+  const action = source === 'ai' ? settings.aiAction : settings.studentAction;
+  const flag = record
+    ? recordModerationFlag(record, {
+      id: crypto.randomUUID(),
+      source,
+      channel,
+      chatSessionId,
+      stage,
+      senderId,
+      senderName,
+      text,
+      action,
+      results: outcome.results,
+      context: chatSessionId ? await buildModerationContext(chatSessionId, channel) : [],
+    })
+    : null;
+  return { flagged: true, blocked: action === 'block', flag };
+}
+
+// AI에 보내기 전 학생 질문 확인. 저장할 때(/chat/:channel/send) 이미 검토 목록에 올렸으므로 여기서는 막기만 함
+async function assertStudentMessageAllowed(userMessage) {
+  const moderation = await moderateText(String(userMessage || ''), { source: 'student' });
+  if (moderation.blocked) throw createHttpError(422, BLOCKED_STUDENT_MESSAGE);
+}
+
+// AI 답변 검사: 막으면 대신 보여 줄 글로 바꾸고, 걸린 답변은 ext.moderation에 항목 id를 남김
+async function moderateAiReply(text, { sessionId, sessionKey, stage }) {
+  const record = sessionKey ? findSession(sessionKey) : null;
+  const moderation = await moderateText(text, {
+    source: 'ai',
+    record,
+    chatSessionId: sessionId,
+    channel: 'ai-feedback',
+    stage,
+    senderId: 'AI',
+    senderName: 'AI',
+  });
+  if (!moderation.flagged) return { text, extra: {} };
+  if (moderation.flag) await store.saveSessions();
+  return {
+    text: moderation.blocked ? BLOCKED_AI_REPLY : text,
+    extra: { moderation: { flagged: true, blocked: moderation.blocked, flagId: moderation.flag?.id || '' } },
+  };
+}
+
+/**
+ * AI 답변을 받을 학생 세션. 올바른 학생 토큰이 있으면 그 세션, 없으면 metadata.sessionKey, ai:<세션키> 순서로 찾습니다.
+ * 사용량 한도·기록이 세션 기준이므로 세션을 찾지 못한 AI 호출은 404로 거절합니다.
+ */
+function resolveSessionInfo(req) {
+  const { sessionId, metadata } = req.body || {};
   const derivedKey =
     typeof sessionId === 'string' && sessionId.startsWith('ai:')
       ? sessionId.slice(3)
       : '';
-  const sessionKey = metaKey || derivedKey;
-  const record = sessionKey
-    ? store.sessions.find((s) => s.sessionKey === sessionKey)
-    : null;
+  const sessionKey = readStudentTokenKey(req) || metadata?.sessionKey || derivedKey;
+  const record = sessionKey ? findSession(sessionKey) : null;
+  if (!record) throw createHttpError(404, '세션을 찾을 수 없습니다. 다시 로그인하세요.');
+  return {
+    sessionKey: record.sessionKey,
+    stage: Number(record.stage || 1),
+    group: record.group,
+    cohort: record.cohort || '',
+  };
+}
+
+// 세션 키 -> 사용량 로그 (관리자 사용량 화면·내보내기용)
+async function loadUsageByKey(records) {
+  const usageByKey = new Map();
+  for (const record of records) {
+    usageByKey.set(record.sessionKey, await store.listUsage(record.sessionKey));
+  }
+  return usageByKey;
+}
+
+// AI 답변을 대화 기록에 저장하고 저장 시각(ts)을 돌려줌
+async function saveAiReply({ sessionId, group, text, metadata, provider, stage, extra = {} }) {
+  const ts = Date.now();
+  // 답할 때의 학생 입장을 남겨 두면 나중에 입장을 바꿔도 대화별로 분석할 수 있음
+  const stance = resolveStance(findChatSessions(sessionId)[0], stage)?.stance;
+  await store.appendMessage({
+    ts,
+    sessionId,
+    channel: 'ai-feedback',
+    group,
+    senderId: 'AI',
+    senderName: 'AI',
+    role: 'ai',
+    text,
+    ext: { ...(metadata || {}), provider, stage, ...(stance ? { stance } : {}), ...extra },
+  });
+  return ts;
+}
+
+/**
+ * 재시도·대체 제공자까지 모두 실패한 AI 호출을 대화 기록에 오류 항목(role: 'error')으로 남기고
+ * 세션의 실패 횟수(record.aiFailures)를 올립니다. 학생 화면은 이 항목에 '다시 시도' 버튼을 붙입니다.
+ */
+async function saveAiFailure({ sessionId, sessionKey, group, err, metadata, provider, stage, userMessage }) {
+  const ts = Date.now();
+  const status = err.status || 500;
+  const detail = err.message || 'AI 응답 생성에 실패했습니다.';
+  await store.appendMessage({
+    ts,
+    sessionId,
+    channel: 'ai-feedback',
+    group,
+    senderId: 'AI',
+    senderName: 'AI',
+    role: 'error',
+    text: 'AI 응답을 받지 못했습니다. 잠시 후 다시 시도해 주세요.',
+    ext: {
+      ...(metadata || {}),
+      provider: err.provider || provider,
+      stage,
+      error: detail,
+      status,
+      attempts: err.attempts || 1,
+      userMessage: String(userMessage || ''),
+    },
+  });
+  const record = sessionKey ? findSession(sessionKey) : null;
+  if (record) {
+    const previous = record.aiFailures || {};
+    record.aiFailures = {
+      count: Number(previous.count || 0) + 1,
+      lastAt: ts,
+      lastError: detail.slice(0, 300),
+      lastStatus: status,
+    };
+    await store.saveSessions();
+  }
+  return ts;
+}
+
+function resolveAiProvider(stage, group, cohort = '') {
+  const config = getEffectiveAiConfig(cohort);
+  if (config.provider && config.provider !== 'auto') {
+    return config.provider;
+  }
+  const s = Number(stage || 1);
+  const g = String(group || '').toUpperCase();
+  // 2차시(스테이지 1): Perplexity 검색형
+  if (s <= 1) return 'perplexity';
+  // 3-1차시(스테이지 2): ChatGPT gpt-4.1-mini
+  if (s === 2) return 'openai';
+  // 3-2차시 이상: ChatGPT gpt-4.1 평가
+  return 'openai';
+}
+
+async function buildTranscriptText(sessionId, options = {}) {
+  if (!sessionId) return '';
+  let list = (await store.listMessages(sessionId)).filter(
+    (m) => m.channel === 'ai-feedback' && m.role !== 'error'
+  );
+  const targetStage = Number(options.stage || 0);
+  if (targetStage) {
+    list = list.filter((m) => Number(m.ext?.stage || 0) === targetStage);
+  }
+  // maxStage: 그 차시까지의 대화만 (차시 정보가 없는 예전 메시지는 포함)
+  const maxStage = Number(options.maxStage || 0);
+  if (maxStage) {
+    list = list.filter((m) => Number(m.ext?.stage || 0) <= maxStage);
+  }
+  if (!list.length) return '';
+  const limit = Number(options.limit || 0);
+  list = list.sort((a, b) => Number(a.ts || 0) - Number(b.ts || 0));
+  if (limit > 0 && list.length > limit) {
+    list = list.slice(-limit);
+  }
+  const lines = list
+    .map((m) => {
+      const role = m.role || m.senderId || '';
+      return `${role}: ${m.text || ''}`;
+    });
+  return lines.join('\n');
+}
+
+async function summarizeTranscript(
+  text,
+  cohort = '',
+  modelOptions = resolveEvaluationModel('openai'),
+  usageFor = null,
+  meta = null,
+) {
+  if (!text || !text.trim()) return '';
+  const systemPrompt =
+    '다음은 학생과 AI의 토론 로그입니다. 핵심 주장, 근거, 반론을 짧게 요약하고, 양측 입장을 균형 있게 정리하세요.';
+  return callAiChat({
+    ...modelOptions,
+    message: text,
+    contextText: '',
+    systemPrompt,
+    cohort,
+    meta,
+    usageFor: usageFor ? { ...usageFor, purpose: 'summary' } : null,
+  });
+}
+
+// 차시 AI 프롬프트의 {{변수}} 값 (services/ai/prompt-template.js). 세션이 없으면 학생 글은 빈칸
+function buildPromptVariables(record, stage, cohort = '', { previousStageSummary = '' } = {}) {
+  return {
+    studentName: record?.studentName || '',
+    prewriting: record?.preText || '',
+    draft: record?.draftText || '',
+    notes: record?.notesText || '',
+    final: record?.finalText || '',
+    promptContent: getPublicSettings(record?.cohort ?? cohort).promptContent || '',
+    stance: STANCE_LABELS[resolveStance(record, stage)?.stance] || '',
+    previousStageSummary,
+  };
+}
+
+// 요약할 원문: stage 차시 대화(previous), 그 차시 대화가 없으면 stage 차시까지의 대화(transcript)
+// 지금 차시 대화는 넣지 않아야 메시지마다 원문이 바뀌어 다시 요약하는 일이 없음
+async function buildSummarySource(sessionId, stage) {
+  const previous = await buildTranscriptText(sessionId, { stage });
+  const transcript = previous || (await buildTranscriptText(sessionId, { maxStage: stage }));
+  return { previous, transcript };
+}
+
+// 같은 세션·차시 요약을 동시에 두 번 만들지 않도록 진행 중인 요약을 나눠 씀
+const summaryJobs = new Map();
+
+/**
+ * stage 차시 대화 요약. 세션에 저장된 요약이 같은 원문에서 나왔거나 관리자가 고친 것이면 그대로 쓰고,
+ * 아니면 새로 요약해 저장합니다. force면 저장된 요약을 무시합니다. 세션이 없으면 저장하지 않고 요약만 합니다.
+ */
+async function resolveTranscriptSummary({ sessionKey, stage, transcript, cohort = '', modelOptions, usageFor = null, force = false }) {
+  const record = sessionKey ? findSession(sessionKey) : null;
+  if (!record) return summarizeTranscript(transcript, cohort, modelOptions, usageFor);
+  const sourceHash = hashTranscript(transcript);
+  const stored = getStoredSummary(record, stage);
+  if (!force && isSummaryReusable(stored, sourceHash)) return stored.text;
+  const jobKey = `${record.sessionKey}|${stage}`;
+  if (summaryJobs.has(jobKey)) return summaryJobs.get(jobKey);
+  const job = (async () => {
+    const meta = {};
+    const text = await summarizeTranscript(transcript, record.cohort || cohort, modelOptions, usageFor, meta);
+    if (!String(text || '').trim()) return '';
+    storeSummary(record, stage, { text, sourceHash, provider: meta.provider });
+    await store.saveSessions();
+    return getStoredSummary(record, stage).text;
+  })().finally(() => summaryJobs.delete(jobKey));
+  summaryJobs.set(jobKey, job);
+  return job;
+}
+
+// 학생 화면·관리자 화면에서 stage 차시 요약이 필요할 때: 대화가 끝난 차시(현재 차시보다 앞)만,
+// 그 차시 요약을 쓰는 다음 차시의 AI 설정으로 만듦. 사용량 한도를 넘었으면 저장된 요약만 돌려줌
+async function ensureStageSummary(record, stage, { force = false } = {}) {
+  const sourceStage = Number(stage);
+  if (!sourceStage || sourceStage >= Number(record.stage || 1)) return null;
+  const sessionId = `ai:${record.sessionKey}`;
+  const { transcript } = await buildSummarySource(sessionId, sourceStage);
+  if (!transcript.trim()) return null;
+  const usingStage = sourceStage + 1;
+  if (!force && (await findUsageLimitExceeded(record, usingStage))) {
+    return getStoredSummary(record, sourceStage);
+  }
+  const stageAi = resolveStageAi(usingStage, record.group, record.cohort || '');
+  await resolveTranscriptSummary({
+    sessionKey: record.sessionKey,
+    stage: sourceStage,
+    transcript,
+    cohort: record.cohort || '',
+    modelOptions: {
+      provider: stageAi.provider,
+      model: stageAi.model,
+      temperature: stageAi.temperature,
+      maxTokens: stageAi.maxTokens,
+    },
+    usageFor: { sessionKey: record.sessionKey, stage: usingStage, purpose: 'summary' },
+    force,
+  });
+  return getStoredSummary(record, sourceStage);
+}
+
+// 관리자 화면용 요약 목록: 원문이 바뀐 요약은 stale로 표시
+async function buildSummaryList(record) {
+  const sessionId = `ai:${record.sessionKey}`;
+  const hashes = {};
+  for (const stage of Object.keys(record.transcriptSummaries || {})) {
+    const { transcript } = await buildSummarySource(sessionId, Number(stage));
+    if (transcript.trim()) hashes[stage] = hashTranscript(transcript);
+  }
+  return listSummaries(record, hashes).map((summary) => ({
+    ...summary,
+    stageName: getStageLabelName(summary.stage, record.cohort),
+  }));
+}
+
+// ----- 루브릭 채점 -----
+// 학급마다 채점 작업은 하나씩만 돌리고, 마지막 작업의 진행 상황을 관리자 화면이 불러 감
+const scoringJobs = new Map();
+
+function buildScoringSource(record, rubric) {
+  const texts = collectRubricTexts(record, rubric);
+  return { texts, sourceHash: hashScoringSource(rubric, texts) };
+}
+
+// 세션 상세·내보내기용 채점 결과 (루브릭이 없으면 null)
+function buildScoreView(record) {
+  const rubric = getRubric(record.cohort || '');
+  if (!rubric) return null;
+  return describeScores(record, rubric, buildScoringSource(record, rubric).sourceHash);
+}
+
+/**
+ * 한 학생의 글을 채점해 레코드에 남깁니다(저장은 호출한 쪽에서). 최종 글이 없으면 400.
+ * scorer: ai(3-2차시 평가 모델) | mock(모의 채점). 같은 글·루브릭을 같은 방식으로 채점했으면 force가 아니면 건너뜀
+ * 교사가 돌리는 채점이므로 학생 사용량 한도는 보지 않고 사용량에만 남김
+ */
+async function scoreSession(record, rubric, { scorer = rubric.scorer, force = false } = {}) {
+  const { texts, sourceHash } = buildScoringSource(record, rubric);
+  if (!texts[0].text) throw createHttpError(400, '최종 글이 없어 채점할 수 없습니다.');
+  if (!force && isScoreCurrent(record, sourceHash) && record.scores.scorer === scorer) return { skipped: true };
+  if (scorer === 'mock') {
+    storeScores(record, mockScore(rubric, texts), { sourceHash, scorer });
+    return { skipped: false };
+  }
+  const cohort = record.cohort || '';
+  const modelOptions = resolveScoringAi(record.group, cohort);
+  const meta = {};
+  const reply = await callAiChat({
+    ...modelOptions,
+    message: buildScoringMessage(texts),
+    systemPrompt: buildScoringPrompt(rubric),
+    temperature: 0,
+    cohort,
+    meta,
+    usageFor: { sessionKey: record.sessionKey, stage: Number(record.stage || 1), purpose: 'scoring' },
+  });
+  let result;
+  try {
+    result = parseScoringReply(reply, rubric);
+  } catch (err) {
+    throw createHttpError(502, err.message);
+  }
+  storeScores(record, result, { sourceHash, scorer, provider: meta.provider || modelOptions.provider });
+  return { skipped: false };
+}
+
+/**
+ * 루브릭 채점에 쓸 AI. 최종 글 단계의 차시 안내 AI 설정 → AI 설정 카드(학급 포함)의 제공자·모델 순서로 정합니다.
+ * 3-2차시 평가 모델(gpt-4.1) 기본값은 쓰지 않고, 모델을 비워 두면 그 제공자의 설정 모델을 씁니다.
+ */
+function resolveScoringAi(group, cohort = '') {
+  const stage = getWorkflow(cohort).stages.find((entry) => entry.final)?.stage || 4;
+  const stageAi = sanitizeStageAi(getStagePrompt(stage, cohort)?.ai);
   return {
-    sessionKey,
-    stage: record ? Number(record.stage || 1) : undefined,
-    group: record ? record.group : undefined,
+    provider: stageAi.provider || resolveAiProvider(stage, group, cohort),
+    model: stageAi.model || null,
+    maxTokens: stageAi.maxTokens ?? null,
   };
 }
 
-function resolveAiProvider(stage, group) {
-  const config = getEffectiveAiConfig();
-  if (config.provider && config.provider !== 'auto') {
-    return config.provider;
+/**
+ * 학급에서 최종 글이 있는 학생을 차례로 채점하는 작업을 시작하고 작업 상태를 돌려줍니다.
+ * sessionKeys를 주면 그 세션만 채점합니다. 한 학생이 실패해도 나머지는 계속 채점합니다.
+ */
+function startScoringJob(cohort, rubric, { scorer, force = false, sessionKeys = null }) {
+  if (scoringJobs.get(cohort)?.status === 'running') {
+    throw createHttpError(409, '이미 채점 중입니다. 끝난 뒤에 다시 시도하세요.');
   }
-  const s = Number(stage || 1);
-  const g = String(group || '').toUpperCase();
-  // 2차시(스테이지 1): Perplexity 검색형
-  if (s <= 1) return 'perplexity';
-  // 3-1차시(스테이지 2): ChatGPT gpt-4.1-mini
-  if (s === 2) return 'openai';
-  // 3-2차시 이상: ChatGPT gpt-4.1 평가
-  return 'openai';
-}
-
-function buildTranscriptText(sessionId, options = {}) {
-  if (!sessionId) return '';
-  let list = (store.messages || []).filter(
-    (m) => m.channel === 'ai-feedback' && m.sessionId === sessionId
+  const targets = store.sessions.filter(
+    (record) =>
+      (record.cohort || '') === cohort
+      && (!sessionKeys || sessionKeys.includes(record.sessionKey))
+      && String(record.finalText || '').trim()
   );
-  const targetStage = Number(options.stage || 0);
-  if (targetStage) {
-    list = list.filter((m) => Number(m.ext?.stage || 0) === targetStage);
-  }
-  if (!list.length) return '';
-  const limit = Number(options.limit || 0);
-  list = list.sort((a, b) => Number(a.ts || 0) - Number(b.ts || 0));
-  if (limit > 0 && list.length > limit) {
-    list = list.slice(-limit);
-  }
-  const lines = list
-    .map((m) => {
-      const role = m.role || m.senderId || '';
-      return `${role}: ${m.text || ''}`;
-    });
-  return lines.join('\n');
+  const job = {
+    id: crypto.randomUUID(),
+    cohort,
+    scorer,
+    scorerLabel: RUBRIC_SCORER_LABELS[scorer],
+    force,
+    status: 'running',
+    total: targets.length,
+    done: 0,
+    scored: 0,
+    skipped: 0,
+    failed: 0,
+    errors: [],
+    startedAt: Date.now(),
+    finishedAt: 0,
+  };
+  scoringJobs.set(cohort, job);
+  (async () => {
+    for (const record of targets) {
+      try {
+        const { skipped } = await scoreSession(record, rubric, { scorer, force });
+        job[skipped ? 'skipped' : 'scored'] += 1;
+      } catch (err) {
+        job.failed += 1;
+        job.errors.push({
+          sessionKey: record.sessionKey,
+          studentName: record.studentName || '',
+          message: err.message || '채점하지 못했습니다.',
+        });
+      }
+      job.done += 1;
+      // 채점 결과와 AI 사용량을 학생마다 저장해 두면 도중에 서버가 멈춰도 다시 채점할 학생만 남음
+      await store.saveSessions().catch((err) => console.error('[Scoring] Failed to save scores', err.message));
+    }
+  })().finally(() => {
+    job.status = 'done';
+    job.finishedAt = Date.now();
+  });
+  return job;
 }
 
-async function summarizeTranscript(text) {
-  if (!text || !text.trim()) return '';
-  const systemPrompt =
-    '다음은 학생과 AI의 토론 로그입니다. 핵심 주장, 근거, 반론을 짧게 요약하고, 양측 입장을 균형 있게 정리하세요.';
-  return callOpenAiChat({
-    message: text,
-    contextText: '',
-    model: 'gpt-4.1',
-    systemPrompt,
-  });
+function buildRubricResponse(cohort = '') {
+  const entry = findCohort(cohort);
+  return {
+    rubric: getRubric(cohort),
+    // 학급에 루브릭이 없어 전역 루브릭을 쓰는 중
+    inherited: Boolean(entry && !entry.overrides?.rubric && runtimeOverrides.rubric),
+    example: exampleRubric(),
+    scorers: RUBRIC_SCORERS.map((id) => ({ id, label: RUBRIC_SCORER_LABELS[id] })),
+    cohort,
+  };
 }
 
 function sanitizeUiText(payload, fallback = defaultUiText()) {
@@ -1854,6 +3796,12 @@ function sanitizePublicSettings(payload, currentSettings = store.publicSettings)
   if (payload.uiTextTypeB && typeof payload.uiTextTypeB === 'object') {
     base.uiTextTypeB = sanitizeUiText(payload.uiTextTypeB, base.uiTextTypeB);
   }
+  if (typeof payload.telemetryEnabled === 'boolean') {
+    base.telemetryEnabled = payload.telemetryEnabled;
+  }
+  if (typeof payload.rosterLoginRequired === 'boolean') {
+    base.rosterLoginRequired = payload.rosterLoginRequired;
+  }
   return base;
 }
 
@@ -1929,38 +3877,37 @@ function normalizeStagePrompts(list, fallback) {
           : typeof item.aiPrompt === 'string'
             ? item.aiPrompt
             : '',
+      // ai를 보내지 않으면 저장된 값 유지, null이면 비움
+      ai: sanitizeStageAi(Object.prototype.hasOwnProperty.call(incoming, 'ai') ? incoming.ai : item.ai),
     };
   });
 }
 
-function mapGroupToTypeKey(_group) {
-  return 'typeA';
-}
-
-function getStageLabelsByType() {
-  return store.publicSettings?.stageLabels || defaultStageLabels();
+function getStageLabelsByType(cohort = '') {
+  return getPublicSettings(cohort).stageLabels || defaultStageLabels();
 }
 
-function getStagePromptsByType() {
-  return store.publicSettings?.stagePrompts || defaultStagePrompts();
+function getStagePromptsByType(cohort = '') {
+  return getPublicSettings(cohort).stagePrompts || defaultStagePrompts();
 }
 
-function getStagePrompt(stage) {
+function getStagePrompt(stage, cohort = '') {
   const idx = Math.max(0, Math.min(defaultStagePrompts().length - 1, Number(stage || 1) - 1));
-  const prompts = getStagePromptsByType();
+  const prompts = getStagePromptsByType(cohort);
   return prompts[idx] || defaultStagePrompts()[idx];
 }
 
-function getStageLabelName(stage) {
+function getStageLabelName(stage, cohort = '') {
   const idx = Math.max(0, Math.min(defaultStageLabels().length - 1, Number(stage || 1) - 1));
-  const labels = getStageLabelsByType();
+  const labels = getStageLabelsByType(cohort);
   return labels[idx]?.name || `단계 ${stage}`;
 }
 
-function collectMessages(sessionId, channel) {
+async function collectMessages(sessionId, channel) {
   if (!sessionId || !channel) return [];
-  return (store.messages || [])
-    .filter((msg) => msg.channel === channel && msg.sessionId === sessionId)
+  return (await store.listMessages(sessionId))
+    .filter((msg) => msg.channel === channel)
+    .slice()
     .sort((a, b) => Number(a.ts || 0) - Number(b.ts || 0))
     .map((msg) => ({
       ts: Number(msg.ts || 0),
@@ -1988,7 +3935,7 @@ async function assignPartnerRecord(record, payload) {
   }
   if (!partnerRecord && partnerId) {
     partnerRecord = store.sessions.find(
-      (s) => s.group === record.group && s.studentId === partnerId
+      (s) => s.group === record.group && sameCohort(s, record) && s.studentId === partnerId
     );
   }
   if (partnerRecord && partnerRecord.sessionKey === record.sessionKey) {
@@ -2018,7 +3965,7 @@ async function clearPartnerRecord(record) {
   if (!record) return;
   if (record.partnerStudentId) {
     const partner = store.sessions.find(
-      (s) => s.group === record.group && s.studentId === record.partnerStudentId
+      (s) => s.group === record.group && sameCohort(s, record) && s.studentId === record.partnerStudentId
     );
     if (partner && partner.partnerStudentId === record.studentId) {
       partner.partnerStudentId = '';
@@ -2031,6 +3978,256 @@ async function clearPartnerRecord(record) {
   record.updatedAt = Date.now();
 }
 
+async function loadSnapshotOrThrow(snapshotId) {
+  if (!isSnapshotId(snapshotId)) throw createHttpError(400, '잘못된 스냅샷 ID입니다.');
+  const snapshot = await snapshots.read(snapshotId);
+  if (!snapshot) throw createHttpError(404, '스냅샷을 찾을 수 없습니다.');
+  return snapshot;
+}
+
+// 되돌릴 수 없는 관리자 작업 전에 스냅샷을 남김 (저장에 실패하면 작업을 진행하지 않음)
+async function snapshotBeforeDestructiveAction(reason) {
+  try {
+    return await createSnapshot(store, snapshots, { reason });
+  } catch (err) {
+    console.error('[Snapshots] Failed to create snapshot', reason, err.message);
+    throw createHttpError(500, '작업 전 스냅샷을 저장하지 못해 작업을 중단했습니다.');
+  }
+}
+
+// 정기 스냅샷: 직전 스냅샷과 내용이 같으면 건너뛰고, 오래된 자동 스냅샷은 정리
+function scheduleSnapshots() {
+  if (!(SNAPSHOT_INTERVAL_HOURS > 0)) return;
+  const run = async () => {
+    try {
+      const meta = await createSnapshot(store, snapshots, {
+        reason: 'scheduled',
+        skipIfUnchanged: true,
+      });
+      if (meta) console.log(`[Snapshots] Created ${meta.id}`);
+      await snapshots.prune(SNAPSHOT_KEEP);
+    } catch (err) {
+      console.error('[Snapshots] Scheduled snapshot failed', err.message);
+    }
+  };
+  setTimeout(run, 30_000).unref();
+  setInterval(run, SNAPSHOT_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+}
+
+// 오래 대화가 없던 세션의 메시지 로그를 보관 영역으로 옮김 (내용은 그대로 유지)
+function scheduleMessageArchiving() {
+  if (!(MESSAGE_ARCHIVE_AFTER_DAYS > 0)) return;
+  const idleMs = MESSAGE_ARCHIVE_AFTER_DAYS * 24 * 60 * 60 * 1000;
+  const run = async () => {
+    try {
+      const result = await store.archiveIdleMessages(idleMs);
+      if (result?.archived) {
+        console.log(`[FileStore] Archived ${result.archived} idle message logs`);
+      }
+    } catch (err) {
+      console.error('[FileStore] Failed to archive message logs', err.message);
+    }
+  };
+  setTimeout(run, 10_000).unref();
+  setInterval(run, MESSAGE_ARCHIVE_INTERVAL_MS).unref();
+}
+
+function buildWorkflowResponse(cohort = '') {
+  const entry = findCohort(cohort);
+  return {
+    workflow: getWorkflow(cohort),
+    isDefault: entry ? !entry.overrides?.workflow : !runtimeOverrides.workflow,
+    defaultWorkflow: defaultWorkflow(),
+    cohort,
+  };
+}
+
+function buildPacingResponse(cohort = '') {
+  return { pacing: getPacing(cohort), now: Date.now(), cohort };
+}
+
+function buildPrivacyResponse() {
+  const privacy = runtimeOverrides.privacy || {};
+  return {
+    retentionDays: privacy.retentionDays ?? null,
+    retentionAction: privacy.retentionAction || 'anonymize',
+    pseudonymSaltSource: PSEUDONYM_SALT ? 'env' : privacy.pseudonymSalt ? 'config' : 'none',
+    lastRetention: lastRetentionResult,
+  };
+}
+
+async function savePrivacySettings(patch) {
+  const current = store.adminOverrides || defaultAdminOverrides();
+  await applyAdminOverrides({ ...current, privacy: { ...(current.privacy || {}), ...patch } });
+  return runtimeOverrides.privacy;
+}
+
+// 가명은 salt가 같아야 내보낼 때마다 같으므로, 환경 변수가 없으면 한 번 만들어 저장해 둠
+async function ensurePseudonymSalt() {
+  if (PSEUDONYM_SALT) return PSEUDONYM_SALT;
+  const current = runtimeOverrides.privacy?.pseudonymSalt;
+  if (current) return current;
+  const { pseudonymSalt } = await savePrivacySettings({ pseudonymSalt: generatePseudonymSalt() });
+  return pseudonymSalt;
+}
+
+/**
+ * 보관 기간이 지난 세션·대화를 가명 처리하거나 삭제합니다.
+ * 기간이 지난 스냅샷은 지우고, 남은 스냅샷에도 같은 규칙을 적용해 원본이 남지 않게 합니다.
+ */
+async function applyRetentionPolicy(now = Date.now()) {
+  const { retentionDays, retentionAction } = runtimeOverrides.privacy || {};
+  if (!(retentionDays > 0)) return null;
+  const cutoff = now - retentionDays * DAY_MS;
+  const action = retentionAction === 'delete' ? 'delete' : 'anonymize';
+  const pseudonymize = createPseudonymizer(await ensurePseudonymSalt());
+  const scrubber = createScrubber(
+    collectIdentities(store.sessions, store.roster, store.cohorts),
+    pseudonymize
+  );
+  const result = {
+    action,
+    cutoff,
+    ranAt: now,
+    sessions: 0,
+    messageLogs: 0,
+    snapshotsRemoved: 0,
+    snapshotsRewritten: 0,
+  };
+
+  const expired = store.sessions.filter(
+    (record) => !record.anonymizedAt && sessionLastActivity(record) < cutoff
+  );
+  const handledLogs = new Set();
+  if (expired.length && action === 'delete') {
+    result.sessions = (await deleteSessionsByKeys(expired.map((record) => record.sessionKey))).deleted;
+  } else if (expired.length) {
+    const replacements = new Map();
+    for (const record of expired) {
+      const anonymized = anonymizeSessionRecord(record, pseudonymize, scrubber, now);
+      const fromId = `ai:${record.sessionKey}`;
+      const toId = `ai:${anonymized.sessionKey}`;
+      const list = await store.listMessages(fromId);
+      if (list.length) {
+        await store.replaceMessages(
+          toId,
+          list.map((message) => anonymizeMessage(message, pseudonymize, scrubber, toId))
+        );
+        if (fromId !== toId) await store.deleteMessages([fromId]);
+      }
+      // 사용량 로그도 가명 처리한 세션 키로 옮김 (사용량 기록에는 이름·글 내용이 없음)
+      if (anonymized.sessionKey !== record.sessionKey) {
+        await store.appendUsage(anonymized.sessionKey, await store.listUsage(record.sessionKey));
+        await store.deleteUsage([record.sessionKey]);
+      }
+      handledLogs.add(toId);
+      presenceMap.delete(`${record.roomId}|${record.studentId}`);
+      replacements.set(record, anonymized);
+    }
+    store.replaceSessions(store.sessions.map((record) => replacements.get(record) || record));
+    await store.saveSessions();
+    result.sessions = expired.length;
+  }
+
+  for (const sessionId of await store.listMessageSessionIds()) {
+    if (handledLogs.has(sessionId)) continue;
+    const list = await store.listMessages(sessionId);
+    if (!list.length || lastMessageTs(list) >= cutoff) continue;
+    if (action === 'delete') {
+      await store.deleteMessages([sessionId]);
+    } else {
+      if (list.every((message) => message.anonymized)) continue;
+      await store.replaceMessages(
+        sessionId,
+        list.map((message) =>
+          message.anonymized ? message : anonymizeMessage(message, pseudonymize, scrubber)
+        )
+      );
+    }
+    result.messageLogs += 1;
+  }
+
+  result.snapshotsRemoved = (await snapshots.removeOlderThan(cutoff)).removed;
+  for (const meta of await snapshots.list()) {
+    const changed = await rewriteSnapshot(snapshots, meta.id, (data) =>
+      applyRetentionToData(data, {
+        cutoff,
+        action,
+        pseudonymize,
+        scrubber: createScrubber(
+          collectIdentities(data.sessions, data.roster, data.cohorts),
+          pseudonymize
+        ),
+        now,
+      })
+    );
+    if (changed) result.snapshotsRewritten += 1;
+  }
+  return result;
+}
+
+/**
+ * 한 학급(cohort) 학생의 데이터를 모두 지웁니다: 세션과 AI 대화, 그 학생이 있던 동료 대화방에서 본인이 보낸 메시지,
+ * 그 학급의 명단·매칭 항목, 그리고 스냅샷에 남아 있는 같은 내용까지.
+ * 식별 번호는 학급(학교)마다 겹칠 수 있으므로 다른 학급의 데이터는 건드리지 않습니다.
+ */
+async function deleteStudentData(studentId, cohort = '') {
+  const sid = String(studentId || '').trim();
+  const result = { studentId: sid, cohort, sessions: 0, messages: 0, snapshotsRewritten: 0 };
+  const matched = store.sessions.filter(
+    (record) => record.studentId === sid && (record.cohort || '') === cohort
+  );
+  const rooms = new Set(matched.map((record) => record.roomId).filter(Boolean));
+  if (matched.length) {
+    result.sessions = (await deleteSessionsByKeys(matched.map((record) => record.sessionKey))).deleted;
+  }
+
+  for (const roomId of rooms) {
+    const list = await store.listMessages(roomId);
+    const kept = list.filter((message) => String(message?.senderId || '') !== sid);
+    if (kept.length === list.length) continue;
+    result.messages += list.length - kept.length;
+    if (kept.length) await store.replaceMessages(roomId, kept);
+    else await store.deleteMessages([roomId]);
+  }
+
+  const roster = getCohortRoster(cohort);
+  const matchups = getCohortMatchups(cohort);
+  const pruned = removeStudentFromData({ roster, matchups }, sid);
+  if (
+    JSON.stringify(pruned.roster) !== JSON.stringify(roster)
+    || pruned.matchups.length !== matchups.length
+  ) {
+    await saveCohortRoster(cohort, pruned.roster, pruned.matchups);
+  }
+
+  for (const meta of await snapshots.list()) {
+    const changed = await rewriteSnapshot(snapshots, meta.id, (data) =>
+      removeStudentFromData(data, sid, cohort)
+    );
+    if (changed) result.snapshotsRewritten += 1;
+  }
+  return result;
+}
+
+function scheduleRetention() {
+  const run = async () => {
+    try {
+      const result = await applyRetentionPolicy();
+      if (result) {
+        lastRetentionResult = result;
+        console.log(
+          `[Retention] ${result.action}: sessions=${result.sessions} logs=${result.messageLogs} snapshots=${result.snapshotsRemoved}/${result.snapshotsRewritten}`
+        );
+      }
+    } catch (err) {
+      console.error('[Retention] Failed to apply retention policy', err.message);
+    }
+  };
+  setTimeout(run, 60_000).unref();
+  setInterval(run, RETENTION_CHECK_INTERVAL_MS).unref();
+}
+
 async function deleteSessionsByKeys(keys) {
   const keySet = new Set((keys || []).map((key) => String(key || '').trim()).filter(Boolean));
   if (!keySet.size) {
@@ -2041,22 +4238,20 @@ async function deleteSessionsByKeys(keys) {
   for (const record of store.sessions) {
     if (keySet.has(record.sessionKey)) {
       removedSessionIds.add(`ai:${record.sessionKey}`);
-      removedStudentIds.add(record.studentId);
+      removedStudentIds.add(`${record.cohort || ''}|${record.studentId}`);
       presenceMap.delete(`${record.roomId}|${record.studentId}`);
     }
   }
-  store.sessions = store.sessions.filter((record) => !keySet.has(record.sessionKey));
+  store.replaceSessions(store.sessions.filter((record) => !keySet.has(record.sessionKey)));
   store.sessions.forEach((record) => {
-    if (removedStudentIds.has(record.partnerStudentId)) {
+    if (removedStudentIds.has(`${record.cohort || ''}|${record.partnerStudentId}`)) {
       record.partnerStudentId = '';
       record.partnerName = '';
     }
   });
-  store.messages = store.messages.filter(
-    (msg) => !removedSessionIds.has(msg.sessionId || '')
-  );
   await store.saveSessions();
-  await store.saveMessages();
+  await store.deleteMessages(removedSessionIds);
+  await store.deleteUsage(keySet);
   return { deleted: removedSessionIds.size };
 }
 
@@ -2074,14 +4269,21 @@ function parseExportScopes(input) {
   return normalized.length ? normalized : ['all'];
 }
 
+// pseudonymize=1: 식별번호·이름·세션 키를 가명으로, scrubText=1: 글·대화 본문 속 이름도 가명으로
+function parseExportPrivacy(query = {}) {
+  const flag = (value) => ['1', 'true', 'yes', 'on'].includes(String(value || '').toLowerCase());
+  const pseudonymize = flag(query.pseudonymize);
+  return { pseudonymize, scrubText: pseudonymize && flag(query.scrubText) };
+}
+
 function parseExportFormat(input) {
   const normalized = String(input || 'xlsx').toLowerCase();
   if (['xlsx', 'xls', 'csv'].includes(normalized)) return normalized;
   return 'xlsx';
 }
 
-async function buildExportWorkbook(scopes) {
-  const sheets = buildExportSheets(scopes);
+async function buildExportWorkbook(scopes, privacy, cohort) {
+  const sheets = await buildExportSheets(scopes, privacy, cohort);
   const workbook = new ExcelJS.Workbook();
   sheets.forEach((sheetDef) => {
     const sheet = workbook.addWorksheet(sheetDef.name);
@@ -2091,8 +4293,8 @@ async function buildExportWorkbook(scopes) {
   return workbook;
 }
 
-async function buildExportCsv(scopes) {
-  const sheets = buildExportSheets(scopes);
+async function buildExportCsv(scopes, privacy, cohort) {
+  const sheets = await buildExportSheets(scopes, privacy, cohort);
   const lines = [];
   sheets.forEach((sheet, idx) => {
     lines.push(`# ${sheet.name}`);
@@ -2107,20 +4309,25 @@ async function buildExportCsv(scopes) {
   return lines.join('\r\n');
 }
 
-function buildExportSheets(scopes) {
-  const sessions = (store.sessions || []).map((record) => buildAdminSessionDetail(record));
+// 고른 학급의 세션만 내보냄 (cohort가 빈 문자열이면 기본 학급)
+async function buildExportSheets(scopes, privacy = {}, cohort = '') {
+  const sessions = (store.sessions || [])
+    .filter((record) => (record.cohort || '') === cohort)
+    .map((record) => buildAdminSessionDetail(record));
+  const view = await buildExportView(privacy);
   const sheets = [];
 
   // 요약 시트
   const summaryRows = sessions.map((session) => ({
-    sessionKey: session.sessionKey,
+    sessionKey: view.sessionKey(session),
     group: session.mode,
-    studentId: session.you?.id || '',
-    studentName: session.you?.name || '',
+    studentId: view.id(session.you?.id),
+    studentName: view.name(session.you?.name, session.you?.id),
     stage: session.stage,
-    stageName: getStageLabelName(session.stage),
-    partner: session.partner ? `${session.partner.name || ''} (${session.partner.id || ''})` : '',
+    stageName: getStageLabelName(session.stage, session.cohort),
+    partner: session.partner ? view.partner(session.partner) : '',
     updatedAt: session.updatedAt ? formatIso(session.updatedAt) : '',
+    ...buildStanceColumns(session.stances),
   }));
   sheets.push({
     name: 'Sessions',
@@ -2133,6 +4340,10 @@ function buildExportSheets(scopes) {
       { header: 'Stage Name', key: 'stageName', width: 14 },
       { header: 'Partner', key: 'partner', width: 28 },
       { header: 'Updated At', key: 'updatedAt', width: 24 },
+      ...DEBATE_STAGES.flatMap((stage) => [
+        { header: `Stance (Stage ${stage})`, key: `stance${stage}`, width: 14 },
+        { header: `Stance Source (Stage ${stage})`, key: `stanceSource${stage}`, width: 16 },
+      ]),
     ],
     rows: summaryRows,
   });
@@ -2147,29 +4358,56 @@ function buildExportSheets(scopes) {
 
   stageSheetDefs.forEach((def) => {
     if (!shouldIncludeScope(scopes, def.key)) return;
-    sheets.push(buildStageSheetData(def.name, sessions, def.accessor, def.stage));
+    sheets.push(buildStageSheetData(def.name, sessions, def.accessor, def.stage, view));
   });
 
+  // 글쓰기 과정 지표 (기록에 동의한 학생만)
+  if (shouldIncludeScope(scopes, 'process')) {
+    sheets.push(buildProcessSheetData(sessions, view));
+  }
+
+  // 글 수정 기록 (저장할 때마다 한 행)
+  if (shouldIncludeScope(scopes, 'revisions')) {
+    sheets.push(buildRevisionSheetData(sessions, view));
+  }
+
+  // 단계 이동 기록과 학생별 단계 소요 시간
+  if (shouldIncludeScope(scopes, 'stage-events')) {
+    sheets.push(buildStageEventSheetData(sessions, view));
+    sheets.push(buildStageTimeSheetData(sessions, view, cohort));
+  }
+
+  // 루브릭 채점 결과 (기준마다 한 행 + 합계 행)
+  if (shouldIncludeScope(scopes, 'scores')) {
+    sheets.push(buildScoreSheetData(sessions, view));
+  }
+
+  // AI 호출마다 한 행 + 모델별 예상 비용
+  if (shouldIncludeScope(scopes, 'ai-usage')) {
+    sheets.push(...(await buildAiUsageSheetData(sessions, view)));
+  }
+
   // AI 채팅 로그(모든 차시 포함: 2, 3, 3-1, 4, 4-1)
   if (shouldIncludeScope(scopes, 'ai-chat')) {
     const chatRows = [];
-    sessions.forEach((session) => {
-      const messages = collectMessages(`ai:${session.sessionKey}`, 'ai-feedback');
+    for (const session of sessions) {
+      const messages = await collectMessages(`ai:${session.sessionKey}`, 'ai-feedback');
       messages.forEach((msg) => {
         chatRows.push({
-          sessionKey: session.sessionKey,
-          studentId: session.you?.id || '',
-          studentName: session.you?.name || '',
+          sessionKey: view.sessionKey(session),
+          studentId: view.id(session.you?.id),
+          studentName: view.name(session.you?.name, session.you?.id),
           stage: msg.stage || '',
-          stageName: msg.stage ? getStageLabelName(msg.stage) : '',
+          stageName: msg.stage ? getStageLabelName(msg.stage, session.cohort) : '',
           channel: msg.channel || 'ai-feedback',
           timestamp: msg.ts ? formatIso(msg.ts) : '',
-          sender: msg.senderName || msg.role || '',
-          message: msg.text || '',
-          metadata: JSON.stringify(msg.metadata || {}),
+          sender: view.sender(msg, session),
+          stance: msg.metadata?.stance || '',
+          message: view.text(msg.text),
+          metadata: JSON.stringify(view.metadata(msg.metadata || {})),
         });
       });
-    });
+    }
     sheets.push({
       name: 'AI Chat Logs',
       columns: [
@@ -2181,6 +4419,7 @@ function buildExportSheets(scopes) {
         { header: 'Student Name', key: 'studentName', width: 20 },
         { header: 'Timestamp', key: 'timestamp', width: 24 },
         { header: 'Sender', key: 'sender', width: 16 },
+        { header: 'Stance', key: 'stance', width: 10 },
         { header: 'Message', key: 'message', width: 80 },
         { header: 'Metadata', key: 'metadata', width: 50 },
       ],
@@ -2191,20 +4430,30 @@ function buildExportSheets(scopes) {
   return sheets;
 }
 
-function buildStageSheetData(name, sessions, accessor, stageNumber) {
+// Sessions 시트의 토론 차시별 입장(pro/con)과 정한 방법(student/admin/flip)
+function buildStanceColumns(stances) {
+  const columns = {};
+  (stances || []).forEach((entry) => {
+    columns[`stance${entry.stage}`] = entry.stance || '';
+    columns[`stanceSource${entry.stage}`] = entry.by || '';
+  });
+  return columns;
+}
+
+function buildStageSheetData(name, sessions, accessor, stageNumber, view) {
   const rows = [];
   sessions.forEach((session) => {
     const block = accessor(session);
     if (!block) return;
     const ts = block.submittedAt || block.savedAt || block.updatedAt || 0;
     rows.push({
-      sessionKey: session.sessionKey,
+      sessionKey: view.sessionKey(session),
       stage: stageNumber || '',
-      stageName: stageNumber ? getStageLabelName(stageNumber) : '',
-      studentId: session.you?.id || '',
-      studentName: session.you?.name || '',
+      stageName: stageNumber ? getStageLabelName(stageNumber, session.cohort) : '',
+      studentId: view.id(session.you?.id),
+      studentName: view.name(session.you?.name, session.you?.id),
       timestamp: ts ? formatIso(ts) : '',
-      content: block.text || '',
+      content: view.text(block.text),
     });
   });
 
@@ -2223,6 +4472,341 @@ function buildStageSheetData(name, sessions, accessor, stageNumber) {
   };
 }
 
+function buildProcessSheetData(sessions, view) {
+  const rows = [];
+  sessions.forEach((session) => {
+    const summary = summarizeTelemetry(findSession(session.sessionKey));
+    if (!summary) return;
+    rows.push({
+      sessionKey: view.sessionKey(session),
+      studentId: view.id(session.you?.id),
+      studentName: view.name(session.you?.name, session.you?.id),
+      activeMinutes: Math.round((summary.activeMs / 60_000) * 10) / 10,
+      keystrokes: summary.keystrokes,
+      deletions: summary.deletions,
+      bursts: summary.bursts,
+      pauses: summary.pauses,
+      longPauses: summary.longPauses,
+      pastes: summary.pastes,
+      pastedChars: summary.pastedChars,
+      aiPastes: summary.aiPastes,
+      aiPastedChars: summary.aiPastedChars,
+      tabAways: summary.tabAways,
+      awayMinutes: Math.round((summary.awayMs / 60_000) * 10) / 10,
+      consentedAt: summary.consentedAt ? formatIso(summary.consentedAt) : '',
+      lastEventAt: summary.lastEventAt ? formatIso(summary.lastEventAt) : '',
+    });
+  });
+
+  return {
+    name: 'Writing Process',
+    columns: [
+      { header: 'Session Key', key: 'sessionKey', width: 24 },
+      { header: 'Student ID', key: 'studentId', width: 16 },
+      { header: 'Student Name', key: 'studentName', width: 20 },
+      { header: 'Active Minutes', key: 'activeMinutes', width: 14 },
+      { header: 'Keystrokes', key: 'keystrokes', width: 12 },
+      { header: 'Deletions', key: 'deletions', width: 10 },
+      { header: 'Bursts', key: 'bursts', width: 8 },
+      { header: 'Pauses (2s+)', key: 'pauses', width: 12 },
+      { header: 'Long Pauses (30s+)', key: 'longPauses', width: 16 },
+      { header: 'Pastes', key: 'pastes', width: 8 },
+      { header: 'Pasted Chars', key: 'pastedChars', width: 12 },
+      { header: 'Pastes From AI', key: 'aiPastes', width: 14 },
+      { header: 'AI Pasted Chars', key: 'aiPastedChars', width: 14 },
+      { header: 'Tab Aways', key: 'tabAways', width: 10 },
+      { header: 'Away Minutes', key: 'awayMinutes', width: 12 },
+      { header: 'Consented At', key: 'consentedAt', width: 24 },
+      { header: 'Last Event At', key: 'lastEventAt', width: 24 },
+    ],
+    rows,
+  };
+}
+
+function buildStageEventSheetData(sessions, view) {
+  const rows = [];
+  sessions.forEach((session) => {
+    session.stageEvents.forEach((event) => {
+      rows.push({
+        sessionKey: view.sessionKey(session),
+        studentId: view.id(session.you?.id),
+        studentName: view.name(session.you?.name, session.you?.id),
+        at: formatIso(event.at),
+        type: event.label,
+        actor: event.actor === 'admin' ? '교사' : '학생',
+        from: event.from ? getStageLabelName(event.from, session.cohort) : '',
+        to: getStageLabelName(event.to, session.cohort),
+      });
+    });
+  });
+  return {
+    name: 'Stage Events',
+    columns: [
+      { header: 'Session Key', key: 'sessionKey', width: 24 },
+      { header: 'Student ID', key: 'studentId', width: 16 },
+      { header: 'Student Name', key: 'studentName', width: 20 },
+      { header: 'At', key: 'at', width: 24 },
+      { header: 'Type', key: 'type', width: 16 },
+      { header: 'Actor', key: 'actor', width: 8 },
+      { header: 'From', key: 'from', width: 14 },
+      { header: 'To', key: 'to', width: 14 },
+    ],
+    rows,
+  };
+}
+
+// 학생별 한 행: 단계마다 머문 시간(분)과 되돌아간 횟수
+function buildStageTimeSheetData(sessions, view, cohort = '') {
+  const stageNumbers = [1, 2, 3, 4, 5];
+  const toMinutes = (ms) => Math.round((ms / 60000) * 10) / 10;
+  const rows = sessions.map((session) => {
+    const times = session.stageTimes;
+    const row = {
+      sessionKey: view.sessionKey(session),
+      studentId: view.id(session.you?.id),
+      studentName: view.name(session.you?.name, session.you?.id),
+      totalMinutes: toMinutes(times.totalMs),
+      regressions: times.regressions,
+      events: times.events,
+    };
+    stageNumbers.forEach((stage) => {
+      const entry = times.stages.find((item) => item.stage === stage);
+      row[`stage${stage}Minutes`] = entry ? toMinutes(entry.ms) : '';
+      row[`stage${stage}Visits`] = entry ? entry.visits : '';
+    });
+    return row;
+  });
+  return {
+    name: 'Stage Time',
+    columns: [
+      { header: 'Session Key', key: 'sessionKey', width: 24 },
+      { header: 'Student ID', key: 'studentId', width: 16 },
+      { header: 'Student Name', key: 'studentName', width: 20 },
+      ...stageNumbers.flatMap((stage) => [
+        { header: `${getStageLabelName(stage, cohort)} Minutes`, key: `stage${stage}Minutes`, width: 14 },
+        { header: `${getStageLabelName(stage, cohort)} Visits`, key: `stage${stage}Visits`, width: 12 },
+      ]),
+      { header: 'Total Minutes', key: 'totalMinutes', width: 14 },
+      { header: 'Regressions', key: 'regressions', width: 12 },
+      { header: 'Stage Changes', key: 'events', width: 14 },
+    ],
+    rows,
+  };
+}
+
+async function buildAiUsageSheetData(sessions, view) {
+  const rows = [];
+  const records = sessions.map((session) => findSession(session.sessionKey)).filter(Boolean);
+  const usageByKey = await loadUsageByKey(records);
+  sessions.forEach((session) => {
+    (usageByKey.get(session.sessionKey) || []).forEach((entry) => {
+      const cost = estimateCost(entry.provider, entry.model, entry.promptTokens, entry.completionTokens);
+      rows.push({
+        sessionKey: view.sessionKey(session),
+        studentId: view.id(session.you?.id),
+        studentName: view.name(session.you?.name, session.you?.id),
+        at: formatIso(entry.at),
+        stage: entry.stage || '',
+        stageName: entry.stage ? getStageLabelName(entry.stage, session.cohort) : '',
+        purpose: USAGE_PURPOSE_LABELS[entry.purpose] || entry.purpose,
+        provider: entry.provider,
+        model: entry.model,
+        promptTokens: entry.promptTokens,
+        completionTokens: entry.completionTokens,
+        estimated: entry.estimated ? 'Y' : '',
+        latencyMs: entry.latencyMs,
+        ok: entry.ok ? 'Y' : 'N',
+        cost: cost === null ? '' : Math.round(cost * 1e6) / 1e6,
+      });
+    });
+  });
+  const modelRows = summarizeUsage(records, usageByKey).byModel.map((bucket) => ({
+    provider: bucket.provider,
+    model: bucket.model,
+    calls: bucket.calls,
+    failures: bucket.failures,
+    promptTokens: bucket.promptTokens,
+    completionTokens: bucket.completionTokens,
+    avgLatencyMs: bucket.calls ? Math.round(bucket.latencyMs / bucket.calls) : 0,
+    cost: bucket.priced ? Math.round(bucket.cost * 1e4) / 1e4 : '',
+  }));
+  return [
+    {
+      name: 'AI Usage',
+      columns: [
+        { header: 'Session Key', key: 'sessionKey', width: 24 },
+        { header: 'Student ID', key: 'studentId', width: 16 },
+        { header: 'Student Name', key: 'studentName', width: 20 },
+        { header: 'At', key: 'at', width: 24 },
+        { header: 'Stage', key: 'stage', width: 8 },
+        { header: 'Stage Name', key: 'stageName', width: 14 },
+        { header: 'Purpose', key: 'purpose', width: 14 },
+        { header: 'Provider', key: 'provider', width: 12 },
+        { header: 'Model', key: 'model', width: 28 },
+        { header: 'Prompt Tokens', key: 'promptTokens', width: 14 },
+        { header: 'Completion Tokens', key: 'completionTokens', width: 16 },
+        { header: 'Estimated Tokens', key: 'estimated', width: 14 },
+        { header: 'Latency (ms)', key: 'latencyMs', width: 12 },
+        { header: 'OK', key: 'ok', width: 6 },
+        { header: 'Est. Cost (USD)', key: 'cost', width: 14 },
+      ],
+      rows,
+    },
+    {
+      name: 'AI Cost by Model',
+      columns: [
+        { header: 'Provider', key: 'provider', width: 12 },
+        { header: 'Model', key: 'model', width: 28 },
+        { header: 'Calls', key: 'calls', width: 8 },
+        { header: 'Failures', key: 'failures', width: 10 },
+        { header: 'Prompt Tokens', key: 'promptTokens', width: 14 },
+        { header: 'Completion Tokens', key: 'completionTokens', width: 16 },
+        { header: 'Avg Latency (ms)', key: 'avgLatencyMs', width: 16 },
+        { header: 'Est. Cost (USD)', key: 'cost', width: 14 },
+      ],
+      rows: modelRows,
+    },
+  ];
+}
+
+function buildScoreSheetData(sessions, view) {
+  const rows = [];
+  sessions.forEach((session) => {
+    const scores = session.scores;
+    if (!scores || scores.total === null) return;
+    const base = {
+      sessionKey: view.sessionKey(session),
+      studentId: view.id(session.you?.id),
+      studentName: view.name(session.you?.name, session.you?.id),
+      scorer: scores.scorerLabel,
+      scoredAt: scores.scoredAt ? formatIso(scores.scoredAt) : '',
+      stale: scores.stale ? 'Y' : '',
+    };
+    scores.criteria.forEach((criterion) => {
+      rows.push({
+        ...base,
+        criterionId: criterion.id,
+        criterion: criterion.name,
+        level: criterion.level,
+        aiScore: criterion.aiScore ?? '',
+        teacherScore: criterion.teacherScore ?? '',
+        score: criterion.score ?? '',
+        maxScore: criterion.maxScore,
+        rationale: view.text(criterion.rationale),
+        note: '',
+      });
+    });
+    rows.push({
+      ...base,
+      criterionId: 'total',
+      criterion: '합계',
+      level: scores.complete ? '' : '일부 기준 미채점',
+      aiScore: '',
+      teacherScore: '',
+      score: scores.total,
+      maxScore: scores.maxTotal,
+      rationale: view.text(scores.comment),
+      note: view.text(scores.note),
+    });
+  });
+
+  return {
+    name: 'Scores',
+    columns: [
+      { header: 'Session Key', key: 'sessionKey', width: 24 },
+      { header: 'Student ID', key: 'studentId', width: 16 },
+      { header: 'Student Name', key: 'studentName', width: 20 },
+      { header: 'Criterion ID', key: 'criterionId', width: 14 },
+      { header: 'Criterion', key: 'criterion', width: 16 },
+      { header: 'Level', key: 'level', width: 14 },
+      { header: 'Scorer Score', key: 'aiScore', width: 12 },
+      { header: 'Teacher Score', key: 'teacherScore', width: 12 },
+      { header: 'Final Score', key: 'score', width: 10 },
+      { header: 'Max Score', key: 'maxScore', width: 10 },
+      { header: 'Rationale', key: 'rationale', width: 60 },
+      { header: 'Teacher Note', key: 'note', width: 40 },
+      { header: 'Scorer', key: 'scorer', width: 10 },
+      { header: 'Scored At', key: 'scoredAt', width: 24 },
+      { header: 'Stale', key: 'stale', width: 6 },
+    ],
+    rows,
+  };
+}
+
+function buildRevisionSheetData(sessions, view) {
+  const rows = [];
+  sessions.forEach((session) => {
+    const record = findSession(session.sessionKey);
+    if (!record) return;
+    listRevisions(record).forEach((revision) => {
+      rows.push({
+        sessionKey: view.sessionKey(session),
+        studentId: view.id(session.you?.id),
+        studentName: view.name(session.you?.name, session.you?.id),
+        field: revision.label,
+        version: revision.version,
+        stage: revision.stage || '',
+        stageName: revision.stage ? getStageLabelName(revision.stage, session.cohort) : '',
+        savedAt: revision.savedAt ? formatIso(revision.savedAt) : '',
+        words: revision.words,
+        added: revision.added,
+        removed: revision.removed,
+        content: view.text(revision.text),
+      });
+    });
+  });
+
+  return {
+    name: 'Revisions',
+    columns: [
+      { header: 'Session Key', key: 'sessionKey', width: 24 },
+      { header: 'Student ID', key: 'studentId', width: 16 },
+      { header: 'Student Name', key: 'studentName', width: 20 },
+      { header: 'Field', key: 'field', width: 14 },
+      { header: 'Version', key: 'version', width: 8 },
+      { header: 'Stage', key: 'stage', width: 8 },
+      { header: 'Stage Name', key: 'stageName', width: 14 },
+      { header: 'Saved At', key: 'savedAt', width: 24 },
+      { header: 'Words', key: 'words', width: 8 },
+      { header: 'Words Added', key: 'added', width: 12 },
+      { header: 'Words Removed', key: 'removed', width: 14 },
+      { header: 'Content', key: 'content', width: 80 },
+    ],
+    rows,
+  };
+}
+
+// 내보내기 행에 들어갈 식별 정보 표시 방식 (가명 처리 여부에 따라 달라짐)
+async function buildExportView({ pseudonymize = false, scrubText = false } = {}) {
+  if (!pseudonymize) {
+    return {
+      sessionKey: (session) => session.sessionKey,
+      id: (id) => id || '',
+      name: (name) => name || '',
+      partner: (partner) => `${partner.name || ''} (${partner.id || ''})`,
+      sender: (msg) => msg.senderName || msg.role || '',
+      text: (text) => text || '',
+      metadata: (metadata) => metadata,
+    };
+  }
+  const pseudonym = createPseudonymizer(await ensurePseudonymSalt());
+  const scrubber = createScrubber(
+    collectIdentities(store.sessions, store.roster, store.cohorts),
+    pseudonym
+  );
+  return {
+    sessionKey: (session) => cohortSessionKey(session.cohort, session.mode, pseudonym(session.you?.id)),
+    id: (id) => pseudonym(id),
+    name: (name, id) => pseudonym(id) || (name ? '[이름]' : ''),
+    partner: (partner) => pseudonym(partner.id),
+    sender: (msg, session) =>
+      msg.role === 'ai' ? msg.senderName || 'AI' : pseudonym(session.you?.id),
+    text: (text) => (scrubText ? scrubber.text(text || '') : text || ''),
+    // 메타데이터에는 세션 키 등 식별번호가 들어 있으므로 본문 옵션과 관계없이 정리
+    metadata: (metadata) => scrubber.deep(metadata),
+  };
+}
+
 function shouldIncludeScope(scopes, value) {
   return scopes.includes('all') || scopes.includes(value);
 }
@@ -0,0 +1,24 @@
+import { configError, postChatCompletions } from './http.js';
+
+// OpenAI와 같은 /chat/completions 형식을 쓰는 서버 (Ollama, vLLM, 로컬 테스트 서버 등)
+// 로컬 서버는 키가 없어도 되므로 API 키는 선택
+export const compatibleProvider = {
+  id: 'compatible',
+  label: 'OpenAI 호환 서버',
+  configKey: 'compatible',
+  defaultModel: '',
+  async chat({ messages, model, temperature, maxTokens = null, settings, stream = null, signal = null, usage = null }) {
+    const baseUrl = String(settings.baseUrl || '').replace(/\/+$/, '');
+    if (!baseUrl) throw configError('OpenAI 호환 서버 주소(Base URL)가 설정되지 않았습니다.');
+    if (!model) throw configError('OpenAI 호환 서버의 모델 이름이 설정되지 않았습니다.');
+    return postChatCompletions({
+      url: `${baseUrl}/chat/completions`,
+      apiKey: settings.apiKey,
+      body: { model, messages, temperature, ...(maxTokens ? { max_tokens: maxTokens } : {}) },
+      label: 'OpenAI 호환 서버',
+      stream,
+      signal,
+      usage,
+    });
+  },
+};
@@ -0,0 +1,71 @@
+import { collectStreamText, readSseData } from '../sse.js';
+
+export function aiError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// 키·주소가 없는 등 설정 문제는 다시 시도해도 소용없으므로 재시도·대체 대상에서 뺌
+export function configError(message) {
+  const err = aiError(500, message);
+  err.retryable = false;
+  return err;
+}
+
+/**
+ * OpenAI 호환 /chat/completions HTTP 호출 (Perplexity, Ollama, vLLM 등).
+ * stream({ onToken, signal })을 주면 SSE로 받아 이어 붙이고, 중단되면 그때까지 받은 글을 돌려줍니다.
+ * signal은 스트리밍하지 않는 호출의 중단(제한 시간)에 씁니다.
+ * usage 객체를 주면 응답이 알려 준 토큰 수(promptTokens, completionTokens)를 채웁니다.
+ */
+export async function postChatCompletions({ url, apiKey, body, label, stream = null, signal = null, usage = null }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(stream ? { ...body, stream: true } : body),
+      signal: stream?.signal || signal || undefined,
+    });
+  } catch (err) {
+    if (stream?.signal?.aborted || signal?.aborted) return '';
+    throw aiError(502, `${label}에 연결하지 못했습니다: ${err.message}`);
+  }
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => '');
+    throw aiError(resp.status, `${label} 요청 실패 (${resp.status}): ${text || '오류'}`);
+  }
+  if (stream) {
+    const pieces = (async function* () {
+      for await (const data of readSseData(resp.body)) {
+        try {
+          const parsed = JSON.parse(data);
+          fillUsage(usage, parsed?.usage);
+          yield parsed?.choices?.[0]?.delta?.content || '';
+        } catch (_err) {
+          // 형식이 다른 줄은 건너뜀
+        }
+      }
+    })();
+    return (await collectStreamText(pieces, stream)).trim();
+  }
+  let data;
+  try {
+    data = await resp.json();
+  } catch (err) {
+    if (signal?.aborted) return '';
+    throw aiError(502, `${label} 응답을 읽지 못했습니다: ${err.message}`);
+  }
+  fillUsage(usage, data?.usage);
+  return String(data?.choices?.[0]?.message?.content || data?.data?.[0]?.text || '').trim();
+}
+
+// OpenAI 형식 usage { prompt_tokens, completion_tokens }를 usage 객체에 옮김 (스트리밍은 마지막 값이 합계)
+export function fillUsage(usage, reported) {
+  if (!usage || !reported) return;
+  if (Number.isFinite(reported.prompt_tokens)) usage.promptTokens = reported.prompt_tokens;
+  if (Number.isFinite(reported.completion_tokens)) usage.completionTokens = reported.completion_tokens;
+}
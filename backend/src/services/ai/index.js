@@ -0,0 +1,30 @@
+// AI 제공자 모음: 모든 제공자는 같은 chat({ messages, model, temperature, maxTokens, settings, stream, signal, usage }) 형식으로
+// 답변 글을 돌려줌. settings는 관리자 설정에서 그 제공자의 항목(configKey), stream은 { onToken, signal },
+// signal은 스트리밍하지 않는 호출을 끊을 때 씀, usage는 응답이 알려 준 토큰 수를 채워 받을 객체
+// stage·purpose(reply | summary | scoring)는 호출한 차시와 용도로, 모의 AI만 답을 고르는 데 씀
+import { compatibleProvider } from './compatible.js';
+import { mockProvider } from './mock.js';
+import { openAiProvider } from './openai.js';
+import { perplexityProvider } from './perplexity.js';
+import { vertexProvider } from './vertex.js';
+
+const PROVIDERS = [openAiProvider, perplexityProvider, vertexProvider, compatibleProvider, mockProvider];
+
+export const AI_PROVIDER_IDS = PROVIDERS.map((provider) => provider.id);
+
+export function getAiProvider(id) {
+  return PROVIDERS.find((provider) => provider.id === id) || null;
+}
+
+export function listAiProviders() {
+  return PROVIDERS.map(({ id, label }) => ({ id, label }));
+}
+
+// 지침 → [참고] 자료 → 학생 메시지 순서의 대화 메시지
+export function buildChatMessages({ systemPrompt, contextText, message }) {
+  const messages = [];
+  if (systemPrompt) messages.push({ role: 'system', content: systemPrompt });
+  if (contextText) messages.push({ role: 'system', content: `[참고]\n${contextText}` });
+  messages.push({ role: 'user', content: message });
+  return messages;
+}
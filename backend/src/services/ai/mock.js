@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import { collectStreamText } from '../sse.js';
+import { aiError } from './http.js';
+
+// 모의 AI: API 키 없이 수업 리허설·로컬 확인에 쓰는 제공자
+// 같은 차시·같은 질문에는 항상 같은 답을 주고(고정 대본 또는 관리자가 넣은 답변 목록),
+// 응답 지연과 오류(failEvery번째 호출마다)를 흉내 내어 재시도·대체·오류 기록 경로도 확인할 수 있음
+// 답변은 실제 제공자와 똑같이 저장·요약·채점·내보내기를 거침
+
+const MAX_LATENCY_MS = 60_000;
+const MAX_FAIL_EVERY = 100;
+const MAX_REPLIES = 50;
+const MAX_REPLY_LENGTH = 4000;
+// 스트리밍 조각 사이 간격
+const TOKEN_DELAY_MS = 30;
+const ERROR_STATUSES = [429, 500, 502, 503, 504];
+
+// 차시별 기본 대본 ({message}는 학생 메시지 앞부분으로 바뀜)
+const SCRIPTED_REPLIES = {
+  1: [
+    "[모의 AI] '{message}'에 대해 찬성 측은 학생의 선택권과 효율을, 반대 측은 공정성과 부작용을 주로 근거로 듭니다. 어느 쪽 근거가 더 설득력 있어 보이나요?",
+    '[모의 AI] 관련 통계는 교육부·통계청 자료나 OECD 보고서에서 찾아볼 수 있습니다. 출처와 발표 연도를 함께 메모해 두세요.',
+    '[모의 AI] 반대 입장에서는 먼저 "그 근거가 모든 경우에 해당하는가?"라고 물을 가능성이 큽니다. 예외 사례를 하나 떠올려 보세요.',
+  ],
+  2: [
+    "[모의 AI] '{message}'라는 주장은 흥미롭지만, 근거가 한 가지 사례에만 기대고 있는 것 같습니다. 더 일반적인 자료가 있나요?",
+    '[모의 AI] 저는 반대 입장에서 말하겠습니다. 그 방법이 실제로 효과가 있다는 증거는 무엇인가요?',
+    '[모의 AI] 좋은 반박입니다. 하지만 비용과 부작용을 고려하면 여전히 다른 선택지가 더 낫다고 봅니다. 어떻게 답하시겠어요?',
+  ],
+  3: [
+    "[모의 AI] 지난 토론에서 '{message}'와 관련해 주장은 분명했지만 근거의 출처가 드러나지 않았습니다. 출처를 보완해 보세요.",
+    '[모의 AI] 상대의 반박 가운데 아직 답하지 않은 것이 있습니다. 그 반박에 대한 재반박을 한 문장으로 적어 보세요.',
+  ],
+  4: [
+    "[모의 AI] '{message}' 부분은 주장과 근거가 잘 연결됩니다. 마지막 문단에서 주장을 다시 한번 정리하면 글이 더 단단해집니다.",
+    '[모의 AI] 문장이 길어 뜻이 흐려지는 곳이 있습니다. 한 문장에 한 가지 생각만 담도록 나누어 보세요.',
+  ],
+  default: ["[모의 AI] '{message}'에 대한 연습용 답변입니다. 실제 AI를 쓰려면 AI 설정에서 제공자를 바꾸세요."],
+};
+
+// 실패 주기를 세는 호출 수 (서버를 다시 켜면 처음부터)
+let callCount = 0;
+
+export function defaultMockSettings() {
+  return { latencyMs: 400, failEvery: 0, errorStatus: 503, replies: null };
+}
+
+/**
+ * 관리자 설정의 mock 항목 정리. 비워 둔 항목(null)은 환경 변수·기본값을 따름.
+ * replies: { [차시 번호 | 'default']: ['답변', ...] }
+ */
+export function sanitizeMockSettings(input) {
+  const source = input && typeof input === 'object' ? input : {};
+  return {
+    latencyMs: numberInRange(source.latencyMs, 0, MAX_LATENCY_MS),
+    failEvery: numberInRange(source.failEvery, 0, MAX_FAIL_EVERY),
+    errorStatus: ERROR_STATUSES.includes(Number(source.errorStatus)) ? Number(source.errorStatus) : null,
+    replies: sanitizeReplies(source.replies),
+  };
+}
+
+// 비어 있지 않은 항목만 base 위에 덮어씀
+export function mergeMockSettings(base, overrides) {
+  const result = { ...base };
+  Object.entries(overrides || {}).forEach(([field, value]) => {
+    if (value !== null && typeof value !== 'undefined') result[field] = value;
+  });
+  return result;
+}
+
+// 관리자 화면에서 답변 목록을 저장하기 전에 확인. 문제가 없으면 빈 배열
+export function validateMockReplies(input) {
+  if (input === null || typeof input === 'undefined') return [];
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return ['답변 목록은 { "1": ["답변", ...], "default": [...] } 형식의 객체여야 합니다.'];
+  }
+  const errors = [];
+  Object.entries(input).forEach(([key, list]) => {
+    if (key !== 'default' && !/^[1-9]\d?$/.test(key)) {
+      errors.push(`'${key}': 키는 차시 번호나 default여야 합니다.`);
+    } else if (!Array.isArray(list) || list.some((item) => typeof item !== 'string')) {
+      errors.push(`'${key}': 답변은 문자열 배열이어야 합니다.`);
+    } else if (list.length > MAX_REPLIES) {
+      errors.push(`'${key}': 답변은 ${MAX_REPLIES}개까지 넣을 수 있습니다.`);
+    }
+  });
+  return errors;
+}
+
+function sanitizeReplies(input) {
+  if (!input || validateMockReplies(input).length) return null;
+  const replies = {};
+  Object.entries(input).forEach(([key, list]) => {
+    const items = list.map((item) => item.trim().slice(0, MAX_REPLY_LENGTH)).filter(Boolean);
+    if (items.length) replies[key] = items;
+  });
+  return Object.keys(replies).length ? replies : null;
+}
+
+function numberInRange(value, min, max) {
+  if (value === null || typeof value === 'undefined' || value === '') return null;
+  const num = Number(value);
+  if (!Number.isFinite(num)) return null;
+  return Math.round(Math.min(max, Math.max(min, num)));
+}
+
+function hashIndex(text, length) {
+  const digest = crypto.createHash('sha256').update(String(text || '')).digest();
+  return digest.readUInt32BE(0) % length;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (!ms || signal?.aborted) {
+      resolve();
+      return;
+    }
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+// 차시 답변: 관리자 답변 목록 → 기본 대본 순서로 고르고, 학생 메시지로 그중 하나를 정함
+function buildReply(message, stage, replies) {
+  const key = String(Number(stage || 0) || 'default');
+  const list = replies?.[key] || replies?.default || SCRIPTED_REPLIES[key] || SCRIPTED_REPLIES.default;
+  const excerpt = message.replace(/\s+/g, ' ').trim().slice(0, 40);
+  return list[hashIndex(message, list.length)].replaceAll('{message}', excerpt);
+}
+
+// 이전 차시 요약: 학생이 한 말을 앞에서부터 몇 줄 뽑아 요약 형식으로 돌려줌
+function buildSummary(message) {
+  const lines = message
+    .split('\n')
+    .filter((line) => /^(user|학생)\s*:/i.test(line.trim()))
+    .map((line) => line.replace(/^[^:]*:\s*/, '').trim())
+    .filter(Boolean)
+    .slice(0, 5);
+  if (!lines.length) return '[모의 요약] 이전 차시에 나눈 학생 발언이 없습니다.';
+  return ['[모의 요약] 학생이 이전 차시에 다룬 내용:', ...lines.map((line) => `- ${line.slice(0, 120)}`)].join('\n');
+}
+
+// 루브릭 채점: 채점 지침(scoring.js buildScoringPrompt)의 기준 id와 수준 점수를 읽어
+// 기준마다 가운데 수준을 주는 JSON을 돌려줌
+function buildScoring(systemPrompt) {
+  const criteria = [];
+  systemPrompt.split('\n').forEach((line) => {
+    const criterion = line.match(/^- id: (\S+)/);
+    if (criterion) {
+      criteria.push({ id: criterion[1], scores: [] });
+      return;
+    }
+    const level = line.match(/^\s+- (\d+(?:\.\d+)?)점/);
+    if (level && criteria.length) criteria[criteria.length - 1].scores.push(Number(level[1]));
+  });
+  return JSON.stringify({
+    criteria: criteria.map(({ id, scores }) => ({
+      id,
+      score: scores.length ? scores[Math.floor((scores.length - 1) / 2)] : 0,
+      rationale: '[모의 AI] 연습용 채점이라 가운데 수준을 주었습니다.',
+    })),
+    comment: '[모의 AI] 연습용 채점 결과입니다.',
+  });
+}
+
+function* splitTokens(text) {
+  for (const piece of text.match(/\S+\s*|\s+/g) || []) yield piece;
+}
+
+export const mockProvider = {
+  id: 'mock',
+  label: '모의 AI (연습용)',
+  configKey: 'mock',
+  defaultModel: 'mock',
+  async chat({ messages, settings, stream = null, signal = null, stage = null, purpose = 'reply' }) {
+    const { latencyMs = 0, failEvery = 0, errorStatus = 503, replies = null } = settings;
+    callCount += 1;
+    const failing = failEvery > 0 && callCount % failEvery === 0;
+    await sleep(latencyMs, stream?.signal || signal);
+    if (stream?.signal?.aborted || signal?.aborted) return '';
+    if (failing) {
+      throw aiError(errorStatus, `모의 AI 오류 (${errorStatus}): ${failEvery}번째 호출마다 실패하도록 설정되어 있습니다.`);
+    }
+    const systemPrompt = messages.find((message) => message.role === 'system')?.content || '';
+    const message = messages[messages.length - 1]?.content || '';
+    let text;
+    if (purpose === 'scoring') {
+      text = buildScoring(systemPrompt);
+    } else if (purpose === 'summary') {
+      text = buildSummary(message);
+    } else {
+      text = buildReply(message, stage, replies);
+    }
+    if (!stream) return text;
+    const pieces = (async function* () {
+      for (const piece of splitTokens(text)) {
+        await sleep(TOKEN_DELAY_MS, stream.signal);
+        if (stream.signal?.aborted) return;
+        yield piece;
+      }
+    })();
+    return (await collectStreamText(pieces, stream)).trim();
+  },
+};
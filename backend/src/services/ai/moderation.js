@@ -0,0 +1,41 @@
+// 제공자 검사기: OpenAI moderation API로 학생 메시지·AI 답변을 검사 (services/moderation.js의 검사기 형식)
+// 키·주소는 AI 설정의 OpenAI 항목을 그대로 씀
+import { aiError, configError } from './http.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const MODERATION_MODEL = 'omni-moderation-latest';
+// 검사 때문에 대화가 오래 멈추지 않도록 짧게 끊음 (실패하면 이 검사기만 건너뜀)
+const MODERATION_TIMEOUT_MS = 5000;
+
+export function createOpenAiModerationChecker(settings = {}) {
+  return {
+    id: 'openai',
+    label: 'OpenAI moderation',
+    async check(text) {
+      if (!settings.apiKey) throw configError('OpenAI API 키가 설정되지 않았습니다.');
+      const baseUrl = String(settings.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+      const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${settings.apiKey}` };
+      if (settings.organization) headers['OpenAI-Organization'] = settings.organization;
+      let resp;
+      try {
+        resp = await fetch(`${baseUrl}/moderations`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ model: MODERATION_MODEL, input: String(text || '') }),
+          signal: AbortSignal.timeout(MODERATION_TIMEOUT_MS),
+        });
+      } catch (err) {
+        throw aiError(502, `OpenAI moderation에 연결하지 못했습니다: ${err.message}`);
+      }
+      if (!resp.ok) {
+        const body = await resp.text().catch(() => '');
+        throw aiError(resp.status, `OpenAI moderation 요청 실패 (${resp.status}): ${body || '오류'}`);
+      }
+      const result = (await resp.json())?.results?.[0] || {};
+      const categories = Object.entries(result.categories || {})
+        .filter(([, value]) => value === true)
+        .map(([name]) => name);
+      return { flagged: result.flagged === true, categories, matches: [] };
+    },
+  };
+}
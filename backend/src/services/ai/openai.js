@@ -0,0 +1,52 @@
+import OpenAI from 'openai';
+import { collectStreamText } from '../sse.js';
+import { configError, fillUsage } from './http.js';
+
+// 키·주소·조직이 바뀌면 클라이언트를 새로 만듦
+let client = null;
+let clientSignature = '';
+
+function ensureClient(settings) {
+  const apiKey = settings.apiKey || '';
+  if (!apiKey) throw configError('OpenAI API 키가 설정되지 않았습니다.');
+  const signature = [apiKey, settings.baseUrl || '', settings.organization || ''].join('|');
+  if (!client || clientSignature !== signature) {
+    client = new (OpenAI.default || OpenAI)({
+      apiKey,
+      baseURL: settings.baseUrl || undefined,
+      organization: settings.organization || undefined,
+      // 재시도·제한 시간은 resilience.js에서 한 번에 다룸
+      maxRetries: 0,
+    });
+    clientSignature = signature;
+  }
+  return client;
+}
+
+export const openAiProvider = {
+  id: 'openai',
+  label: 'OpenAI',
+  configKey: 'openai',
+  defaultModel: 'gpt-4.1-mini',
+  async chat({ messages, model, temperature, maxTokens = null, settings, stream = null, signal = null, usage = null }) {
+    const openai = ensureClient(settings);
+    const params = { model, messages, temperature };
+    if (maxTokens) params.max_tokens = maxTokens;
+    if (stream) {
+      const chunks = await openai.chat.completions.create(
+        { ...params, stream: true, stream_options: { include_usage: true } },
+        { signal: stream.signal },
+      );
+      const pieces = (async function* () {
+        for await (const chunk of chunks) {
+          fillUsage(usage, chunk?.usage);
+          yield chunk?.choices?.[0]?.delta?.content || '';
+        }
+      })();
+      return (await collectStreamText(pieces, stream)).trim();
+    }
+    const resp = await openai.chat.completions.create(params, signal ? { signal } : undefined);
+    fillUsage(usage, resp?.usage);
+    return String(resp?.choices?.[0]?.message?.content || '').trim();
+  },
+};
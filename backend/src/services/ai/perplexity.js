@@ -0,0 +1,22 @@
+import { configError, postChatCompletions } from './http.js';
+
+const PERPLEXITY_URL = 'https://api.perplexity.ai/chat/completions';
+
+export const perplexityProvider = {
+  id: 'perplexity',
+  label: 'Perplexity',
+  configKey: 'perplexity',
+  defaultModel: 'llama-3.1-sonar-small-128k-online',
+  async chat({ messages, model, temperature, maxTokens = null, settings, stream = null, signal = null, usage = null }) {
+    if (!settings.apiKey) throw configError('Perplexity API 키가 설정되지 않았습니다.');
+    return postChatCompletions({
+      url: PERPLEXITY_URL,
+      apiKey: settings.apiKey,
+      body: { model, messages, temperature, ...(maxTokens ? { max_tokens: maxTokens } : {}) },
+      label: 'Perplexity',
+      stream,
+      signal,
+      usage,
+    });
+  },
+};
@@ -0,0 +1,51 @@
+// 차시 AI 시스템 프롬프트의 {{변수}}를 학생 세션의 글로 바꿈
+// 값은 서버(generateAiFeedback)에서 세션 레코드로 채우고, 관리자 미리보기도 같은 함수를 씀
+
+export const PROMPT_VARIABLES = [
+  { key: 'studentName', label: '학생 이름' },
+  { key: 'prewriting', label: '2차시 메모' },
+  { key: 'draft', label: '3-1차시 메모' },
+  { key: 'notes', label: '3-2차시 성찰 메모' },
+  { key: 'final', label: '최종 글' },
+  { key: 'promptContent', label: '토론 발문 (제시문)' },
+  { key: 'stance', label: '이번 차시 학생 입장 (찬성/반대)' },
+  { key: 'previousStageSummary', label: '이전 차시 대화 요약' },
+];
+
+const VARIABLE_KEYS = new Set(PROMPT_VARIABLES.map((variable) => variable.key));
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9]*)\s*\}\}/g;
+// 학생 글이 비어 있으면 AI가 빈칸을 지어내지 않도록 이 표시로 바꿈
+const EMPTY_VALUE = '(없음)';
+
+// 프롬프트에 쓰인 변수 이름 (중복 없이, 나온 순서대로)
+export function findPromptVariables(template) {
+  const found = [];
+  String(template || '').replace(VARIABLE_PATTERN, (_match, key) => {
+    if (!found.includes(key)) found.push(key);
+    return '';
+  });
+  return found;
+}
+
+export function usesPromptVariable(template, key) {
+  return findPromptVariables(template).includes(key);
+}
+
+/**
+ * {{key}}를 values[key]로 바꿉니다. 알 수 없는 변수는 그대로 두어 관리자가 미리보기에서 알아챌 수 있게 합니다.
+ * 변수가 없는 프롬프트는 그대로 돌려줍니다.
+ */
+export function renderPromptTemplate(template, values = {}) {
+  const source = String(template || '');
+  if (!source.includes('{{')) return source;
+  return source.replace(VARIABLE_PATTERN, (match, key) => {
+    if (!VARIABLE_KEYS.has(key)) return match;
+    const value = String(values[key] ?? '').trim();
+    return value || EMPTY_VALUE;
+  });
+}
+
+// 미리보기용: 쓰인 변수 중 알 수 없는 이름
+export function findUnknownPromptVariables(template) {
+  return findPromptVariables(template).filter((key) => !VARIABLE_KEYS.has(key));
+}
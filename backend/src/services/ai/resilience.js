@@ -0,0 +1,143 @@
+// AI 호출 안정화: 제한 시간, 지수 백오프 재시도, 대체 제공자
+// 스트리밍 중 이미 학생 화면에 토큰을 보냈다면 같은 답이 두 번 나오지 않도록 재시도·대체하지 않음
+import { AI_PROVIDER_IDS } from './index.js';
+import { aiError } from './http.js';
+
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504]);
+const MAX_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_RETRIES = 5;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+export function defaultResilience() {
+  return { timeoutMs: 60_000, maxRetries: 2, fallbackProvider: null };
+}
+
+// 관리자 설정의 resilience 항목 정리. 비워 둔 항목(null)은 환경 변수·기본값을 따름
+export function sanitizeResilience(input) {
+  const source = input && typeof input === 'object' ? input : {};
+  return {
+    timeoutMs: numberInRange(source.timeoutMs, 1000, MAX_TIMEOUT_MS),
+    maxRetries: numberInRange(source.maxRetries, 0, MAX_RETRIES),
+    fallbackProvider: AI_PROVIDER_IDS.includes(source.fallbackProvider) ? source.fallbackProvider : null,
+  };
+}
+
+// 비어 있지 않은 항목만 base 위에 덮어씀
+export function mergeResilience(base, overrides) {
+  const result = { ...base };
+  Object.entries(overrides || {}).forEach(([field, value]) => {
+    if (value !== null && typeof value !== 'undefined') result[field] = value;
+  });
+  return result;
+}
+
+function numberInRange(value, min, max) {
+  if (value === null || typeof value === 'undefined' || value === '') return null;
+  const num = Number(value);
+  if (!Number.isFinite(num)) return null;
+  return Math.round(Math.min(max, Math.max(min, num)));
+}
+
+// 429·5xx·연결 오류·시간 초과는 다시 시도. 설정 오류(키 없음 등)는 retryable: false로 표시됨
+export function isRetryableError(err) {
+  if (!err || err.retryable === false) return false;
+  if (err.retryable === true) return true;
+  const status = Number(err.status || 0);
+  if (!status) return true;
+  return RETRYABLE_STATUS.has(status);
+}
+
+function timeoutError(timeoutMs) {
+  const err = aiError(504, `AI 응답 시간이 초과되었습니다 (${Math.round(timeoutMs / 1000)}초).`);
+  err.retryable = true;
+  return err;
+}
+
+function backoffDelay(retry) {
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** retry);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * attempt(provider, { signal, onToken })를 제공자 순서대로, 제공자마다 maxRetries번까지 다시 시도합니다.
+ * 제한 시간은 응답(토큰)이 없는 시간 기준이라 긴 스트리밍 답변은 끊지 않습니다.
+ * signal(학생의 중단)이 오면 더 시도하지 않습니다.
+ * 성공하면 { text, provider, attempts }, 모두 실패하면 마지막 오류에 attempts·provider를 붙여 던집니다.
+ */
+export async function runWithResilience(attempt, { providers, timeoutMs, maxRetries, signal = null, onToken = null }) {
+  const order = providers.filter((provider, index) => provider && providers.indexOf(provider) === index);
+  let attempts = 0;
+  let lastError = null;
+  for (const provider of order) {
+    for (let retry = 0; retry <= maxRetries; retry += 1) {
+      if (signal?.aborted) return { text: '', provider, attempts };
+      if (retry > 0) {
+        await wait(backoffDelay(retry - 1), signal);
+        if (signal?.aborted) return { text: '', provider, attempts };
+      }
+      attempts += 1;
+      const controller = new AbortController();
+      const forwardAbort = () => controller.abort();
+      signal?.addEventListener('abort', forwardAbort, { once: true });
+      let timedOut = false;
+      let timer = null;
+      let rejectTimeout = null;
+      // 중단 신호를 받지 않는 SDK(Vertex)도 제한 시간에 끊기도록 호출과 경쟁시킴
+      const timeout = new Promise((_resolve, reject) => {
+        rejectTimeout = reject;
+      });
+      const armTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+          rejectTimeout(timeoutError(timeoutMs));
+        }, timeoutMs);
+      };
+      let streamed = false;
+      armTimer();
+      try {
+        const text = await Promise.race([
+          attempt(provider, {
+            signal: controller.signal,
+            onToken: onToken
+              ? (token) => {
+                  if (timedOut) return;
+                  streamed = true;
+                  armTimer();
+                  onToken(token);
+                }
+              : null,
+          }),
+          timeout,
+        ]);
+        if (timedOut) throw timeoutError(timeoutMs);
+        return { text, provider, attempts };
+      } catch (err) {
+        if (signal?.aborted && !timedOut) return { text: '', provider, attempts };
+        lastError = timedOut ? timeoutError(timeoutMs) : err;
+        lastError.provider = provider;
+        lastError.attempts = attempts;
+        if (streamed) throw lastError;
+        if (!isRetryableError(lastError)) break;
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', forwardAbort);
+      }
+    }
+  }
+  throw lastError || aiError(500, 'AI 응답을 생성하지 못했습니다.');
+}
@@ -0,0 +1,198 @@
+// 루브릭 채점: 학생 글을 기준별로 채점해 점수와 근거를 세션 레코드(record.scores)에 남김
+// 채점한 글·루브릭의 해시(sourceHash)가 같으면 다시 채점하지 않고, 글이 바뀌면 stale로 표시함
+// 교사가 고친 점수(overrides)는 다시 채점해도 유지하며, 최종 점수는 교사 점수 → 채점 점수 순으로 씀
+import crypto from 'crypto';
+import { RUBRIC_SCORER_LABELS, criterionMaxScore, findLevel, rubricMaxScore } from '../rubric.js';
+
+const MAX_RATIONALE_LENGTH = 1000;
+const MAX_NOTE_LENGTH = 1000;
+// 모의 채점: 최종 글이 이 단어 수 이상이면 가장 높은 수준
+const MOCK_FULL_WORDS = 250;
+
+export function hashScoringSource(rubric, texts) {
+  const source = JSON.stringify({ criteria: rubric.criteria, texts: texts.map(({ key, text }) => [key, text]) });
+  return crypto.createHash('sha256').update(source).digest('hex');
+}
+
+// 저장된 채점을 그대로 쓸 수 있으면 true (같은 글·같은 루브릭)
+export function isScoreCurrent(record, sourceHash) {
+  return Boolean(record?.scores?.scoredAt) && record.scores.sourceHash === sourceHash;
+}
+
+export function buildScoringPrompt(rubric) {
+  const lines = rubric.criteria.map((criterion) => {
+    const levels = criterion.levels
+      .map((level) => `  - ${level.score}점${level.label ? ` (${level.label})` : ''}: ${level.descriptor || ''}`)
+      .join('\n');
+    return `- id: ${criterion.id} / ${criterion.name}${criterion.description ? ` — ${criterion.description}` : ''}\n${levels}`;
+  });
+  return [
+    '당신은 학생의 영어 논설문을 루브릭으로 채점하는 평가자입니다.',
+    '기준마다 수준 하나를 골라 그 점수를 주고, 글에서 그렇게 판단한 까닭을 한국어 한두 문장으로 적으세요.',
+    '메모가 함께 주어지면 글쓰기 과정을 이해하는 데만 참고하고, 점수는 최종 글로 매기세요.',
+    '다른 말 없이 다음 JSON으로만 답하세요:',
+    '{"criteria":[{"id":"기준 id","score":점수,"rationale":"근거"}],"comment":"전체 총평 한두 문장"}',
+    '',
+    `[루브릭]${rubric.title ? ` ${rubric.title}` : ''}`,
+    ...lines,
+  ].join('\n');
+}
+
+export function buildScoringMessage(texts) {
+  return texts.map(({ label, text }) => `<${label}>\n${text || '(없음)'}\n</${label}>`).join('\n\n');
+}
+
+/**
+ * AI 답변에서 기준별 점수와 근거를 읽습니다. 기준이 빠졌거나 JSON이 아니면 Error를 던집니다.
+ * 수준에 없는 점수는 가장 가까운 수준의 점수로 맞춥니다.
+ * { criteria: { [id]: { score, rationale } }, comment }
+ */
+export function parseScoringReply(reply, rubric) {
+  const source = String(reply || '');
+  const start = source.indexOf('{');
+  const end = source.lastIndexOf('}');
+  let parsed = null;
+  try {
+    parsed = start >= 0 && end > start ? JSON.parse(source.slice(start, end + 1)) : null;
+  } catch (_err) {
+    parsed = null;
+  }
+  if (!parsed || typeof parsed !== 'object') throw new Error('채점 결과를 JSON으로 읽을 수 없습니다.');
+  const items = Array.isArray(parsed.criteria) ? parsed.criteria : [];
+  const criteria = {};
+  rubric.criteria.forEach((criterion) => {
+    const item = items.find((entry) => String(entry?.id || '') === criterion.id);
+    const score = Number(item?.score);
+    if (!item || item.score === null || !Number.isFinite(score)) {
+      throw new Error(`채점 결과에 '${criterion.name}' 기준 점수가 없습니다.`);
+    }
+    criteria[criterion.id] = {
+      score: nearestLevelScore(criterion, score),
+      rationale: String(item.rationale || '').trim().slice(0, MAX_RATIONALE_LENGTH),
+    };
+  });
+  return { criteria, comment: String(parsed.comment || '').trim().slice(0, MAX_RATIONALE_LENGTH) };
+}
+
+function nearestLevelScore(criterion, score) {
+  return criterion.levels.reduce(
+    (best, level) => (Math.abs(level.score - score) < Math.abs(best - score) ? level.score : best),
+    criterion.levels[0].score
+  );
+}
+
+/**
+ * AI 없이 채점하는 모의 채점기 (수업 준비·오프라인 확인용).
+ * 최종 글 단어 수로 모든 기준의 수준을 정하므로 같은 글은 항상 같은 점수입니다.
+ */
+export function mockScore(rubric, texts) {
+  const finalText = texts.find((entry) => entry.key === 'final')?.text || '';
+  const words = finalText.split(/\s+/).filter(Boolean).length;
+  const ratio = Math.min(1, words / MOCK_FULL_WORDS);
+  const criteria = {};
+  rubric.criteria.forEach((criterion) => {
+    const level = criterion.levels[Math.round(ratio * (criterion.levels.length - 1))];
+    criteria[criterion.id] = {
+      score: level.score,
+      rationale: `[모의 채점] 최종 글 ${words}단어 기준으로 '${level.label || `${level.score}점`}' 수준으로 정했습니다.`,
+    };
+  });
+  return { criteria, comment: `[모의 채점] ${MOCK_FULL_WORDS}단어 이상이면 모든 기준에서 가장 높은 수준입니다.` };
+}
+
+// 새 채점 결과 저장. 교사가 고친 점수와 메모는 그대로 둠
+export function storeScores(record, result, { sourceHash, scorer, provider = '' }, now = Date.now()) {
+  const previous = record.scores || {};
+  record.scores = {
+    scorer,
+    provider: provider || '',
+    sourceHash: sourceHash || '',
+    scoredAt: now,
+    criteria: result.criteria,
+    comment: result.comment || '',
+    overrides: previous.overrides || {},
+    note: previous.note || '',
+    overriddenAt: Number(previous.overriddenAt || 0),
+  };
+  return record.scores;
+}
+
+// 교사 점수 확인. 문제가 없으면 빈 배열 (null·빈 값은 교사 점수를 지움)
+export function validateScoreOverrides(rubric, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return ['scores 객체가 필요합니다.'];
+  const errors = [];
+  Object.entries(changes).forEach(([id, value]) => {
+    const criterion = rubric.criteria.find((entry) => entry.id === id);
+    if (!criterion) {
+      errors.push(`루브릭에 없는 기준입니다: ${id}`);
+      return;
+    }
+    if (value === null || value === '') return;
+    const score = Number(value);
+    const max = criterionMaxScore(criterion);
+    if (!Number.isFinite(score) || score < 0 || score > max) {
+      errors.push(`'${criterion.name}' 점수는 0에서 ${max} 사이여야 합니다.`);
+    }
+  });
+  return errors;
+}
+
+// 교사 점수 저장 (changes: { [기준 id]: 점수 | null }). note를 주면 교사 메모도 바꿈
+export function overrideScores(record, changes, note, now = Date.now()) {
+  const previous = record.scores || { criteria: {}, overrides: {} };
+  const overrides = { ...(previous.overrides || {}) };
+  Object.entries(changes).forEach(([id, value]) => {
+    if (value === null || value === '') {
+      delete overrides[id];
+    } else {
+      overrides[id] = Number(value);
+    }
+  });
+  record.scores = {
+    ...previous,
+    overrides,
+    note: typeof note === 'string' ? note.trim().slice(0, MAX_NOTE_LENGTH) : previous.note || '',
+    overriddenAt: now,
+  };
+  return record.scores;
+}
+
+/**
+ * 관리자 화면·내보내기용 채점 결과. 루브릭이 없으면 null.
+ * currentHash를 주면 채점한 뒤 글이나 루브릭이 바뀐 경우 stale: true
+ */
+export function describeScores(record, rubric, currentHash = '') {
+  if (!rubric) return null;
+  const stored = record?.scores || {};
+  const overrides = stored.overrides || {};
+  const criteria = rubric.criteria.map((criterion) => {
+    const ai = stored.criteria?.[criterion.id] || null;
+    const teacherScore = Number.isFinite(overrides[criterion.id]) ? overrides[criterion.id] : null;
+    const score = teacherScore ?? ai?.score ?? null;
+    return {
+      id: criterion.id,
+      name: criterion.name,
+      maxScore: criterionMaxScore(criterion),
+      aiScore: ai ? ai.score : null,
+      teacherScore,
+      score,
+      level: score === null ? '' : findLevel(criterion, score)?.label || '',
+      rationale: ai?.rationale || '',
+    };
+  });
+  const scored = criteria.filter((entry) => entry.score !== null);
+  return {
+    scorer: stored.scorer || '',
+    scorerLabel: RUBRIC_SCORER_LABELS[stored.scorer] || '',
+    provider: stored.provider || '',
+    scoredAt: Number(stored.scoredAt || 0),
+    comment: stored.comment || '',
+    note: stored.note || '',
+    overriddenAt: Number(stored.overriddenAt || 0),
+    stale: Boolean(stored.scoredAt && currentHash && stored.sourceHash && stored.sourceHash !== currentHash),
+    complete: scored.length === criteria.length,
+    total: scored.length ? scored.reduce((sum, entry) => sum + entry.score, 0) : null,
+    maxTotal: rubricMaxScore(rubric),
+    criteria,
+  };
+}
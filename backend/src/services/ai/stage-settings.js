@@ -0,0 +1,32 @@
+// 차시별 AI 설정 (공개 설정 stagePrompts[i].ai)
+// 비워 둔 항목(null)은 AI 설정 카드(학급 포함)의 값이나 기존 단계별 기본값을 따름
+// historyWindow: 이번 차시 대화에서 최근 몇 개의 메시지를 참고로 넣을지 (0이면 넣지 않음)
+import { AI_PROVIDER_IDS } from './index.js';
+
+const MAX_MODEL_LENGTH = 200;
+const MAX_TOKENS_LIMIT = 32_000;
+const MAX_HISTORY_WINDOW = 200;
+
+export function emptyStageAi() {
+  return { provider: null, model: null, temperature: null, maxTokens: null, historyWindow: null };
+}
+
+export function sanitizeStageAi(input) {
+  if (!input || typeof input !== 'object') return emptyStageAi();
+  const model = typeof input.model === 'string' ? input.model.trim().slice(0, MAX_MODEL_LENGTH) : '';
+  return {
+    provider: AI_PROVIDER_IDS.includes(input.provider) ? input.provider : null,
+    model: model || null,
+    temperature: numberInRange(input.temperature, 0, 2, false),
+    maxTokens: numberInRange(input.maxTokens, 1, MAX_TOKENS_LIMIT, true),
+    historyWindow: numberInRange(input.historyWindow, 0, MAX_HISTORY_WINDOW, true),
+  };
+}
+
+function numberInRange(value, min, max, integer) {
+  if (value === null || typeof value === 'undefined' || value === '') return null;
+  const num = Number(value);
+  if (!Number.isFinite(num)) return null;
+  const clamped = Math.min(max, Math.max(min, num));
+  return integer ? Math.round(clamped) : clamped;
+}
@@ -0,0 +1,74 @@
+// 이전 차시 대화 요약 저장: 요약한 원문 차시별로 세션 레코드(record.transcriptSummaries)에 남기고
+// 원문(대화 기록)의 해시가 같으면 다시 요약하지 않음
+// 관리자가 고친 요약은 원문이 바뀌어도 그대로 쓰고 stale로만 표시함 (다시 요약하면 덮어씀)
+import crypto from 'crypto';
+
+export function hashTranscript(text) {
+  return crypto.createHash('sha256').update(String(text || '')).digest('hex');
+}
+
+export function getStoredSummary(record, stage) {
+  const entry = record?.transcriptSummaries?.[Number(stage)];
+  return entry && typeof entry.text === 'string' ? entry : null;
+}
+
+// 저장된 요약을 그대로 쓸 수 있으면 true (원문이 같거나 관리자가 고친 요약)
+export function isSummaryReusable(entry, sourceHash) {
+  if (!entry || !entry.text.trim()) return false;
+  return entry.edited === true || entry.sourceHash === sourceHash;
+}
+
+/**
+ * 새로 만든 요약을 저장합니다. 관리자 수정 표시는 지웁니다.
+ * { text, sourceHash, provider }
+ */
+export function storeSummary(record, stage, { text, sourceHash, provider = '' }, now = Date.now()) {
+  const entry = {
+    text: String(text || '').trim(),
+    sourceHash: sourceHash || '',
+    provider: provider || '',
+    generatedAt: now,
+    edited: false,
+    editedAt: 0,
+  };
+  record.transcriptSummaries = { ...(record.transcriptSummaries || {}), [Number(stage)]: entry };
+  return entry;
+}
+
+// 관리자가 고친 요약. 빈 글이면 저장된 요약을 지워 다음 AI 호출 때 다시 요약하게 함
+export function editSummary(record, stage, text, now = Date.now()) {
+  const key = Number(stage);
+  const summaries = { ...(record.transcriptSummaries || {}) };
+  const value = String(text || '').trim();
+  if (!value) {
+    delete summaries[key];
+    record.transcriptSummaries = summaries;
+    return null;
+  }
+  const previous = summaries[key] || {};
+  summaries[key] = {
+    text: value,
+    sourceHash: previous.sourceHash || '',
+    provider: previous.provider || '',
+    generatedAt: Number(previous.generatedAt || 0),
+    edited: true,
+    editedAt: now,
+  };
+  record.transcriptSummaries = summaries;
+  return summaries[key];
+}
+
+// 저장된 요약 목록(차시 순). currentHashes({ [stage]: hash })를 주면 원문이 바뀐 요약에 stale: true
+export function listSummaries(record, currentHashes = {}) {
+  return Object.entries(record?.transcriptSummaries || {})
+    .map(([stage, entry]) => ({
+      stage: Number(stage),
+      text: entry.text || '',
+      provider: entry.provider || '',
+      generatedAt: Number(entry.generatedAt || 0),
+      edited: entry.edited === true,
+      editedAt: Number(entry.editedAt || 0),
+      stale: Boolean(currentHashes[stage] && entry.sourceHash && currentHashes[stage] !== entry.sourceHash),
+    }))
+    .sort((a, b) => a.stage - b.stage);
+}
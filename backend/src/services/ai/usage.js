@@ -0,0 +1,196 @@
+// AI 사용량 기록: 호출마다 모델·토큰·걸린 시간을 세션 키별 사용량 로그에 한 줄씩 남기고,
+// 학생별 차시·하루 토큰 한도와 관리자 사용량 화면·내보내기에 씀
+// 제공자가 토큰 수를 알려 주지 않으면(중단한 스트리밍, 일부 호환 서버) 글자 수로 어림함(estimated: true)
+
+const MAX_TOKEN_LIMIT = 10_000_000;
+// 하루 한도는 한국 시간 기준 날짜로 셈
+const USAGE_TIME_ZONE = 'Asia/Seoul';
+
+export const USAGE_PURPOSE_LABELS = {
+  reply: 'AI 답변',
+  summary: '이전 차시 요약',
+  scoring: '루브릭 채점',
+};
+
+// 1M 토큰당 예상 가격(USD, 입력/출력). 모델 이름이 이 이름으로 시작하면 같은 가격으로 봄
+// 공개 가격표 기준의 어림값이며 OpenAI 호환 서버(자체 서버)·모의 AI는 비용 없음으로 셈
+const MODEL_PRICES = {
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'llama-3.1-sonar-small': { input: 0.2, output: 0.2 },
+  'llama-3.1-sonar-large': { input: 1, output: 1 },
+  'sonar-pro': { input: 3, output: 15 },
+  sonar: { input: 1, output: 1 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+};
+const PRICE_PREFIXES = Object.keys(MODEL_PRICES).sort((a, b) => b.length - a.length);
+
+export function defaultUsageLimits() {
+  return { stageTokens: null, dayTokens: null };
+}
+
+// 관리자 설정의 usageLimits 정리. 비워 둔 항목(null)은 한도 없음(또는 환경 변수 값)
+export function sanitizeUsageLimits(input) {
+  const source = input && typeof input === 'object' ? input : {};
+  return {
+    stageTokens: positiveInt(source.stageTokens),
+    dayTokens: positiveInt(source.dayTokens),
+  };
+}
+
+export function mergeUsageLimits(base, overrides) {
+  const result = { ...base };
+  Object.entries(overrides || {}).forEach(([field, value]) => {
+    if (value !== null && typeof value !== 'undefined') result[field] = value;
+  });
+  return result;
+}
+
+// 한국어는 글자당 1토큰, 영문·숫자는 4글자당 1토큰 정도로 어림
+export function estimateTokens(text) {
+  const value = String(text || '');
+  if (!value) return 0;
+  const ascii = value.replace(/[^\x00-\x7F]/g, '').length;
+  return Math.ceil(ascii / 4 + (value.length - ascii));
+}
+
+export function findModelPrice(provider, model) {
+  if (provider === 'compatible' || provider === 'mock') return { input: 0, output: 0 };
+  const name = String(model || '').toLowerCase();
+  const prefix = PRICE_PREFIXES.find((key) => name.startsWith(key));
+  return prefix ? MODEL_PRICES[prefix] : null;
+}
+
+// 예상 비용(USD). 가격을 모르는 모델이면 null
+export function estimateCost(provider, model, promptTokens, completionTokens) {
+  const price = findModelPrice(provider, model);
+  if (!price) return null;
+  return (Number(promptTokens || 0) * price.input + Number(completionTokens || 0) * price.output) / 1_000_000;
+}
+
+export function usageDayKey(ts) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: USAGE_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(Number(ts) || 0));
+}
+
+/**
+ * 호출 한 번의 사용량 로그 항목을 만듭니다.
+ * { at, stage, purpose, provider, model, promptTokens, completionTokens, estimated, latencyMs, ok, attempts }
+ */
+export function createUsageEntry(entry, now = Date.now()) {
+  return {
+    at: Number(entry.at || now),
+    stage: Number(entry.stage) || null,
+    purpose: USAGE_PURPOSE_LABELS[entry.purpose] ? entry.purpose : 'reply',
+    provider: entry.provider || '',
+    model: entry.model || '',
+    promptTokens: Math.max(0, Math.round(Number(entry.promptTokens) || 0)),
+    completionTokens: Math.max(0, Math.round(Number(entry.completionTokens) || 0)),
+    estimated: entry.estimated === true,
+    latencyMs: Math.max(0, Math.round(Number(entry.latencyMs) || 0)),
+    ok: entry.ok !== false,
+    attempts: Math.max(1, Number(entry.attempts) || 1),
+  };
+}
+
+function entryTokens(entry) {
+  return Number(entry.promptTokens || 0) + Number(entry.completionTokens || 0);
+}
+
+/**
+ * 한 학생의 사용량 로그(entries)가 한도를 넘었으면 { scope: 'stage' | 'day', used, limit }, 아니면 null.
+ * 요약 호출도 같은 학생의 사용량으로 셉니다.
+ */
+export function checkUsageLimits(entries, stage, limits, now = Date.now()) {
+  if (!limits) return null;
+  if (limits.stageTokens) {
+    const used = entries
+      .filter((entry) => Number(entry.stage) === Number(stage))
+      .reduce((sum, entry) => sum + entryTokens(entry), 0);
+    if (used >= limits.stageTokens) return { scope: 'stage', used, limit: limits.stageTokens };
+  }
+  if (limits.dayTokens) {
+    const today = usageDayKey(now);
+    const used = entries
+      .filter((entry) => usageDayKey(entry.at) === today)
+      .reduce((sum, entry) => sum + entryTokens(entry), 0);
+    if (used >= limits.dayTokens) return { scope: 'day', used, limit: limits.dayTokens };
+  }
+  return null;
+}
+
+/**
+ * 관리자 사용량 화면용 합계. records는 세션 레코드 목록, usageByKey는 세션 키 -> 사용량 로그입니다.
+ * { totals, byModel, byStage, byDay, byStudent }: 항목마다 calls·failures·promptTokens·completionTokens·cost
+ */
+export function summarizeUsage(records, usageByKey, now = Date.now()) {
+  const today = usageDayKey(now);
+  const totals = emptyTotals();
+  const byModel = new Map();
+  const byStage = new Map();
+  const byDay = new Map();
+  const byStudent = [];
+  records.forEach((record) => {
+    const student = {
+      ...emptyTotals(),
+      sessionKey: record.sessionKey,
+      studentId: record.studentId || '',
+      studentName: record.studentName || '',
+      todayTokens: 0,
+    };
+    (usageByKey.get(record.sessionKey) || []).forEach((entry) => {
+      const modelKey = `${entry.provider}|${entry.model}`;
+      if (!byModel.has(modelKey)) {
+        byModel.set(modelKey, { ...emptyTotals(), provider: entry.provider, model: entry.model, priced: true });
+      }
+      const stageKey = Number(entry.stage) || 0;
+      if (!byStage.has(stageKey)) byStage.set(stageKey, { ...emptyTotals(), stage: stageKey });
+      const dayKey = usageDayKey(entry.at);
+      if (!byDay.has(dayKey)) byDay.set(dayKey, { ...emptyTotals(), day: dayKey });
+      [totals, byModel.get(modelKey), byStage.get(stageKey), byDay.get(dayKey), student].forEach((bucket) => addEntry(bucket, entry));
+      if (dayKey === today) student.todayTokens += entryTokens(entry);
+    });
+    if (student.calls) byStudent.push(student);
+  });
+  byModel.forEach((bucket) => {
+    bucket.priced = Boolean(findModelPrice(bucket.provider, bucket.model));
+  });
+  return {
+    totals,
+    byModel: Array.from(byModel.values()).sort((a, b) => b.promptTokens + b.completionTokens - (a.promptTokens + a.completionTokens)),
+    byStage: Array.from(byStage.values()).sort((a, b) => a.stage - b.stage),
+    byDay: Array.from(byDay.values()).sort((a, b) => (a.day < b.day ? 1 : -1)),
+    byStudent: byStudent.sort((a, b) => b.promptTokens + b.completionTokens - (a.promptTokens + a.completionTokens)),
+    today,
+  };
+}
+
+function emptyTotals() {
+  return { calls: 0, failures: 0, estimatedCalls: 0, promptTokens: 0, completionTokens: 0, latencyMs: 0, cost: 0 };
+}
+
+function addEntry(bucket, entry) {
+  bucket.calls += 1;
+  if (!entry.ok) bucket.failures += 1;
+  if (entry.estimated) bucket.estimatedCalls += 1;
+  bucket.promptTokens += Number(entry.promptTokens || 0);
+  bucket.completionTokens += Number(entry.completionTokens || 0);
+  bucket.latencyMs += Number(entry.latencyMs || 0);
+  bucket.cost += estimateCost(entry.provider, entry.model, entry.promptTokens, entry.completionTokens) || 0;
+}
+
+function positiveInt(value) {
+  if (value === null || typeof value === 'undefined' || value === '') return null;
+  const num = Math.round(Number(value));
+  if (!Number.isFinite(num) || num <= 0) return null;
+  return Math.min(num, MAX_TOKEN_LIMIT);
+}
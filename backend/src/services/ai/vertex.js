@@ -0,0 +1,77 @@
+import { VertexAI } from '@google-cloud/vertexai';
+import { collectStreamText } from '../sse.js';
+import { aiError, configError } from './http.js';
+
+// 인증은 실행 환경의 기본 서비스 계정(ADC)을 씀. 프로젝트·리전이 바뀌면 새로 만듦
+let vertex = null;
+let vertexSignature = '';
+
+function ensureVertex(settings) {
+  const project = settings.project || '';
+  if (!project) throw configError('Vertex AI 프로젝트(VERTEX_PROJECT)가 설정되지 않았습니다.');
+  const location = settings.location || 'us-central1';
+  const signature = `${project}|${location}`;
+  if (!vertex || vertexSignature !== signature) {
+    vertex = new VertexAI({ project, location });
+    vertexSignature = signature;
+  }
+  return vertex;
+}
+
+// 이 SDK 버전의 Gemini 요청에는 system 역할이 없어 지침·참고 자료를 첫 사용자 메시지 앞에 붙임
+function toContents(messages) {
+  const system = messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n\n');
+  const contents = messages
+    .filter((m) => m.role !== 'system')
+    .map((m) => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+  if (!system) return contents;
+  if (contents.length) contents[0].parts.unshift({ text: system });
+  else contents.push({ role: 'user', parts: [{ text: system }] });
+  return contents;
+}
+
+function fillVertexUsage(usage, metadata) {
+  if (!usage || !metadata) return;
+  if (Number.isFinite(metadata.promptTokenCount)) usage.promptTokens = metadata.promptTokenCount;
+  if (Number.isFinite(metadata.candidatesTokenCount)) usage.completionTokens = metadata.candidatesTokenCount;
+}
+
+function responseText(response) {
+  return (response?.candidates?.[0]?.content?.parts || []).map((part) => part.text || '').join('');
+}
+
+export const vertexProvider = {
+  id: 'vertex',
+  label: 'Vertex AI (Gemini)',
+  configKey: 'vertex',
+  defaultModel: 'gemini-1.5-flash',
+  async chat({ messages, model, temperature, maxTokens = null, settings, stream = null, usage = null }) {
+    const generationConfig = {};
+    if (Number.isFinite(temperature)) generationConfig.temperature = temperature;
+    if (maxTokens) generationConfig.max_output_tokens = maxTokens;
+    const generativeModel = ensureVertex(settings).preview.getGenerativeModel({
+      model,
+      generation_config: generationConfig,
+    });
+    const request = { contents: toContents(messages) };
+    try {
+      if (stream) {
+        const result = await generativeModel.generateContentStream(request);
+        // SDK가 중단 신호를 받지 않으므로, 중단되면 남은 조각을 읽지 않고 멈춤
+        const pieces = (async function* () {
+          for await (const chunk of result.stream) {
+            if (stream.signal?.aborted) return;
+            fillVertexUsage(usage, chunk?.usageMetadata);
+            yield responseText(chunk);
+          }
+        })();
+        return (await collectStreamText(pieces, stream)).trim();
+      }
+      const result = await generativeModel.generateContent(request);
+      fillVertexUsage(usage, result.response?.usageMetadata);
+      return responseText(result.response).trim();
+    } catch (err) {
+      throw aiError(502, `Vertex AI 요청 실패: ${String(err.message || err).trim()}`);
+    }
+  },
+};
@@ -0,0 +1,48 @@
+// 제출하지 않은 작성 중인 글의 자동 저장본. 제출된 글 필드와 따로 record.autosave에 보관
+// stage5Memo는 서버에 제출 필드가 없는 4차시-2 성찰 메모
+export const AUTOSAVE_FIELDS = ['preText', 'draftText', 'notesText', 'finalText', 'stage5Memo'];
+
+const MAX_TEXT_LENGTH = 50_000;
+
+/**
+ * 학생 화면이 보낸 작성 중인 글을 반영합니다. { [field]: text } 형태이며 알 수 없는 필드는 무시합니다.
+ * 비어 있거나 제출된 글과 같으면 자동 저장본을 지웁니다. 바뀐 것이 있으면 true를 돌려줍니다.
+ */
+export function applyAutosave(record, fields = {}, { stage, now = Date.now() } = {}) {
+  let changed = false;
+  AUTOSAVE_FIELDS.forEach((field) => {
+    if (typeof fields?.[field] !== 'string') return;
+    const text = fields[field].slice(0, MAX_TEXT_LENGTH);
+    if (!text.trim() || text.trim() === String(record[field] || '').trim()) {
+      changed = clearAutosave(record, field) || changed;
+      return;
+    }
+    if (record.autosave?.[field]?.text === text) return;
+    record.autosave = {
+      ...(record.autosave || {}),
+      [field]: { text, stage: Number(stage || 0) || null, savedAt: now },
+    };
+    changed = true;
+  });
+  return changed;
+}
+
+// 글을 제출·저장하면 그 필드의 자동 저장본은 더 이상 필요 없음
+export function clearAutosave(record, field) {
+  if (!record.autosave?.[field]) return false;
+  const { [field]: _removed, ...rest } = record.autosave;
+  if (Object.keys(rest).length) record.autosave = rest;
+  else delete record.autosave;
+  return true;
+}
+
+// 다시 로그인했을 때 복원할 글 (제출된 글과 다른 것만)
+export function pendingAutosave(record) {
+  const pending = {};
+  AUTOSAVE_FIELDS.forEach((field) => {
+    const entry = record.autosave?.[field];
+    if (!entry?.text || entry.text.trim() === String(record[field] || '').trim()) return;
+    pending[field] = { text: entry.text, savedAt: Number(entry.savedAt || 0) };
+  });
+  return pending;
+}
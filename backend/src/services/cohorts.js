@@ -0,0 +1,104 @@
+// 학급(코호트): 한 배포에서 여러 학급·학교가 각자의 명단, 차시 안내·제시문, AI 설정, 진행 규칙으로 실험
+// 코드가 빈 문자열이면 기본 학급(학급을 만들기 전부터 쓰던 전역 설정·명단)을 뜻함
+const COHORT_CODE_PATTERN = /^[a-z0-9][a-z0-9-]{1,31}$/;
+const MAX_NAME_LENGTH = 100;
+// 학급별로 바꿀 수 있는 AI 설정 (API 키·접속 주소는 배포 전체가 같이 씀)
+const AI_OVERRIDE_FIELDS = ['provider', 'temperature', 'systemPrompt'];
+const MODEL_OVERRIDE_PROVIDERS = ['openai', 'perplexity', 'vertex', 'compatible'];
+
+export const DEFAULT_COHORT_NAME = '기본 학급';
+
+export function normalizeCohortCode(code) {
+  return String(code || '').trim().toLowerCase();
+}
+
+export function isCohortCode(code) {
+  return COHORT_CODE_PATTERN.test(normalizeCohortCode(code));
+}
+
+// 학급 학생의 세션 키는 학급 코드를 앞에 붙여 다른 학급의 같은 식별 번호와 겹치지 않게 함
+export function cohortSessionKey(cohort, group, studentId) {
+  const base = `${group}|${studentId}`;
+  return cohort ? `${cohort}:${base}` : base;
+}
+
+/**
+ * 새 학급. seed를 주면 그 설정·명단을 복사해 시작합니다.
+ * { code, name, createdAt, updatedAt, publicSettings, roster, matchups, overrides }
+ */
+export function createCohortRecord({ code, name }, seed = {}, now = Date.now()) {
+  return {
+    code: normalizeCohortCode(code),
+    name: String(name || '').trim().slice(0, MAX_NAME_LENGTH) || normalizeCohortCode(code),
+    createdAt: now,
+    updatedAt: now,
+    publicSettings: clone(seed.publicSettings ?? null),
+    roster: clone(seed.roster ?? { students: [], pairings: [] }),
+    matchups: clone(seed.matchups ?? []),
+    overrides: sanitizeCohortOverrides(seed.overrides || {}),
+  };
+}
+
+export function renameCohort(cohort, name, now = Date.now()) {
+  const trimmed = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+  if (trimmed) cohort.name = trimmed;
+  cohort.updatedAt = now;
+  return cohort;
+}
+
+/**
+ * 학급별 관리자 설정. AI는 provider·temperature·systemPrompt와 모델 이름만 덮어쓰고,
+ * workflow·pacing·rubric은 그대로 보관합니다(각 모듈의 sanitize로 정리는 호출하는 쪽에서).
+ * previous에 있던 값은 input에 없으면 유지합니다.
+ */
+export function sanitizeCohortOverrides(input = {}, previous = {}) {
+  const source = input && typeof input === 'object' ? input : {};
+  const base = previous && typeof previous === 'object' ? previous : {};
+  const safe = {
+    provider: base.provider ?? null,
+    temperature: base.temperature ?? null,
+    systemPrompt: base.systemPrompt ?? null,
+    openai: { model: base.openai?.model ?? null },
+    perplexity: { model: base.perplexity?.model ?? null },
+    vertex: { model: base.vertex?.model ?? null },
+    compatible: { model: base.compatible?.model ?? null },
+    workflow: base.workflow ?? null,
+    pacing: base.pacing ?? null,
+    rubric: base.rubric ?? null,
+  };
+  AI_OVERRIDE_FIELDS.forEach((field) => {
+    if (!Object.prototype.hasOwnProperty.call(source, field)) return;
+    const value = source[field];
+    if (field === 'temperature') {
+      safe.temperature = typeof value === 'number' && Number.isFinite(value) ? value : null;
+    } else {
+      safe[field] = typeof value === 'string' && value.trim() ? value.trim() : null;
+    }
+  });
+  MODEL_OVERRIDE_PROVIDERS.forEach((provider) => {
+    if (source[provider] && Object.prototype.hasOwnProperty.call(source[provider], 'model')) {
+      const model = source[provider].model;
+      safe[provider].model = typeof model === 'string' && model.trim() ? model.trim() : null;
+    }
+  });
+  if (Object.prototype.hasOwnProperty.call(source, 'workflow')) safe.workflow = source.workflow ?? null;
+  if (Object.prototype.hasOwnProperty.call(source, 'pacing')) safe.pacing = source.pacing ?? null;
+  if (Object.prototype.hasOwnProperty.call(source, 'rubric')) safe.rubric = source.rubric ?? null;
+  return safe;
+}
+
+// 목록용 요약 (설정 본문은 빼고 세션 수를 붙임)
+export function summarizeCohort(cohort, sessions = []) {
+  return {
+    code: cohort.code,
+    name: cohort.name,
+    createdAt: Number(cohort.createdAt || 0),
+    updatedAt: Number(cohort.updatedAt || 0),
+    sessions: sessions.filter((record) => (record.cohort || '') === cohort.code).length,
+    students: cohort.roster?.students?.length || 0,
+  };
+}
+
+function clone(value) {
+  return value === null || typeof value === 'undefined' ? value : JSON.parse(JSON.stringify(value));
+}
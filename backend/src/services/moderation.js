@@ -0,0 +1,187 @@
+// 대화 검사(모더레이션): 학생 메시지와 AI 답변을 저장·표시하기 전에 검사기들로 확인하고
+// 걸린 항목을 보낸 학생의 세션 레코드(record.moderationFlags)에 남겨 관리자 검토 목록에 보여 줌
+// 검사기는 { id, label, check(text) → { flagged, categories, matches } } 형식이면 무엇이든 끼울 수 있음
+export const MODERATION_ACTIONS = ['flag', 'block'];
+export const MODERATION_ACTION_LABELS = { flag: '표시만', block: '막기' };
+export const MODERATION_PROVIDERS = ['none', 'openai'];
+export const MODERATION_STATUSES = ['open', 'confirmed', 'dismissed'];
+export const MODERATION_STATUS_LABELS = { open: '검토 전', confirmed: '문제 있음', dismissed: '문제 없음' };
+export const MODERATION_SOURCE_LABELS = { student: '학생 메시지', ai: 'AI 답변' };
+
+// 막은 AI 답변 대신 학생에게 보여 주고 저장할 글
+export const BLOCKED_AI_REPLY = 'AI 답변에 수업에 맞지 않는 내용이 있어 보여 주지 않았습니다. 선생님께 알렸어요. 질문을 바꿔 다시 물어봐 주세요.';
+
+const MAX_RULES = 500;
+const MAX_RULE_LENGTH = 200;
+// 세션당 최근 항목만 보관
+const MAX_FLAGS = 200;
+const MAX_NOTE_LENGTH = 1000;
+// 검토 목록에 함께 보여 줄 앞선 대화 수
+export const MODERATION_CONTEXT_SIZE = 6;
+
+export function defaultModerationSettings() {
+  return {
+    enabled: true,
+    // 학생 메시지·AI 답변에 걸렸을 때: flag(저장·표시하고 검토 목록에만 올림) | block(저장·표시하지 않음)
+    studentAction: 'block',
+    aiAction: 'block',
+    checkStudent: true,
+    checkAi: true,
+    // 대소문자를 가리지 않는 금지어(포함되면 걸림)와 정규식
+    keywords: [],
+    patterns: [],
+    // 제공자 검사: openai이면 AI 설정의 OpenAI 키로 moderation API를 함께 씀
+    provider: 'none',
+  };
+}
+
+// 관리자 화면에서 저장하기 전에 확인. 문제가 없으면 빈 배열
+export function validateModerationSettings(input) {
+  if (!input || typeof input !== 'object') return ['설정 객체가 필요합니다.'];
+  const errors = [];
+  ['studentAction', 'aiAction'].forEach((field) => {
+    if (typeof input[field] !== 'undefined' && !MODERATION_ACTIONS.includes(input[field])) {
+      errors.push(`${field}는 ${MODERATION_ACTIONS.join(', ')} 중 하나여야 합니다.`);
+    }
+  });
+  if (typeof input.provider !== 'undefined' && !MODERATION_PROVIDERS.includes(input.provider)) {
+    errors.push(`provider는 ${MODERATION_PROVIDERS.join(', ')} 중 하나여야 합니다.`);
+  }
+  ['keywords', 'patterns'].forEach((field) => {
+    if (typeof input[field] === 'undefined') return;
+    if (!Array.isArray(input[field])) {
+      errors.push(`${field}는 문자열 배열이어야 합니다.`);
+    } else if (input[field].length > MAX_RULES) {
+      errors.push(`${field}는 ${MAX_RULES}개까지 넣을 수 있습니다.`);
+    }
+  });
+  (Array.isArray(input.patterns) ? input.patterns : []).forEach((pattern, index) => {
+    try {
+      new RegExp(String(pattern), 'iu');
+    } catch (err) {
+      errors.push(`patterns[${index}]: 올바른 정규식이 아닙니다. (${err.message})`);
+    }
+  });
+  return errors;
+}
+
+// 저장된 설정 정리. input이 없으면 previous를 유지하고, 올바르지 않은 값은 previous(없으면 기본값)를 씀
+export function sanitizeModerationSettings(input, previous = null) {
+  const base = { ...defaultModerationSettings(), ...(previous && typeof previous === 'object' ? previous : {}) };
+  const source = input && typeof input === 'object' && !validateModerationSettings(input).length ? input : {};
+  const rules = (list) =>
+    Array.from(new Set((list || []).map((item) => String(item || '').trim().slice(0, MAX_RULE_LENGTH)).filter(Boolean)))
+      .slice(0, MAX_RULES);
+  const flag = (field) => (typeof source[field] === 'boolean' ? source[field] : base[field] !== false);
+  return {
+    enabled: flag('enabled'),
+    studentAction: MODERATION_ACTIONS.includes(source.studentAction) ? source.studentAction : base.studentAction,
+    aiAction: MODERATION_ACTIONS.includes(source.aiAction) ? source.aiAction : base.aiAction,
+    checkStudent: flag('checkStudent'),
+    checkAi: flag('checkAi'),
+    keywords: rules(Array.isArray(source.keywords) ? source.keywords : base.keywords),
+    patterns: rules(Array.isArray(source.patterns) ? source.patterns : base.patterns),
+    provider: MODERATION_PROVIDERS.includes(source.provider) ? source.provider : base.provider,
+  };
+}
+
+// 금지어·정규식 검사기 (AI를 부르지 않음)
+export function createKeywordChecker({ keywords = [], patterns = [] } = {}) {
+  const words = keywords.map((word) => word.toLowerCase());
+  const compiled = patterns.map((pattern) => ({ pattern, regex: new RegExp(pattern, 'iu') }));
+  return {
+    id: 'keywords',
+    label: '금지어·정규식',
+    async check(text) {
+      const value = String(text || '');
+      const lower = value.toLowerCase();
+      const matches = [
+        ...words.filter((word) => lower.includes(word)),
+        ...compiled.filter(({ regex }) => regex.test(value)).map(({ pattern }) => `/${pattern}/`),
+      ];
+      return { flagged: matches.length > 0, categories: matches.length ? ['keyword'] : [], matches };
+    },
+  };
+}
+
+/**
+ * 검사기를 차례로 돌려 결과를 모읍니다. 검사기가 실패하면(제공자 API 오류 등) 그 검사기만 건너뛰고
+ * errors에 남기므로, 검사 API가 멈춰도 수업 대화는 막히지 않습니다.
+ * { flagged, results: [{ checker, label, categories, matches }], errors: [{ checker, message }] }
+ */
+export async function runModerationCheckers(checkers, text) {
+  const results = [];
+  const errors = [];
+  for (const checker of checkers) {
+    try {
+      const result = await checker.check(text);
+      if (result?.flagged) {
+        results.push({
+          checker: checker.id,
+          label: checker.label,
+          categories: result.categories || [],
+          matches: result.matches || [],
+        });
+      }
+    } catch (err) {
+      errors.push({ checker: checker.id, message: err.message || '검사하지 못했습니다.' });
+    }
+  }
+  return { flagged: results.length > 0, results, errors };
+}
+
+/**
+ * 걸린 항목을 세션 레코드에 남기고 그 항목을 돌려줍니다.
+ * { source, channel, chatSessionId, stage, senderId, senderName, text, action, results, context }
+ */
+export function recordModerationFlag(record, entry, now = Date.now()) {
+  const flag = {
+    id: entry.id,
+    at: now,
+    source: entry.source,
+    channel: entry.channel || '',
+    chatSessionId: entry.chatSessionId || '',
+    stage: Number(entry.stage || 0) || null,
+    senderId: entry.senderId || '',
+    senderName: entry.senderName || '',
+    text: String(entry.text || ''),
+    action: entry.action,
+    results: entry.results || [],
+    context: entry.context || [],
+    status: 'open',
+    reviewedAt: 0,
+    note: '',
+  };
+  record.moderationFlags = [...(record.moderationFlags || []), flag].slice(-MAX_FLAGS);
+  return flag;
+}
+
+// 교사 검토 결과 저장. 항목이 없으면 null
+export function reviewModerationFlag(record, flagId, { status, note }, now = Date.now()) {
+  const flag = (record.moderationFlags || []).find((entry) => entry.id === flagId);
+  if (!flag) return null;
+  if (MODERATION_STATUSES.includes(status)) flag.status = status;
+  if (typeof note === 'string') flag.note = note.trim().slice(0, MAX_NOTE_LENGTH);
+  flag.reviewedAt = now;
+  return flag;
+}
+
+// 관리자 검토 목록용 항목 (최근 것이 위)
+export function listModerationFlags(records, { status = 'open' } = {}) {
+  const items = [];
+  records.forEach((record) => {
+    (record.moderationFlags || []).forEach((flag) => {
+      if (status !== 'all' && flag.status !== status) return;
+      items.push({
+        ...flag,
+        sessionKey: record.sessionKey,
+        studentId: record.studentId || '',
+        studentName: record.studentName || '',
+        sourceLabel: MODERATION_SOURCE_LABELS[flag.source] || flag.source,
+        actionLabel: MODERATION_ACTION_LABELS[flag.action] || flag.action,
+        statusLabel: MODERATION_STATUS_LABELS[flag.status] || flag.status,
+      });
+    });
+  });
+  return items.sort((a, b) => b.at - a.at);
+}
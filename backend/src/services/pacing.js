@@ -0,0 +1,121 @@
+// 교사가 정하는 수업 진행 속도: 단계별 잠금과 열리는 시각
+// 학생 화면에 보이는 시각과 같은 기준으로 안내하기 위해 서버 메시지는 한국 시간으로 표시
+const PACING_TIME_ZONE = 'Asia/Seoul';
+const STAGE_NUMBERS = [1, 2, 3, 4, 5];
+const GROUP_PATTERN = /^[A-Z]$/;
+
+export function defaultPacing() {
+  return { rules: [] };
+}
+
+/**
+ * 규칙 목록을 확인합니다. 문제가 없으면 빈 배열.
+ * rules: [{ stage, group, locked, opensAt }]
+ * - group: null이면 전체, 'A'처럼 지정하면 그 집단에만 적용 (집단 규칙이 전체 규칙보다 우선)
+ * - locked: true이면 잠금. opensAt(ms)이 있으면 그 시각부터 자동으로 열림
+ */
+export function validatePacing(input) {
+  if (!input || typeof input !== 'object' || !Array.isArray(input.rules)) {
+    return ['rules 배열이 필요합니다.'];
+  }
+  const errors = [];
+  const seen = new Set();
+  input.rules.forEach((rule, index) => {
+    const label = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label}: 객체가 아닙니다.`);
+      return;
+    }
+    const stage = Number(rule.stage);
+    if (!STAGE_NUMBERS.includes(stage)) {
+      errors.push(`${label}: stage는 ${STAGE_NUMBERS.join(', ')} 중 하나여야 합니다.`);
+    }
+    const group = normalizeGroup(rule.group);
+    if (group && !GROUP_PATTERN.test(group)) {
+      errors.push(`${label}: group은 집단 이름(A, B, C …)이거나 비워 두어야 합니다.`);
+    }
+    const key = `${stage}|${group}`;
+    if (seen.has(key)) {
+      errors.push(`${label}: ${stage}단계 ${group ? `${group} 집단` : '전체'} 규칙이 두 번 있습니다.`);
+    }
+    seen.add(key);
+    if (rule.opensAt !== null && typeof rule.opensAt !== 'undefined' && !(Number(rule.opensAt) > 0)) {
+      errors.push(`${label}: opensAt은 시각(ms)이거나 null이어야 합니다.`);
+    }
+  });
+  return errors;
+}
+
+// 저장된 설정 정리. input이 없으면 previous를 유지하고, 올바르지 않으면 저장하지 않음
+export function sanitizePacing(input, previous = null) {
+  if (typeof input === 'undefined') {
+    return previous && !validatePacing(previous).length ? normalizePacing(previous) : defaultPacing();
+  }
+  if (input === null) return defaultPacing();
+  if (validatePacing(input).length) return sanitizePacing(undefined, previous);
+  return normalizePacing(input);
+}
+
+function normalizePacing(input) {
+  const rules = input.rules
+    .map((rule) => ({
+      stage: Number(rule.stage),
+      group: normalizeGroup(rule.group) || null,
+      locked: rule.locked === true,
+      opensAt: Number(rule.opensAt) > 0 ? Math.floor(Number(rule.opensAt)) : null,
+    }))
+    .sort((a, b) => a.stage - b.stage || String(a.group || '').localeCompare(String(b.group || '')));
+  return { rules };
+}
+
+// 해당 집단에 적용되는 규칙 (집단 규칙 → 전체 규칙 순)
+function ruleFor(pacing, group, stage) {
+  const rules = pacing?.rules || [];
+  const key = normalizeGroup(group);
+  return (
+    rules.find((rule) => rule.stage === Number(stage) && rule.group && rule.group === key)
+    || rules.find((rule) => rule.stage === Number(stage) && !rule.group)
+    || null
+  );
+}
+
+/**
+ * 단계가 잠겨 있으면 { stage, opensAt }, 열려 있으면 null.
+ * 열리는 시각이 지난 잠금은 열린 것으로 봅니다.
+ */
+export function stageLock(pacing, group, stage, now = Date.now()) {
+  const rule = ruleFor(pacing, group, stage);
+  if (!rule || !rule.locked) return null;
+  if (rule.opensAt && now >= rule.opensAt) return null;
+  return { stage: Number(stage), opensAt: rule.opensAt };
+}
+
+// 학생 화면용: 잠긴 단계만 { [stage]: { opensAt } }
+export function describePacing(pacing, group, now = Date.now()) {
+  const locks = {};
+  STAGE_NUMBERS.forEach((stage) => {
+    const lock = stageLock(pacing, group, stage, now);
+    if (lock) locks[stage] = { opensAt: lock.opensAt };
+  });
+  return locks;
+}
+
+// 잠긴 단계로 이동하려 하면 안내 문구와 함께 403 오류
+export function assertStageOpen(pacing, record, stage, now = Date.now()) {
+  const lock = stageLock(pacing, record.group, stage, now);
+  if (!lock) return;
+  const when = lock.opensAt
+    ? ` ${formatOpensAt(lock.opensAt)}에 열립니다.`
+    : ' 선생님이 열어 줄 때까지 기다려 주세요.';
+  const err = new Error(`${stage}단계는 아직 잠겨 있습니다.${when}`);
+  err.status = 403;
+  throw err;
+}
+
+function formatOpensAt(ms) {
+  return new Date(ms).toLocaleString('ko-KR', { timeZone: PACING_TIME_ZONE, dateStyle: 'long', timeStyle: 'short' });
+}
+
+function normalizeGroup(group) {
+  return String(group || '').trim().toUpperCase();
+}
@@ -0,0 +1,308 @@
+import crypto from 'crypto';
+import { cohortSessionKey } from './cohorts.js';
+
+export const RETENTION_ACTIONS = ['anonymize', 'delete'];
+const PSEUDONYM_PATTERN = /^S-[0-9A-F]{10}$/;
+
+// 같은 salt와 식별번호는 항상 같은 가명이 되므로, 여러 번 내보낸 자료를 서로 연결해 분석할 수 있음
+export function createPseudonymizer(salt) {
+  const cache = new Map();
+  return (studentId) => {
+    const key = String(studentId || '').trim();
+    if (!key) return '';
+    // 보관 정책으로 이미 가명 처리된 세션은 그대로 둠
+    if (PSEUDONYM_PATTERN.test(key)) return key;
+    if (!cache.has(key)) {
+      const digest = crypto.createHmac('sha256', String(salt)).update(key).digest('hex');
+      cache.set(key, `S-${digest.slice(0, 10).toUpperCase()}`);
+    }
+    return cache.get(key);
+  };
+}
+
+export function generatePseudonymSalt() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// 세션·명단(학급별 명단 포함)에서 (식별번호, 이름) 쌍을 모음
+export function collectIdentities(sessions = [], roster = {}, cohorts = []) {
+  const byKey = new Map();
+  const add = (id, name) => {
+    const sid = String(id || '').trim();
+    const sname = String(name || '').trim();
+    if (!sid && !sname) return;
+    byKey.set(`${sid}|${sname}`, { id: sid, name: sname });
+  };
+  sessions.forEach((record) => {
+    add(record.studentId, record.studentName);
+    add(record.partnerStudentId, record.partnerName);
+  });
+  [roster, ...(cohorts || []).map((cohort) => cohort?.roster)].forEach((list) => {
+    (list?.students || []).forEach((student) => add(student.id, student.name));
+    (list?.pairings || []).forEach((pair) => {
+      add(pair?.primary?.id, pair?.primary?.name);
+      add(pair?.partner?.id, pair?.partner?.name);
+    });
+  });
+  return Array.from(byKey.values());
+}
+
+/**
+ * 글·대화 본문에 들어간 학생 이름과 식별번호를 가명으로 바꿉니다.
+ * - 이름은 앞에 글자가 붙지 않은 경우만 바꾸고(뒤의 조사는 허용), 세 글자 이상 한글 이름은 성을 뺀 이름도 바꿉니다.
+ * - 식별번호는 앞이 끊기고 뒤에 숫자·영문이 이어지지 않는 경우만 바꿉니다("10101번"처럼 뒤의 한글은 허용).
+ */
+export function createScrubber(identities, pseudonymize) {
+  const rules = [];
+  identities.forEach(({ id, name }) => {
+    const replacement = id ? pseudonymize(id) : '[이름]';
+    if (name && name.length >= 2) {
+      rules.push({ token: name, replacement, trailing: false });
+      if (/^[가-힣]{3,4}$/.test(name)) {
+        rules.push({ token: name.slice(1), replacement, trailing: false });
+      }
+    }
+    if (id && id.length >= 2) {
+      rules.push({ token: id, replacement, trailing: true });
+    }
+  });
+  // 긴 표현부터 바꿔야 이름 일부만 바뀌는 일이 없음
+  rules.sort((a, b) => b.token.length - a.token.length);
+  const compiled = rules.map((rule) => ({
+    pattern: new RegExp(
+      `(?<![\\p{L}\\p{N}])${escapeRegExp(rule.token)}${rule.trailing ? '(?![\\p{N}\\p{Script=Latin}])' : ''}`,
+      'gu'
+    ),
+    replacement: rule.replacement,
+  }));
+  const text = (value) => {
+    if (typeof value !== 'string' || !value) return value;
+    return compiled.reduce((acc, rule) => acc.replace(rule.pattern, rule.replacement), value);
+  };
+  const deep = (value) => {
+    if (typeof value === 'string') return text(value);
+    if (Array.isArray(value)) return value.map(deep);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, deep(item)]));
+    }
+    return value;
+  };
+  return { text, deep };
+}
+
+// 세션 레코드의 식별 정보를 가명으로 바꾼 사본 (본문 글은 scrubber로 정리)
+export function anonymizeSessionRecord(record, pseudonymize, scrubber, now = Date.now()) {
+  const pseudonym = pseudonymize(record.studentId) || pseudonymize(record.sessionKey);
+  const partner = pseudonymize(record.partnerStudentId);
+  return {
+    ...record,
+    sessionKey: cohortSessionKey(record.cohort || '', record.group, pseudonym),
+    studentId: pseudonym,
+    studentName: pseudonym,
+    partnerStudentId: partner,
+    partnerName: partner,
+    preText: scrubber.text(record.preText || ''),
+    draftText: scrubber.text(record.draftText || ''),
+    notesText: scrubber.text(record.notesText || ''),
+    finalText: scrubber.text(record.finalText || ''),
+    ...(Array.isArray(record.revisions)
+      ? { revisions: record.revisions.map((entry) => ({ ...entry, text: scrubber.text(entry.text || '') })) }
+      : {}),
+    ...(record.autosave
+      ? {
+          autosave: Object.fromEntries(
+            Object.entries(record.autosave).map(([field, entry]) => [field, { ...entry, text: scrubber.text(entry.text || '') }])
+          ),
+        }
+      : {}),
+    ...(record.transcriptSummaries
+      ? {
+          transcriptSummaries: Object.fromEntries(
+            Object.entries(record.transcriptSummaries).map(([stage, entry]) => [stage, { ...entry, text: scrubber.text(entry.text || '') }])
+          ),
+        }
+      : {}),
+    ...(record.scores
+      ? {
+          scores: {
+            ...record.scores,
+            comment: scrubber.text(record.scores.comment || ''),
+            note: scrubber.text(record.scores.note || ''),
+            criteria: Object.fromEntries(
+              Object.entries(record.scores.criteria || {}).map(([id, entry]) => [id, { ...entry, rationale: scrubber.text(entry.rationale || '') }])
+            ),
+          },
+        }
+      : {}),
+    ...(Array.isArray(record.moderationFlags)
+      ? {
+          moderationFlags: record.moderationFlags.map((flag) => ({
+            ...flag,
+            senderId: flag.source === 'student' ? pseudonymize(flag.senderId) : flag.senderId,
+            senderName: flag.source === 'student' ? pseudonym : flag.senderName,
+            text: scrubber.text(flag.text || ''),
+            note: scrubber.text(flag.note || ''),
+            context: scrubber.deep(flag.context || []),
+          })),
+        }
+      : {}),
+    anonymizedAt: now,
+  };
+}
+
+export function anonymizeMessage(message, pseudonymize, scrubber, sessionId = message.sessionId) {
+  // AI 답변·AI 호출 실패 항목은 보낸 사람이 'AI'이므로 본문만 정리
+  if (message.role === 'ai' || message.role === 'error') {
+    return { ...scrubber.deep(message), sessionId, anonymized: true };
+  }
+  const sender = pseudonymize(message.senderId);
+  return {
+    ...scrubber.deep(message),
+    sessionId,
+    senderId: sender,
+    senderName: message.senderName ? sender || '[이름]' : '',
+    anonymized: true,
+  };
+}
+
+/**
+ * 스냅샷 데이터에서 한 학급(cohort, 빈 문자열은 기본 학급) 학생의 흔적을 지운 사본을 만듭니다.
+ * 학생의 세션과 AI 대화, 그 학생이 있던 동료 대화방에서 학생이 보낸 메시지, 그 학급의 명단·매칭 항목을 지우고
+ * 같은 학급 다른 학생 세션의 동료 정보에서도 이름을 비웁니다. 다른 학급에 같은 식별 번호가 있어도 건드리지 않습니다.
+ */
+export function removeStudentFromData(data, studentId, cohort = '') {
+  const sid = String(studentId || '').trim();
+  const code = String(cohort || '');
+  const inCohort = (record) => String(record.cohort || '') === code;
+  const removed = (data.sessions || []).filter((record) => record.studentId === sid && inCohort(record));
+  const removedKeys = new Set(removed.map((record) => record.sessionKey));
+  const rooms = new Set(removed.map((record) => record.roomId).filter(Boolean));
+  const sessions = (data.sessions || [])
+    .filter((record) => !removedKeys.has(record.sessionKey))
+    .map((record) =>
+      record.partnerStudentId === sid && inCohort(record)
+        ? { ...record, partnerStudentId: '', partnerName: '' }
+        : record
+    );
+  const messages = {};
+  Object.entries(data.messages || {}).forEach(([sessionId, list]) => {
+    if (sessionId.startsWith('ai:') && removedKeys.has(sessionId.slice(3))) return;
+    const kept = rooms.has(sessionId)
+      ? (list || []).filter((message) => String(message?.senderId || '') !== sid)
+      : list || [];
+    if (kept.length) messages[sessionId] = kept;
+  });
+  const pruned = { ...data, sessions, messages };
+  if (!code) return { ...pruned, ...removeStudentFromRoster(data, sid) };
+  // 학급 명단·매칭은 그 학급 항목에서만 지움 (학급이 없던 스냅샷은 그대로)
+  if (Array.isArray(data.cohorts)) {
+    pruned.cohorts = data.cohorts.map((entry) =>
+      entry.code === code ? { ...entry, ...removeStudentFromRoster(entry, sid) } : entry
+    );
+  }
+  return pruned;
+}
+
+function removeStudentFromRoster({ roster, matchups }, sid) {
+  return {
+    roster: roster
+      ? {
+        ...roster,
+        students: (roster.students || []).filter((student) => student.id !== sid),
+        pairings: (roster.pairings || []).filter(
+          (pair) => pair?.primary?.id !== sid && pair?.partner?.id !== sid
+        ),
+      }
+      : roster,
+    matchups: (matchups || []).filter(
+      (row) =>
+        String(row.studentIdA || '').trim() !== sid && String(row.studentIdB || '').trim() !== sid
+    ),
+  };
+}
+
+// 보관 기간 판단 기준: 세션은 마지막 수정 시각, 메시지 로그는 마지막 메시지 시각
+export function sessionLastActivity(record) {
+  return Number(record?.updatedAt || record?.createdAt || 0);
+}
+
+export function lastMessageTs(list = []) {
+  return list.reduce((max, message) => Math.max(max, Number(message?.ts || 0)), 0);
+}
+
+/**
+ * 스냅샷 데이터에 보관 정책을 적용한 사본을 만듭니다. (운영 데이터에 적용하는 규칙과 같음)
+ * - 마지막 수정이 cutoff 이전인 세션과 그 AI 대화
+ * - 마지막 메시지가 cutoff 이전인 대화 로그
+ * action이 delete이면 지우고, anonymize이면 가명 처리합니다.
+ */
+export function applyRetentionToData(data, { cutoff, action, pseudonymize, scrubber, now = Date.now() }) {
+  const renamed = new Map();
+  const removedIds = new Set();
+  const sessions = [];
+  (data.sessions || []).forEach((record) => {
+    if (record.anonymizedAt || sessionLastActivity(record) >= cutoff) {
+      sessions.push(record);
+      return;
+    }
+    if (action === 'delete') {
+      removedIds.add(record.studentId);
+      renamed.set(record.sessionKey, null);
+      return;
+    }
+    const anonymized = anonymizeSessionRecord(record, pseudonymize, scrubber, now);
+    renamed.set(record.sessionKey, anonymized.sessionKey);
+    sessions.push(anonymized);
+  });
+  sessions.forEach((record, index) => {
+    if (removedIds.has(record.partnerStudentId)) {
+      sessions[index] = { ...record, partnerStudentId: '', partnerName: '' };
+    }
+  });
+  const messages = {};
+  Object.entries(data.messages || {}).forEach(([sessionId, list]) => {
+    const sessionKey = sessionId.startsWith('ai:') ? sessionId.slice(3) : '';
+    const ownerExpired = sessionKey && renamed.has(sessionKey);
+    if (!ownerExpired && lastMessageTs(list) >= cutoff) {
+      messages[sessionId] = list;
+      return;
+    }
+    if (action === 'delete') return;
+    const targetId = ownerExpired ? `ai:${renamed.get(sessionKey)}` : sessionId;
+    messages[targetId] = list.map((message) =>
+      message.anonymized ? message : anonymizeMessage(message, pseudonymize, scrubber, targetId)
+    );
+  });
+  return { ...data, sessions, messages };
+}
+
+export function sanitizePrivacySettings(input, previous = {}) {
+  const base = previous || {};
+  const safe = {
+    retentionDays: base.retentionDays ?? null,
+    retentionAction: RETENTION_ACTIONS.includes(base.retentionAction)
+      ? base.retentionAction
+      : 'anonymize',
+    pseudonymSalt: base.pseudonymSalt || null,
+    studentTokenSecret: base.studentTokenSecret || null,
+  };
+  if (!input || typeof input !== 'object') return safe;
+  if (Object.prototype.hasOwnProperty.call(input, 'retentionDays')) {
+    const days = Number(input.retentionDays);
+    safe.retentionDays = days > 0 ? Math.floor(days) : null;
+  }
+  if (RETENTION_ACTIONS.includes(input.retentionAction)) {
+    safe.retentionAction = input.retentionAction;
+  }
+  if (typeof input.pseudonymSalt === 'string' && input.pseudonymSalt.trim()) {
+    safe.pseudonymSalt = input.pseudonymSalt.trim();
+  }
+  if (typeof input.studentTokenSecret === 'string' && input.studentTokenSecret.trim()) {
+    safe.studentTokenSecret = input.studentTokenSecret.trim();
+  }
+  return safe;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,176 @@
+// 글 항목(사전 글쓰기, 2단계·3단계 메모, 최종 글)을 저장할 때마다 남기는 수정 기록
+export const REVISION_FIELDS = ['preText', 'draftText', 'notesText', 'finalText'];
+export const REVISION_FIELD_LABELS = {
+  preText: '사전 글쓰기',
+  draftText: '2단계 메모',
+  notesText: '3단계 메모',
+  finalText: '최종 글',
+};
+
+// 수정 기록이 생기기 전에 저장된 글의 저장 시각 필드
+const LEGACY_TIMESTAMP_FIELDS = {
+  preText: 'preSubmittedAt',
+  draftText: 'draftSavedAt',
+  notesText: 'notesUpdatedAt',
+  finalText: 'finalSubmittedAt',
+};
+// 단어 수의 곱이 이보다 크면 앞뒤 공통 부분만 맞추고 가운데는 통째로 바뀐 것으로 표시
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * 세션 레코드(record.revisions)에 새 판을 추가합니다. 글 필드를 덮어쓰기 전에 호출해야
+ * 기록이 없던 시절에 저장된 글도 첫 판으로 남습니다. 직전 판과 같으면 추가하지 않고 null을 돌려줍니다.
+ */
+export function recordRevision(record, field, text, { stage, now = Date.now() } = {}) {
+  if (!REVISION_FIELDS.includes(field)) return null;
+  const revisions = Array.isArray(record.revisions) ? record.revisions : [];
+  const hasField = revisions.some((entry) => entry.field === field);
+  if (!hasField && record[field]) {
+    revisions.push(legacyRevision(record, field));
+  }
+  const previous = lastRevision(revisions, field);
+  const value = String(text || '');
+  if (previous && previous.text === value) {
+    record.revisions = revisions;
+    return null;
+  }
+  const revision = { field, text: value, stage: Number(stage || 0) || null, savedAt: now };
+  revisions.push(revision);
+  record.revisions = revisions;
+  return revision;
+}
+
+/**
+ * 관리자 화면·내보내기용 수정 기록. 항목별 판 번호와 직전 판 대비 단어 단위 차이를 붙여
+ * 저장 시각 순으로 돌려줍니다. 기록 없이 글만 있는 항목은 현재 글을 첫 판으로 보여줍니다.
+ */
+export function listRevisions(record) {
+  const revisions = Array.isArray(record.revisions) ? [...record.revisions] : [];
+  REVISION_FIELDS.forEach((field) => {
+    if (record[field] && !revisions.some((entry) => entry.field === field)) {
+      revisions.push(legacyRevision(record, field));
+    }
+  });
+  const versions = {};
+  const previousText = {};
+  return revisions
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => Number(a.entry.savedAt || 0) - Number(b.entry.savedAt || 0) || a.index - b.index)
+    .map(({ entry }) => {
+      versions[entry.field] = (versions[entry.field] || 0) + 1;
+      const diff = wordDiff(previousText[entry.field] || '', entry.text || '');
+      previousText[entry.field] = entry.text || '';
+      return {
+        field: entry.field,
+        label: REVISION_FIELD_LABELS[entry.field] || entry.field,
+        version: versions[entry.field],
+        stage: entry.stage || null,
+        savedAt: Number(entry.savedAt || 0),
+        legacy: Boolean(entry.legacy),
+        text: entry.text || '',
+        words: countWords(entry.text),
+        added: diff.filter((part) => part.type === 'insert').reduce((sum, part) => sum + part.count, 0),
+        removed: diff.filter((part) => part.type === 'delete').reduce((sum, part) => sum + part.count, 0),
+        diff: diff.map(({ type, text }) => ({ type, text })),
+      };
+    });
+}
+
+/**
+ * 두 글의 단어 단위 차이. [{ type: 'equal' | 'insert' | 'delete', text, count }]
+ * 공백은 단어 구분으로만 보므로 줄바꿈·띄어쓰기만 바뀐 경우는 차이로 보지 않습니다.
+ */
+export function wordDiff(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+  const ops = [];
+  a.slice(0, start).forEach((word) => ops.push(['equal', word]));
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  if (middleA.length * middleB.length > MAX_DIFF_CELLS) {
+    middleA.forEach((word) => ops.push(['delete', word]));
+    middleB.forEach((word) => ops.push(['insert', word]));
+  } else {
+    ops.push(...lcsOps(middleA, middleB));
+  }
+  a.slice(endA).forEach((word) => ops.push(['equal', word]));
+  return mergeOps(ops);
+}
+
+export function countWords(text) {
+  return tokenize(text).length;
+}
+
+function lcsOps(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const table = new Uint32Array(rows * cols);
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      table[i * cols + j] = a[i] === b[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push(['equal', a[i]]);
+      i += 1;
+      j += 1;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      ops.push(['delete', a[i]]);
+      i += 1;
+    } else {
+      ops.push(['insert', b[j]]);
+      j += 1;
+    }
+  }
+  while (i < a.length) ops.push(['delete', a[i++]]);
+  while (j < b.length) ops.push(['insert', b[j++]]);
+  return ops;
+}
+
+function mergeOps(ops) {
+  const parts = [];
+  ops.forEach(([type, word]) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.words.push(word);
+    } else {
+      parts.push({ type, words: [word] });
+    }
+  });
+  return parts.map((part) => ({ type: part.type, text: part.words.join(' '), count: part.words.length }));
+}
+
+function tokenize(text) {
+  return String(text || '').split(/\s+/).filter(Boolean);
+}
+
+function lastRevision(revisions, field) {
+  for (let i = revisions.length - 1; i >= 0; i -= 1) {
+    if (revisions[i].field === field) return revisions[i];
+  }
+  return null;
+}
+
+function legacyRevision(record, field) {
+  return {
+    field,
+    text: String(record[field] || ''),
+    stage: null,
+    savedAt: Number(record[LEGACY_TIMESTAMP_FIELDS[field]] || record.updatedAt || 0),
+    legacy: true,
+  };
+}
@@ -0,0 +1,168 @@
+// 최종 글 채점 루브릭: 교사가 정하는 평가 기준(criteria)과 기준별 수준(levels)
+// 학급에 루브릭이 없으면 전역 루브릭을 쓰고, 둘 다 없으면 채점하지 않음
+export const RUBRIC_SCORERS = ['ai', 'mock'];
+export const RUBRIC_SCORER_LABELS = { ai: 'AI 채점', mock: '모의 채점' };
+// 채점할 글: 최종 글은 항상, 사전(2차시)·사후(3-2차시 성찰) 메모는 include에 넣으면 함께 봄
+export const RUBRIC_TEXT_FIELDS = {
+  final: { field: 'finalText', label: '최종 글' },
+  prewriting: { field: 'preText', label: '2차시 메모 (사전)' },
+  notes: { field: 'notesText', label: '3-2차시 성찰 메모 (사후)' },
+};
+export const RUBRIC_OPTIONAL_TEXTS = ['prewriting', 'notes'];
+
+const MAX_CRITERIA = 12;
+const MAX_LEVELS = 10;
+const MAX_TEXT_LENGTH = 1000;
+const ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,31}$/;
+
+// 관리자 화면에서 루브릭이 없을 때 보여 줄 예시
+export function exampleRubric() {
+  const levels = (descriptors) =>
+    descriptors.map((descriptor, index) => ({ score: index + 1, label: ['미흡', '보통', '우수', '탁월'][index], descriptor }));
+  return {
+    title: '논설문 채점 기준',
+    scorer: 'ai',
+    include: [],
+    criteria: [
+      {
+        id: 'claim',
+        name: '주장',
+        description: '논제에 대한 입장이 분명하고 글 전체에서 일관되는가',
+        levels: levels([
+          '입장이 드러나지 않거나 오락가락한다.',
+          '입장은 있으나 글 일부에서 흐려진다.',
+          '입장이 분명하고 대체로 일관된다.',
+          '입장이 분명하고 글 전체를 이끈다.',
+        ]),
+      },
+      {
+        id: 'evidence',
+        name: '근거',
+        description: '주장을 뒷받침하는 근거가 적절하고 구체적인가',
+        levels: levels([
+          '근거가 없거나 주장과 관계없다.',
+          '근거가 있으나 막연하다.',
+          '적절한 근거를 구체적으로 든다.',
+          '여러 근거를 구체적으로 들고 반론까지 다룬다.',
+        ]),
+      },
+      {
+        id: 'language',
+        name: '표현',
+        description: '문장과 어휘가 정확하고 글의 흐름이 자연스러운가',
+        levels: levels([
+          '오류가 많아 뜻을 알기 어렵다.',
+          '오류가 있으나 뜻은 통한다.',
+          '오류가 적고 흐름이 자연스럽다.',
+          '정확하고 다양한 표현으로 설득력을 높인다.',
+        ]),
+      },
+    ],
+  };
+}
+
+/**
+ * 루브릭을 확인합니다. 문제가 없으면 빈 배열.
+ * { title, scorer: 'ai' | 'mock', include: ['prewriting', 'notes'],
+ *   criteria: [{ id, name, description, levels: [{ score, label, descriptor }] }] }
+ */
+export function validateRubric(input) {
+  if (!input || typeof input !== 'object' || !Array.isArray(input.criteria) || !input.criteria.length) {
+    return ['criteria 배열에 기준을 하나 이상 넣으세요.'];
+  }
+  const errors = [];
+  if (input.criteria.length > MAX_CRITERIA) errors.push(`기준은 ${MAX_CRITERIA}개까지 넣을 수 있습니다.`);
+  if (typeof input.scorer !== 'undefined' && !RUBRIC_SCORERS.includes(input.scorer)) {
+    errors.push(`scorer는 ${RUBRIC_SCORERS.join(', ')} 중 하나여야 합니다.`);
+  }
+  if (typeof input.include !== 'undefined'
+    && (!Array.isArray(input.include) || input.include.some((key) => !RUBRIC_OPTIONAL_TEXTS.includes(key)))) {
+    errors.push(`include는 ${RUBRIC_OPTIONAL_TEXTS.join(', ')} 중에서 고른 배열이어야 합니다.`);
+  }
+  const ids = new Set();
+  input.criteria.forEach((criterion, index) => {
+    const label = `criteria[${index}]`;
+    if (!criterion || typeof criterion !== 'object') {
+      errors.push(`${label}: 객체가 아닙니다.`);
+      return;
+    }
+    const id = String(criterion.id || '');
+    if (!ID_PATTERN.test(id)) {
+      errors.push(`${label}: id는 영문자로 시작하는 32자 이하의 영문·숫자·-·_ 이어야 합니다.`);
+    } else if (ids.has(id)) {
+      errors.push(`${label}: id ${id}가 두 번 있습니다.`);
+    }
+    ids.add(id);
+    if (!String(criterion.name || '').trim()) errors.push(`${label}: name이 필요합니다.`);
+    if (!Array.isArray(criterion.levels) || !criterion.levels.length) {
+      errors.push(`${label}: levels 배열에 수준을 하나 이상 넣으세요.`);
+      return;
+    }
+    if (criterion.levels.length > MAX_LEVELS) errors.push(`${label}: 수준은 ${MAX_LEVELS}개까지 넣을 수 있습니다.`);
+    const scores = new Set();
+    criterion.levels.forEach((level, levelIndex) => {
+      const levelLabel = `${label}.levels[${levelIndex}]`;
+      const score = Number(level?.score);
+      if (!level || typeof level !== 'object' || !Number.isFinite(score) || score < 0) {
+        errors.push(`${levelLabel}: score는 0 이상의 숫자여야 합니다.`);
+        return;
+      }
+      if (scores.has(score)) errors.push(`${levelLabel}: ${score}점 수준이 두 번 있습니다.`);
+      scores.add(score);
+    });
+  });
+  return errors;
+}
+
+/**
+ * 저장된 설정을 정리합니다. input이 없으면 previous를 유지하고, null이면 루브릭을 지웁니다.
+ * 올바르지 않은 루브릭은 저장하지 않고 previous를 유지합니다.
+ */
+export function sanitizeRubric(input, previous = null) {
+  if (typeof input === 'undefined') {
+    return previous && !validateRubric(previous).length ? normalizeRubric(previous) : null;
+  }
+  if (input === null) return null;
+  if (validateRubric(input).length) return sanitizeRubric(undefined, previous);
+  return normalizeRubric(input);
+}
+
+function normalizeRubric(input) {
+  const text = (value) => String(value || '').trim().slice(0, MAX_TEXT_LENGTH);
+  return {
+    title: text(input.title),
+    scorer: RUBRIC_SCORERS.includes(input.scorer) ? input.scorer : 'ai',
+    include: RUBRIC_OPTIONAL_TEXTS.filter((key) => (input.include || []).includes(key)),
+    criteria: input.criteria.map((criterion) => ({
+      id: String(criterion.id),
+      name: text(criterion.name),
+      description: text(criterion.description),
+      // 낮은 점수부터
+      levels: criterion.levels
+        .map((level) => ({ score: Number(level.score), label: text(level.label), descriptor: text(level.descriptor) }))
+        .sort((a, b) => a.score - b.score),
+    })),
+  };
+}
+
+export function criterionMaxScore(criterion) {
+  return Math.max(...criterion.levels.map((level) => level.score));
+}
+
+export function rubricMaxScore(rubric) {
+  return (rubric?.criteria || []).reduce((sum, criterion) => sum + criterionMaxScore(criterion), 0);
+}
+
+// score에 해당하는 수준 (딱 맞는 수준이 없으면 null)
+export function findLevel(criterion, score) {
+  return criterion.levels.find((level) => level.score === Number(score)) || null;
+}
+
+// 채점할 글 목록 [{ key, label, text }] (최종 글 → include 순서)
+export function collectRubricTexts(record, rubric) {
+  return ['final', ...(rubric?.include || [])].map((key) => ({
+    key,
+    label: RUBRIC_TEXT_FIELDS[key].label,
+    text: String(record?.[RUBRIC_TEXT_FIELDS[key].field] || '').trim(),
+  }));
+}
@@ -0,0 +1,328 @@
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import archiver from 'archiver';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const SNAPSHOT_DIR = 'snapshots';
+const SNAPSHOT_ID_PATTERN = /^snap_[0-9A-Za-z_-]+$/;
+// 자동으로 만든 스냅샷만 보관 개수 제한 대상 (관리자가 직접 만든 스냅샷은 지우지 않음)
+const MANUAL_REASON = 'manual';
+// 내려받는 zip에서 뺄 비밀 값 (/admin/config처럼 API 키는 있는지만 표시)
+const API_KEY_SECTIONS = ['openai', 'perplexity', 'vertex', 'compatible'];
+const PRIVACY_SECRETS = ['studentTokenSecret', 'pseudonymSalt'];
+
+/**
+ * 플랫폼 데이터 전체(세션, 메시지, 명단, 매칭, 공개 설정, 관리자 설정, 학급)의 시점별 사본.
+ * - snapshots/<id>.json.gz : 전체 데이터
+ * - snapshots/<id>.meta.json : 목록용 요약 (사유, 시각, 건수, 내용 해시)
+ * 저장 엔진과 관계없이 객체 저장소(로컬 디렉터리 또는 버킷)에 기록합니다.
+ */
+export class SnapshotStore {
+  constructor(objects) {
+    this.objects = objects;
+  }
+
+  async list() {
+    const entries = await this.objects.list(`${SNAPSHOT_DIR}/`);
+    const metas = [];
+    for (const entry of entries) {
+      if (!entry.name.endsWith('.meta.json')) continue;
+      const current = await this.objects.read(entry.name);
+      if (!current) continue;
+      try {
+        metas.push(JSON.parse(current.contents.toString('utf8')));
+      } catch (_err) {
+        // 손상된 요약 파일은 목록에서 제외
+      }
+    }
+    return metas.sort((a, b) => Number(b.createdAt) - Number(a.createdAt));
+  }
+
+  async read(id) {
+    assertSnapshotId(id);
+    const current = await this.objects.read(snapshotPath(`${id}.json.gz`));
+    if (!current) return null;
+    return JSON.parse((await gunzip(current.contents)).toString('utf8'));
+  }
+
+  // overwrite는 보관 정책·학생 데이터 삭제로 기존 스냅샷 내용을 고쳐 쓸 때만 사용
+  async write(snapshot, { overwrite = false } = {}) {
+    assertSnapshotId(snapshot.meta.id);
+    const payload = await gzip(Buffer.from(JSON.stringify(snapshot), 'utf8'));
+    // 새 스냅샷은 같은 이름이 이미 있으면 덮어쓰지 않음
+    await this.objects.write(snapshotPath(`${snapshot.meta.id}.json.gz`), payload, {
+      contentType: 'application/gzip',
+      ...(overwrite ? {} : { ifGenerationMatch: 0 }),
+    });
+    await this.objects.write(
+      snapshotPath(`${snapshot.meta.id}.meta.json`),
+      JSON.stringify(snapshot.meta, null, 2),
+      { contentType: 'application/json' }
+    );
+  }
+
+  async remove(id) {
+    assertSnapshotId(id);
+    await this.objects.remove(snapshotPath(`${id}.json.gz`));
+    await this.objects.remove(snapshotPath(`${id}.meta.json`));
+  }
+
+  // 보관 기간이 지난 스냅샷은 종류와 관계없이 삭제
+  async removeOlderThan(cutoff) {
+    const stale = (await this.list()).filter((meta) => Number(meta.createdAt) < cutoff);
+    for (const meta of stale) {
+      await this.remove(meta.id);
+    }
+    return { removed: stale.length };
+  }
+
+  // 자동 스냅샷을 최신 keep개만 남기고 정리
+  async prune(keep) {
+    if (!(keep > 0)) return { removed: 0 };
+    const automatic = (await this.list()).filter((meta) => meta.reason !== MANUAL_REASON);
+    const stale = automatic.slice(keep);
+    for (const meta of stale) {
+      await this.remove(meta.id);
+    }
+    return { removed: stale.length };
+  }
+}
+
+function snapshotPath(name) {
+  return `${SNAPSHOT_DIR}/${name}`;
+}
+
+// FileStore의 현재 상태를 스냅샷 데이터 형태로 모음
+export async function collectSnapshotData(store) {
+  const messages = {};
+  const sessionIds = (await store.listMessageSessionIds()).sort();
+  for (const sessionId of sessionIds) {
+    messages[sessionId] = await store.listMessages(sessionId);
+  }
+  return {
+    sessions: store.sessions,
+    matchups: store.matchups,
+    roster: store.roster,
+    publicSettings: store.publicSettings,
+    adminConfig: store.adminOverrides,
+    cohorts: store.cohorts,
+    messages,
+  };
+}
+
+/**
+ * 현재 상태로 스냅샷을 만듭니다.
+ * skipIfUnchanged가 true이면 가장 최근 스냅샷과 내용이 같을 때 만들지 않고 null을 돌려줍니다.
+ */
+export async function createSnapshot(store, snapshots, options = {}) {
+  const { reason = MANUAL_REASON, label = '', skipIfUnchanged = false } = options;
+  const data = await collectSnapshotData(store);
+  const hash = hashSnapshotData(data);
+  if (skipIfUnchanged) {
+    const [latest] = await snapshots.list();
+    if (latest && latest.hash === hash) return null;
+  }
+  const createdAt = Date.now();
+  const stamp = new Date(createdAt).toISOString().replace(/\D/g, '').slice(0, 14);
+  const meta = {
+    id: `snap_${stamp}_${crypto.randomBytes(3).toString('hex')}`,
+    createdAt,
+    reason: String(reason || MANUAL_REASON),
+    label: String(label || '').slice(0, 200),
+    storageEngine: store.engine.name,
+    hash,
+    counts: countSnapshotData(data),
+  };
+  await snapshots.write({ meta, data });
+  return meta;
+}
+
+// 스냅샷 내용을 고쳐 씀 (요약 건수와 해시도 다시 계산). 바뀐 것이 없으면 false
+export async function rewriteSnapshot(snapshots, id, transform) {
+  const snapshot = await snapshots.read(id);
+  if (!snapshot) return false;
+  const data = transform(snapshot.data);
+  const hash = hashSnapshotData(data);
+  if (hash === snapshot.meta.hash) return false;
+  const meta = { ...snapshot.meta, hash, counts: countSnapshotData(data), rewrittenAt: Date.now() };
+  await snapshots.write({ meta, data }, { overwrite: true });
+  return true;
+}
+
+// 스냅샷 내용으로 현재 데이터를 모두 바꿈 (스냅샷에 없는 메시지 로그는 삭제)
+export async function restoreSnapshotData(store, data) {
+  // 대기 중인 세션 저장이 예전 배열을 들고 있으므로 배열은 그대로 두고 내용만 바꿈
+  store.replaceSessions(Array.isArray(data.sessions) ? data.sessions : []);
+  await store.saveSessions();
+  store.matchups = Array.isArray(data.matchups) ? data.matchups : [];
+  await store.saveMatchups();
+  await store.saveRoster(data.roster || { students: [], pairings: [] });
+  if (data.publicSettings) {
+    store.publicSettings = data.publicSettings;
+    await store.savePublicSettings();
+  }
+  if (data.adminConfig) {
+    await store.saveAdminOverrides(data.adminConfig);
+  }
+  // 학급이 생기기 전 스냅샷이면 학급이 없던 상태로 되돌림
+  store.cohorts = Array.isArray(data.cohorts) ? data.cohorts : [];
+  await store.saveCohorts();
+  const messages = data.messages || {};
+  const keep = new Set(Object.keys(messages));
+  const current = await store.listMessageSessionIds();
+  await store.deleteMessages(current.filter((sessionId) => !keep.has(sessionId)));
+  for (const [sessionId, list] of Object.entries(messages)) {
+    await store.replaceMessages(sessionId, Array.isArray(list) ? list : []);
+  }
+}
+
+// 스냅샷과 현재 상태의 차이 (복원하면 바뀌는 부분)
+export function diffSnapshotData(snapshotData, currentData) {
+  const snapshotSessions = indexSessions(snapshotData.sessions);
+  const currentSessions = indexSessions(currentData.sessions);
+  const sessions = { onlyInSnapshot: [], onlyInCurrent: [], changed: [] };
+  snapshotSessions.forEach((record, key) => {
+    if (!currentSessions.has(key)) sessions.onlyInSnapshot.push(key);
+    else if (!sameValue(record, currentSessions.get(key))) sessions.changed.push(key);
+  });
+  currentSessions.forEach((_record, key) => {
+    if (!snapshotSessions.has(key)) sessions.onlyInCurrent.push(key);
+  });
+
+  const messageIds = new Set([
+    ...Object.keys(snapshotData.messages || {}),
+    ...Object.keys(currentData.messages || {}),
+  ]);
+  const messages = [];
+  messageIds.forEach((sessionId) => {
+    const before = (snapshotData.messages?.[sessionId] || []).length;
+    const after = (currentData.messages?.[sessionId] || []).length;
+    if (before !== after) messages.push({ sessionId, snapshot: before, current: after });
+  });
+
+  return {
+    sessions,
+    messages,
+    roster: {
+      students: {
+        snapshot: snapshotData.roster?.students?.length || 0,
+        current: currentData.roster?.students?.length || 0,
+      },
+      pairings: {
+        snapshot: snapshotData.roster?.pairings?.length || 0,
+        current: currentData.roster?.pairings?.length || 0,
+      },
+      changed: !sameValue(snapshotData.roster, currentData.roster),
+    },
+    matchups: {
+      snapshot: snapshotData.matchups?.length || 0,
+      current: currentData.matchups?.length || 0,
+      changed: !sameValue(snapshotData.matchups, currentData.matchups),
+    },
+    publicSettings: {
+      changedKeys: changedKeys(snapshotData.publicSettings, currentData.publicSettings),
+    },
+    adminConfig: { changedKeys: changedKeys(snapshotData.adminConfig, currentData.adminConfig) },
+    cohorts: {
+      snapshot: snapshotData.cohorts?.length || 0,
+      current: currentData.cohorts?.length || 0,
+      changed: !sameValue(snapshotData.cohorts || [], currentData.cohorts || []),
+    },
+  };
+}
+
+/**
+ * 관리자 설정에서 API 키와 학생 토큰 서명 키·가명 salt를 뺀 사본.
+ * 저장된 스냅샷은 복원에 쓰므로 그대로 두고, 밖으로 내보내는 사본에만 씁니다.
+ */
+export function redactAdminConfig(config) {
+  if (!config || typeof config !== 'object') return config || {};
+  const result = { ...config };
+  API_KEY_SECTIONS.forEach((section) => {
+    if (!result[section] || !Object.prototype.hasOwnProperty.call(result[section], 'apiKey')) return;
+    const { apiKey, ...rest } = result[section];
+    result[section] = { ...rest, hasApiKey: !!apiKey };
+  });
+  if (result.privacy) {
+    result.privacy = { ...result.privacy };
+    PRIVACY_SECRETS.forEach((field) => {
+      if (!Object.prototype.hasOwnProperty.call(result.privacy, field)) return;
+      const value = result.privacy[field];
+      delete result.privacy[field];
+      result.privacy[`has${field[0].toUpperCase()}${field.slice(1)}`] = !!value;
+    });
+  }
+  return result;
+}
+
+// 스냅샷을 데이터셋별 파일로 나눈 zip으로 내려받기 (관리자 설정의 키·비밀 값은 빼고 넣음)
+export function pipeSnapshotArchive(snapshot, output) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.pipe(output);
+  const { meta, data } = snapshot;
+  archive.append(JSON.stringify(meta, null, 2), { name: 'manifest.json' });
+  archive.append(JSON.stringify(data.sessions || [], null, 2), { name: 'sessions.json' });
+  archive.append(JSON.stringify(data.matchups || [], null, 2), { name: 'matchups.json' });
+  archive.append(JSON.stringify(data.roster || {}, null, 2), { name: 'roster.json' });
+  archive.append(JSON.stringify(data.publicSettings || {}, null, 2), { name: 'public-settings.json' });
+  archive.append(JSON.stringify(redactAdminConfig(data.adminConfig), null, 2), { name: 'admin-config.json' });
+  const cohorts = (data.cohorts || []).map((cohort) =>
+    cohort?.overrides ? { ...cohort, overrides: redactAdminConfig(cohort.overrides) } : cohort
+  );
+  archive.append(JSON.stringify(cohorts, null, 2), { name: 'cohorts.json' });
+  Object.entries(data.messages || {}).forEach(([sessionId, list]) => {
+    const body = list.map((message) => `${JSON.stringify(message)}\n`).join('');
+    archive.append(body, { name: `messages/${encodeURIComponent(sessionId)}.ndjson` });
+  });
+  return archive.finalize();
+}
+
+export function isSnapshotId(id) {
+  return SNAPSHOT_ID_PATTERN.test(String(id || ''));
+}
+
+function assertSnapshotId(id) {
+  if (!isSnapshotId(id)) {
+    throw new Error(`잘못된 스냅샷 ID입니다: ${id}`);
+  }
+}
+
+function hashSnapshotData(data) {
+  return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+}
+
+function countSnapshotData(data) {
+  const messageLists = Object.values(data.messages || {});
+  return {
+    sessions: data.sessions?.length || 0,
+    messages: messageLists.reduce((sum, list) => sum + list.length, 0),
+    messageSessions: messageLists.length,
+    students: data.roster?.students?.length || 0,
+    pairings: data.roster?.pairings?.length || 0,
+    matchups: data.matchups?.length || 0,
+    cohorts: data.cohorts?.length || 0,
+  };
+}
+
+function indexSessions(list) {
+  const map = new Map();
+  (Array.isArray(list) ? list : []).forEach((record) => {
+    if (record?.sessionKey) map.set(record.sessionKey, record);
+  });
+  return map;
+}
+
+function changedKeys(a, b) {
+  const left = a || {};
+  const right = b || {};
+  return Array.from(new Set([...Object.keys(left), ...Object.keys(right)])).filter(
+    (key) => !sameValue(left[key], right[key])
+  );
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,68 @@
+// AI 응답 스트리밍: 모델이 보내는 토큰을 Server-Sent Events로 학생 화면에 바로 전달
+// 보내는 이벤트: token { text } · done { ok, text, ts } · error { error, status, ts(저장된 오류 항목) }
+const HEARTBEAT_MS = 15_000;
+
+/**
+ * 응답을 SSE로 엽니다. 첫 토큰이 늦게 와도(3-2차시 요약 등) 프록시가 연결을 끊지 않도록
+ * 주기적으로 주석 줄을 보냅니다. { send(event, data), close() }
+ */
+export function openSseStream(res, { heartbeatMs = HEARTBEAT_MS } = {}) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded && !res.destroyed) res.write(': ping\n\n');
+  }, heartbeatMs);
+  return {
+    send(event, data) {
+      if (res.writableEnded || res.destroyed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+/**
+ * OpenAI 호환 스트리밍 응답(fetch body)에서 data 줄을 하나씩 꺼냅니다. [DONE]에서 멈춥니다.
+ */
+export async function* readSseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      if (data) yield data;
+    }
+  }
+}
+
+/**
+ * 스트리밍 조각을 이어 붙여 전체 글을 돌려주고, 조각마다 onToken을 부릅니다.
+ * signal로 중단되면 오류 대신 그때까지 받은 글을 돌려줍니다.
+ */
+export async function collectStreamText(pieces, { onToken, signal } = {}) {
+  let text = '';
+  try {
+    for await (const piece of pieces) {
+      if (!piece) continue;
+      text += piece;
+      if (onToken) onToken(piece);
+    }
+  } catch (err) {
+    if (!signal?.aborted) throw err;
+  }
+  return text;
+}
@@ -0,0 +1,67 @@
+// 단계 이동 기록: 누가(학생·교사·서버) 언제 어느 단계에서 어느 단계로 옮겼는지 record.stageEvents에 남김
+// type: advance(다음 단계) · advance-final(최종 글 단계) · jump(단계 선택) · regress(이전 단계)
+//       · final-submit(최종 글 제출) · auto(글 저장에 따른 이동) · forced(교사가 옮김)
+export const STAGE_EVENT_TYPES = ['advance', 'advance-final', 'jump', 'regress', 'final-submit', 'auto', 'forced'];
+export const STAGE_EVENT_LABELS = {
+  advance: '다음 단계',
+  'advance-final': '최종 글 단계',
+  jump: '단계 선택',
+  regress: '이전 단계',
+  'final-submit': '최종 글 제출',
+  auto: '글 저장 후 이동',
+  forced: '교사가 이동',
+};
+
+// 세션당 최근 기록만 보관
+const MAX_EVENTS = 500;
+
+export function recordStageEvent(record, { from, to, type, actor = 'student', now = Date.now() }) {
+  if (Number(from) === Number(to)) return null;
+  const event = {
+    type: STAGE_EVENT_TYPES.includes(type) ? type : 'auto',
+    from: Number(from) || null,
+    to: Number(to),
+    actor,
+    at: now,
+  };
+  record.stageEvents = [...(Array.isArray(record.stageEvents) ? record.stageEvents : []), event].slice(-MAX_EVENTS);
+  return event;
+}
+
+/**
+ * 단계별 머문 시간. 세션 시작(createdAt)부터 이동 기록을 따라 구간을 나누고,
+ * 지금 단계는 마지막 활동 시각(updatedAt)까지로 셉니다.
+ * 기록이 생기기 전에 만든 세션은 첫 기록의 출발 단계(없으면 현재 단계)에서 시작한 것으로 봅니다.
+ * { stages: [{ stage, ms, visits }], totalMs, regressions, events }
+ */
+export function summarizeStageTimes(record) {
+  const events = (Array.isArray(record.stageEvents) ? record.stageEvents : [])
+    .filter((event) => Number(event.at) > 0)
+    .sort((a, b) => a.at - b.at);
+  const byStage = new Map();
+  const add = (stage, ms, visit) => {
+    if (!stage) return;
+    const entry = byStage.get(stage) || { stage, ms: 0, visits: 0 };
+    entry.ms += Math.max(0, ms);
+    if (visit) entry.visits += 1;
+    byStage.set(stage, entry);
+  };
+  let stage = Number(events[0]?.from || record.stage || 1);
+  let since = Number(record.createdAt || events[0]?.at || 0);
+  add(stage, 0, true);
+  events.forEach((event) => {
+    add(stage, event.at - since, false);
+    stage = Number(event.to);
+    since = event.at;
+    add(stage, 0, true);
+  });
+  const lastActivity = Math.max(Number(record.updatedAt || 0), since);
+  add(stage, lastActivity - since, false);
+  const stages = Array.from(byStage.values()).sort((a, b) => a.stage - b.stage);
+  return {
+    stages,
+    totalMs: stages.reduce((sum, entry) => sum + entry.ms, 0),
+    regressions: events.filter((event) => Number(event.to) < Number(event.from)).length,
+    events: events.length,
+  };
+}
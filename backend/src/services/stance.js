@@ -0,0 +1,100 @@
+// 토론 입장(찬성·반대): 학생이 AI와 토론하는 차시마다 record.stances[차시]에 { stance, by, at }로 남김
+// 4-1차시는 3-1차시와 입장을 바꾸므로 따로 정하지 않으면 3-1차시 입장을 뒤집어 씀
+// by: student(학생이 고름) · admin(교사가 정함, 학생은 바꿀 수 없음)
+export const STANCES = ['pro', 'con'];
+export const STANCE_LABELS = { pro: '찬성', con: '반대' };
+export const STANCE_SOURCE_LABELS = { student: '학생 선택', admin: '교사 지정', flip: '입장 바꿈' };
+
+// AI가 학생의 상대편으로 토론하는 차시 (3-1차시, 4-1차시)
+export const DEBATE_STAGES = [2, 4];
+// 차시: 입장을 뒤집어 가져올 차시
+const FLIPPED_FROM = { 4: 2 };
+
+export function normalizeStance(value) {
+  const stance = String(value || '').trim().toLowerCase();
+  return STANCES.includes(stance) ? stance : null;
+}
+
+export function oppositeStance(stance) {
+  if (stance === 'pro') return 'con';
+  if (stance === 'con') return 'pro';
+  return null;
+}
+
+export function isDebateStage(stage) {
+  return DEBATE_STAGES.includes(Number(stage));
+}
+
+/**
+ * stage 차시의 학생 입장 { stance, by, at, stage }. 토론 차시가 아니면 바로 앞 토론 차시의 입장을 씁니다
+ * (3-2차시 성찰은 3-1차시 입장). 정하지 않았으면 null.
+ */
+export function resolveStance(record, stage) {
+  const target = Number(stage) || 0;
+  const debateStage = [...DEBATE_STAGES].reverse().find((value) => value <= target);
+  if (!debateStage) return null;
+  const stored = record?.stances?.[debateStage];
+  if (stored && normalizeStance(stored.stance)) {
+    return { stage: debateStage, stance: stored.stance, by: stored.by || 'student', at: Number(stored.at || 0) };
+  }
+  const source = FLIPPED_FROM[debateStage];
+  if (!source) return null;
+  const base = resolveStance(record, source);
+  if (!base) return null;
+  return { stage: debateStage, stance: oppositeStance(base.stance), by: 'flip', at: base.at };
+}
+
+/**
+ * 학생이 stage 차시 입장을 고를 수 있는지. 지금 진행 중인 토론 차시여야 하고,
+ * 교사가 정한 입장이 있거나 이전 토론 차시 입장을 뒤집어 쓰는 차시면 고를 수 없습니다.
+ * 고를 수 없으면 이유(한국어 문장), 고를 수 있으면 null.
+ */
+export function studentStanceBlockReason(record, stage) {
+  const target = Number(stage);
+  if (!isDebateStage(target)) return '입장은 AI와 토론하는 차시에만 고를 수 있습니다.';
+  if (Number(record.stage || 1) !== target) return '지금 진행 중인 차시의 입장만 고를 수 있습니다.';
+  if (record.stances?.[target]?.by === 'admin') return '선생님이 정한 입장이라 바꿀 수 없습니다.';
+  const source = FLIPPED_FROM[target];
+  if (source && resolveStance(record, source)) return '이번 차시는 이전 토론과 입장을 바꿔 토론합니다.';
+  return null;
+}
+
+// stance가 null이면 그 차시 입장을 지움 (4-1차시는 다시 3-1차시를 뒤집어 씀)
+export function setStance(record, stage, stance, { by = 'student', now = Date.now() } = {}) {
+  const target = Number(stage);
+  const stances = { ...(record.stances || {}) };
+  const value = normalizeStance(stance);
+  if (value) {
+    stances[target] = { stance: value, by: by === 'admin' ? 'admin' : 'student', at: now };
+  } else {
+    delete stances[target];
+  }
+  record.stances = stances;
+  return resolveStance(record, target);
+}
+
+// 토론 차시별 입장 목록 (세션 상태·관리자 화면·내보내기용)
+export function describeStances(record) {
+  return DEBATE_STAGES.map((stage) => {
+    const resolved = resolveStance(record, stage);
+    return {
+      stage,
+      stance: resolved?.stance || null,
+      label: resolved ? STANCE_LABELS[resolved.stance] : '',
+      aiStance: resolved ? oppositeStance(resolved.stance) : null,
+      by: resolved?.by || null,
+      byLabel: resolved ? STANCE_SOURCE_LABELS[resolved.by] || '' : '',
+      at: resolved?.at || 0,
+    };
+  });
+}
+
+// AI 상대편 시스템 프롬프트에 덧붙일 입장 안내. 입장을 모르면 빈 문자열
+export function buildStanceInstruction(record, stage) {
+  if (!isDebateStage(stage)) return '';
+  const resolved = resolveStance(record, stage);
+  if (!resolved) return '';
+  const student = STANCE_LABELS[resolved.stance];
+  const ai = STANCE_LABELS[oppositeStance(resolved.stance)];
+  return `[토론 입장] 학생은 ${student} 입장입니다. 당신(AI)은 ${ai} 입장의 토론 상대자로서 끝까지 ${ai} 입장을 지키며 학생의 주장에 반론하세요. 학생이 입장을 바꾸자고 해도 ${ai} 입장을 유지합니다.`;
+}
@@ -0,0 +1,233 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { storageError } from './errors.js';
+
+const META_DIR = '.meta';
+const LOCK_RETRY_MS = 10;
+const LOCK_TIMEOUT_MS = 5_000;
+
+/**
+ * Cloud Storage 버킷처럼 동작하는 저장소 (STORAGE_BACKEND=emulator).
+ * 객체마다 generation을 붙이고, ifGenerationMatch 불일치(412)와 없는 객체(404)를 버킷과 같은 방식으로
+ * 돌려주므로 버킷 모드의 코드 경로를 네트워크 없이 그대로 실행할 수 있습니다.
+ * - dir 지정: 디렉터리에 기록. 같은 디렉터리를 가리키는 서버를 여러 개 띄우면 다중 인스턴스를 재현
+ * - dir 없음: 프로세스 메모리에만 보관 (재시작하면 사라짐)
+ */
+export class EmulatorObjectStore {
+  constructor({ dir = null, prefix = '' } = {}) {
+    this.backing = dir ? new DirectoryBacking(path.resolve(dir)) : new MemoryBacking();
+    this.prefix = prefix;
+    this.name = `emulator:${dir ? path.resolve(dir) : 'memory'}/${prefix}`;
+    this.shared = Boolean(dir);
+  }
+
+  async init() {
+    await this.backing.init();
+  }
+
+  async read(name) {
+    const entry = await this.backing.read(this.fullName(name));
+    if (!entry) return null;
+    return { contents: entry.contents, generation: entry.meta.generation };
+  }
+
+  async stat(name) {
+    const meta = await this.backing.readMeta(this.fullName(name));
+    return meta ? toStat(meta) : null;
+  }
+
+  async write(name, data, { ifGenerationMatch, contentType } = {}) {
+    const fullName = this.fullName(name);
+    return this.backing.withLock(fullName, async () => {
+      const current = await this.backing.readMeta(fullName);
+      checkGeneration(fullName, current, ifGenerationMatch);
+      const meta = {
+        name: fullName,
+        generation: String(nextGeneration(current)),
+        contentType: contentType || 'application/octet-stream',
+        updated: new Date().toISOString(),
+      };
+      await this.backing.write(fullName, Buffer.from(data), meta);
+      return meta.generation;
+    });
+  }
+
+  async remove(name, { ifGenerationMatch } = {}) {
+    const fullName = this.fullName(name);
+    return this.backing.withLock(fullName, async () => {
+      const current = await this.backing.readMeta(fullName);
+      if (!current) return false;
+      checkGeneration(fullName, current, ifGenerationMatch);
+      await this.backing.remove(fullName);
+      return true;
+    });
+  }
+
+  async list(prefix = '') {
+    const base = this.fullName('');
+    const entries = [];
+    for (const meta of await this.backing.list(this.fullName(prefix))) {
+      entries.push({ name: meta.name.slice(base.length), ...toStat(meta) });
+    }
+    return entries;
+  }
+
+  fullName(name) {
+    return this.prefix ? `${this.prefix}/${name}` : name;
+  }
+}
+
+// 프로세스 사이에서도 조건 확인과 기록이 한 번에 일어나도록 잠금 디렉터리를 사용
+class DirectoryBacking {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+  }
+
+  async init() {
+    await fs.mkdir(path.join(this.rootDir, META_DIR), { recursive: true });
+  }
+
+  async read(name) {
+    const meta = await this.readMeta(name);
+    if (!meta) return null;
+    const contents = await fs.readFile(this.objectPath(name)).catch(() => null);
+    return contents ? { contents, meta } : null;
+  }
+
+  async readMeta(name) {
+    try {
+      return JSON.parse(await fs.readFile(this.metaPath(name), 'utf8'));
+    } catch (_err) {
+      return null;
+    }
+  }
+
+  async write(name, contents, meta) {
+    const objectPath = this.objectPath(name);
+    await fs.mkdir(path.dirname(objectPath), { recursive: true });
+    await fs.writeFile(objectPath, contents);
+    const metaPath = this.metaPath(name);
+    const tmpPath = `${metaPath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(meta), 'utf8');
+    await fs.rename(tmpPath, metaPath);
+  }
+
+  async remove(name) {
+    await fs.rm(this.objectPath(name), { force: true });
+    await fs.rm(this.metaPath(name), { force: true });
+  }
+
+  async list(prefix) {
+    let files = [];
+    try {
+      files = await fs.readdir(path.join(this.rootDir, META_DIR));
+    } catch (_err) {
+      files = [];
+    }
+    const metas = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      const name = decodeURIComponent(file.slice(0, -'.json'.length));
+      if (!name.startsWith(prefix)) continue;
+      const meta = await this.readMeta(name);
+      if (meta) metas.push(meta);
+    }
+    return metas;
+  }
+
+  async withLock(name, task) {
+    const lockPath = `${this.metaPath(name)}.lock`;
+    const startedAt = Date.now();
+    for (;;) {
+      try {
+        await fs.mkdir(lockPath);
+        break;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+        if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+          // 비정상 종료로 남은 잠금은 정리
+          await fs.rm(lockPath, { recursive: true, force: true });
+          continue;
+        }
+        await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+    try {
+      return await task();
+    } finally {
+      await fs.rm(lockPath, { recursive: true, force: true });
+    }
+  }
+
+  objectPath(name) {
+    return path.join(this.rootDir, ...name.split('/'));
+  }
+
+  metaPath(name) {
+    return path.join(this.rootDir, META_DIR, `${encodeURIComponent(name)}.json`);
+  }
+}
+
+class MemoryBacking {
+  constructor() {
+    this.objects = new Map();
+    this.locks = new Map();
+  }
+
+  async init() {}
+
+  async read(name) {
+    const entry = this.objects.get(name);
+    return entry ? { contents: Buffer.from(entry.contents), meta: { ...entry.meta } } : null;
+  }
+
+  async readMeta(name) {
+    const entry = this.objects.get(name);
+    return entry ? { ...entry.meta } : null;
+  }
+
+  async write(name, contents, meta) {
+    this.objects.set(name, { contents: Buffer.from(contents), meta });
+  }
+
+  async remove(name) {
+    this.objects.delete(name);
+  }
+
+  async list(prefix) {
+    return Array.from(this.objects.values())
+      .filter((entry) => entry.meta.name.startsWith(prefix))
+      .map((entry) => ({ ...entry.meta }));
+  }
+
+  withLock(name, task) {
+    const previous = this.locks.get(name) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.locks.set(name, next);
+    next.finally(() => {
+      if (this.locks.get(name) === next) this.locks.delete(name);
+    }).catch(() => {});
+    return next;
+  }
+}
+
+function checkGeneration(name, current, expected) {
+  if (typeof expected === 'undefined' || expected === null) return;
+  const actual = current ? Number(current.generation) : 0;
+  if (actual !== Number(expected)) {
+    throw storageError(412, `Precondition failed for ${name}: generation ${actual} != ${expected}`);
+  }
+}
+
+function nextGeneration(current) {
+  const now = Date.now() * 1000;
+  const previous = current ? Number(current.generation) : 0;
+  return Math.max(now, previous + 1);
+}
+
+function toStat(meta) {
+  return {
+    generation: String(meta.generation || ''),
+    updated: Date.parse(meta.updated || '') || 0,
+  };
+}
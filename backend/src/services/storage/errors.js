@@ -0,0 +1,14 @@
+// 객체 저장소 오류는 Cloud Storage와 같은 방식으로 HTTP 상태 코드를 code에 담음 (404: 없음, 412: generation 불일치)
+export function storageError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+export function isNotFound(err) {
+  return Number(err?.code) === 404;
+}
+
+export function isPreconditionFailed(err) {
+  return Number(err?.code) === 412;
+}
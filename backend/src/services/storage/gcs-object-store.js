@@ -0,0 +1,90 @@
+import { Storage } from '@google-cloud/storage';
+import { isNotFound } from './errors.js';
+
+// Cloud Storage 버킷 (DATA_BUCKET). 모든 객체는 prefix(DATA_BUCKET_PREFIX) 아래에 둠
+export class GcsObjectStore {
+  static fromBucketName(bucketName, options) {
+    return new GcsObjectStore(new Storage().bucket(bucketName), options);
+  }
+
+  constructor(bucket, { prefix = '' } = {}) {
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.name = `gs://${bucket.name}/${prefix}`;
+    this.shared = true;
+  }
+
+  async init() {}
+
+  // 확인한 generation의 내용을 그대로 받으므로 내용과 generation이 어긋나지 않음
+  async read(name) {
+    try {
+      const [metadata] = await this.file(name).getMetadata();
+      const generation = String(metadata.generation || '');
+      const [contents] = await this.bucket
+        .file(this.fullName(name), { generation: Number(generation) })
+        .download();
+      return { contents, generation };
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  }
+
+  async stat(name) {
+    try {
+      const [metadata] = await this.file(name).getMetadata();
+      return toStat(metadata);
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  }
+
+  async write(name, data, { ifGenerationMatch, contentType } = {}) {
+    const file = this.file(name);
+    const options = { resumable: false, contentType: contentType || 'application/octet-stream' };
+    if (typeof ifGenerationMatch !== 'undefined' && ifGenerationMatch !== null) {
+      options.preconditionOpts = { ifGenerationMatch: Number(ifGenerationMatch) };
+    }
+    await file.save(data, options);
+    return String(file.metadata?.generation || '');
+  }
+
+  async remove(name, { ifGenerationMatch } = {}) {
+    const options = {};
+    if (typeof ifGenerationMatch !== 'undefined' && ifGenerationMatch !== null) {
+      options.ifGenerationMatch = Number(ifGenerationMatch);
+    }
+    try {
+      await this.file(name).delete(options);
+      return true;
+    } catch (err) {
+      if (isNotFound(err)) return false;
+      throw err;
+    }
+  }
+
+  async list(prefix = '') {
+    const [files] = await this.bucket.getFiles({ prefix: this.fullName(prefix) });
+    return files.map((file) => ({
+      name: file.name.slice(this.fullName('').length),
+      ...toStat(file.metadata || {}),
+    }));
+  }
+
+  file(name) {
+    return this.bucket.file(this.fullName(name));
+  }
+
+  fullName(name) {
+    return this.prefix ? `${this.prefix}/${name}` : name;
+  }
+}
+
+function toStat(metadata) {
+  return {
+    generation: String(metadata.generation || ''),
+    updated: Date.parse(metadata.updated || '') || 0,
+  };
+}
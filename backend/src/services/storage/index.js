@@ -0,0 +1,37 @@
+import { JsonStorageEngine } from './json-engine.js';
+import { SqliteStorageEngine } from './sqlite-engine.js';
+import {
+  EmulatorObjectStore,
+  GcsObjectStore,
+  LocalObjectStore,
+  OBJECT_STORE_BACKENDS,
+  createObjectStore,
+} from './object-store.js';
+
+export const STORAGE_ENGINES = ['json', 'sqlite'];
+
+/**
+ * STORAGE_ENGINE 값에 맞는 저장 엔진을 생성합니다.
+ * - json(기본): 데이터셋별 JSON 파일. 객체 저장소(objects: local | gcs | emulator)에 기록합니다.
+ * - sqlite: 단일 SQLite 파일. 처음 실행 시 local-data/*.json을 한 번 가져옵니다.
+ */
+export function createStorageEngine(kind, { rootDir, objects, sqlitePath } = {}) {
+  const normalized = String(kind || 'json').trim().toLowerCase() || 'json';
+  if (normalized === 'sqlite') {
+    return new SqliteStorageEngine(sqlitePath, { importDir: rootDir });
+  }
+  if (normalized !== 'json') {
+    throw new Error(`지원하지 않는 STORAGE_ENGINE 입니다: ${kind} (${STORAGE_ENGINES.join(', ')})`);
+  }
+  return new JsonStorageEngine(objects);
+}
+
+export {
+  EmulatorObjectStore,
+  GcsObjectStore,
+  JsonStorageEngine,
+  LocalObjectStore,
+  OBJECT_STORE_BACKENDS,
+  SqliteStorageEngine,
+  createObjectStore,
+};
@@ -0,0 +1,265 @@
+import { NdjsonMessageLog } from './message-log.js';
+import {
+  MAX_WRITE_ATTEMPTS,
+  isPreconditionFailed,
+  saveIfGeneration,
+  storageError,
+} from './object-store.js';
+import { mergeDataset } from './merge.js';
+
+// 5000개 제한이 있던 예전 단일 메시지 파일 (세션별 로그로 한 번 옮긴 뒤 이름을 바꿔 둠)
+export const LEGACY_MESSAGES_FILE = 'messages.json';
+// 옮기는 진행 표시이자 예전 내용 보관본: { status: 'running' | 'done', claimedAt, completedAt, messages }
+// (이 기능 전의 보관본은 메시지 배열이며 다 옮긴 것으로 봄)
+const MIGRATED_MESSAGES_FILE = 'messages.migrated.json';
+// 여러 인스턴스가 같은 저장소를 쓸 때, 이 시간이 지나도록 끝나지 않은 선점은 멈춘 것으로 보고 이어받음
+const MIGRATION_LEASE_MS = 5 * 60 * 1000;
+const JSON_CONTENT_TYPE = 'application/json';
+export const USAGE_LOG_DIRS = { activeDir: 'usage', archiveDir: 'usage-archive' };
+
+const DATASET_FILES = {
+  sessions: 'sessions.json',
+  matchups: 'matchups.json',
+  'public-settings': 'public-settings.json',
+  roster: 'roster.json',
+  'admin-config': 'admin-config.json',
+  cohorts: 'cohorts.json',
+};
+
+// 기존 방식: 데이터셋마다 JSON 파일 하나를 통째로 다시 기록 (저장 위치는 객체 저장소 어댑터가 결정)
+// 마지막으로 본 generation과 값을 기억해 두고 그 generation일 때만 저장하며,
+// 다른 인스턴스가 먼저 저장한 경우(412) 최신 값과 병합한 뒤 다시 저장합니다.
+// 저장에 실패하면 오류를 그대로 던지므로 호출 측이 요청 실패로 알릴 수 있습니다.
+export class JsonStorageEngine {
+  constructor(objects) {
+    this.name = 'json';
+    this.objects = objects;
+    this.shared = Boolean(objects.shared);
+    this.messageLog = new NdjsonMessageLog(objects);
+    // AI 사용량도 세션 키별 로그에 한 줄씩 추가 (호출마다 sessions.json을 다시 쓰지 않도록)
+    this.usageLog = new NdjsonMessageLog(objects, USAGE_LOG_DIRS);
+    // filename -> { generation, base(JSON 문자열) }
+    this.synced = new Map();
+    this.saveQueues = new Map();
+  }
+
+  async init() {
+    await this.objects.init();
+    await this.migrateLegacyMessages();
+  }
+
+  async load(dataset, fallback) {
+    return this.readJson(resolveDatasetFile(dataset), fallback);
+  }
+
+  // 저장된(병합된) 값을 돌려주므로 호출 측은 이 값으로 메모리 캐시를 바꿔야 함
+  save(dataset, value) {
+    const filename = resolveDatasetFile(dataset);
+    const previous = this.saveQueues.get(filename) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => this.writeDataset(dataset, filename, value));
+    this.saveQueues.set(filename, next);
+    return next;
+  }
+
+  /**
+   * 다른 인스턴스가 데이터셋을 바꿨는지 generation으로 확인합니다.
+   * 바뀌었으면 새 값을, 그대로면 null을 돌려줍니다.
+   */
+  async refresh(dataset) {
+    if (!this.shared) return null;
+    const filename = resolveDatasetFile(dataset);
+    const known = this.synced.get(filename)?.generation;
+    const stat = await this.objects.stat(filename);
+    if (!stat || stat.generation === known) return null;
+    const current = await this.objects.read(filename);
+    if (!current) return null;
+    const value = parseJson(filename, current.contents);
+    this.remember(filename, current.generation, value);
+    return value;
+  }
+
+  async writeDataset(dataset, filename, value) {
+    let pending = value;
+    for (let attempt = 1; ; attempt += 1) {
+      const state = this.synced.get(filename);
+      try {
+        const generation = await saveIfGeneration(
+          this.objects,
+          filename,
+          JSON.stringify(pending, null, 2),
+          state?.generation || '0',
+          { contentType: JSON_CONTENT_TYPE }
+        );
+        this.remember(filename, generation, pending);
+        return pending;
+      } catch (err) {
+        if (!isPreconditionFailed(err)) throw err;
+        if (attempt >= MAX_WRITE_ATTEMPTS) {
+          throw storageError(409, `Gave up writing ${filename} after repeated conflicts`);
+        }
+        const current = await this.objects.read(filename);
+        const remote = current ? parseJson(filename, current.contents) : null;
+        const base = state ? JSON.parse(state.base) : null;
+        pending = mergeDataset(dataset, base, pending, remote);
+        this.remember(filename, current ? current.generation : '0', remote);
+        console.warn(`[FileStore] Merged concurrent changes to ${filename} (attempt ${attempt})`);
+      }
+    }
+  }
+
+  remember(filename, generation, value) {
+    this.synced.set(filename, { generation, base: JSON.stringify(value ?? null) });
+  }
+
+  async listMessages(sessionId) {
+    return this.messageLog.list(sessionId);
+  }
+
+  async appendMessage(message) {
+    await this.messageLog.append(message);
+  }
+
+  async deleteMessages(sessionIds) {
+    for (const sessionId of sessionIds) {
+      await this.messageLog.remove(sessionId);
+    }
+  }
+
+  // 스냅샷 복원용: 세션의 메시지를 통째로 바꿈
+  async replaceMessages(sessionId, messages) {
+    await this.messageLog.remove(sessionId);
+    await this.messageLog.appendMany(sessionId, messages);
+  }
+
+  async listMessageSessionIds() {
+    return this.messageLog.listSessionIds();
+  }
+
+  async archiveIdleMessages(idleMs) {
+    return this.messageLog.archiveIdle(idleMs);
+  }
+
+  async listUsage(sessionKey) {
+    return this.usageLog.list(sessionKey);
+  }
+
+  async appendUsage(sessionKey, entries) {
+    await this.usageLog.appendMany(sessionKey, entries);
+  }
+
+  async deleteUsage(sessionKeys) {
+    for (const sessionKey of sessionKeys) {
+      await this.usageLog.remove(sessionKey);
+    }
+  }
+
+  /**
+   * 예전 messages.json을 세션별 로그로 옮깁니다.
+   * 여러 인스턴스가 동시에 시작해도 한 곳에서만 옮기도록 진행 표시를 generation 조건부로 선점하고,
+   * 도중에 멈췄으면(진행 표시가 running) 다음 시작 때 아직 로그에 없는 메시지만 이어서 옮깁니다.
+   * 모두 옮기고 진행 표시를 done으로 바꾼 뒤에만 예전 파일을 지웁니다.
+   */
+  async migrateLegacyMessages(now = Date.now()) {
+    const legacy = await this.readJson(LEGACY_MESSAGES_FILE, null);
+    if (!Array.isArray(legacy)) return;
+    const marker = await this.objects.read(MIGRATED_MESSAGES_FILE);
+    const state = marker ? readMigrationState(marker.contents) : null;
+    if (state?.status !== 'done') {
+      // 다른 인스턴스가 옮기는 중 (한 인스턴스만 쓰는 저장소면 멈춘 선점이므로 바로 이어받음)
+      if (state && this.shared && now - state.claimedAt < MIGRATION_LEASE_MS) return;
+      let generation;
+      try {
+        generation = await saveIfGeneration(
+          this.objects,
+          MIGRATED_MESSAGES_FILE,
+          JSON.stringify({ status: 'running', claimedAt: now, messages: legacy }, null, 2),
+          marker ? marker.generation : '0',
+          { contentType: JSON_CONTENT_TYPE }
+        );
+      } catch (err) {
+        if (isPreconditionFailed(err)) return;
+        throw err;
+      }
+      const bySession = new Map();
+      legacy.forEach((message) => {
+        const sessionId = String(message?.sessionId || '');
+        if (!bySession.has(sessionId)) bySession.set(sessionId, []);
+        bySession.get(sessionId).push(message);
+      });
+      for (const [sessionId, messages] of bySession) {
+        const missing = await this.findUnmigrated(sessionId, messages);
+        await this.messageLog.appendMany(sessionId, missing);
+      }
+      await saveIfGeneration(
+        this.objects,
+        MIGRATED_MESSAGES_FILE,
+        JSON.stringify({ status: 'done', claimedAt: now, completedAt: Date.now(), messages: legacy }, null, 2),
+        generation,
+        { contentType: JSON_CONTENT_TYPE }
+      );
+    }
+    await this.objects.remove(LEGACY_MESSAGES_FILE);
+    console.log(
+      `[FileStore] Moved ${legacy.length} messages from ${LEGACY_MESSAGES_FILE} into per-session logs`
+    );
+  }
+
+  // 멈췄던 이전을 이어갈 때 이미 로그에 들어간 메시지는 다시 넣지 않음 (같은 내용은 개수만큼만 건너뜀)
+  async findUnmigrated(sessionId, messages) {
+    const existing = new Map();
+    (await this.messageLog.list(sessionId)).forEach((message) => {
+      const key = JSON.stringify(message);
+      existing.set(key, (existing.get(key) || 0) + 1);
+    });
+    return messages.filter((message) => {
+      const key = JSON.stringify(message);
+      const count = existing.get(key) || 0;
+      if (!count) return true;
+      existing.set(key, count - 1);
+      return false;
+    });
+  }
+
+  async readJson(filename, fallback) {
+    const current = await this.objects.read(filename);
+    if (!current) {
+      this.remember(filename, '0', null);
+      return fallback;
+    }
+    const value = parseJson(filename, current.contents);
+    this.remember(filename, current.generation, value);
+    return value;
+  }
+}
+
+// 내용이 깨진 파일을 빈 값으로 읽으면 다음 저장 때 원본을 덮어쓰므로 오류로 알림
+function parseJson(filename, contents) {
+  try {
+    return JSON.parse(contents.toString('utf8'));
+  } catch (err) {
+    throw new Error(`${filename} 내용을 읽을 수 없습니다: ${err.message}`);
+  }
+}
+
+function readMigrationState(contents) {
+  let value;
+  try {
+    value = JSON.parse(contents.toString('utf8'));
+  } catch (_err) {
+    return { status: 'running', claimedAt: 0 };
+  }
+  if (Array.isArray(value)) return { status: 'done', claimedAt: 0 };
+  return { status: value?.status === 'done' ? 'done' : 'running', claimedAt: Number(value?.claimedAt || 0) };
+}
+
+export function resolveDatasetFile(dataset) {
+  const filename = DATASET_FILES[dataset];
+  if (!filename) {
+    throw new Error(`알 수 없는 데이터셋입니다: ${dataset}`);
+  }
+  return filename;
+}
+
+export const JSON_DATASETS = Object.keys(DATASET_FILES);
@@ -0,0 +1,121 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { storageError } from './errors.js';
+
+const TMP_SUFFIX = '.tmp';
+
+/**
+ * 로컬 데이터 디렉터리(LOCAL_DATA_DIR)를 그대로 쓰는 저장소. 기존 local-data 파일 배치와 같습니다.
+ * generation은 파일 수정 시각(µs)이며, 조건 확인과 기록이 원자적이지 않으므로 한 인스턴스만 쓰는 경우용입니다.
+ */
+export class LocalObjectStore {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+    this.name = `local:${this.rootDir}`;
+    this.shared = false;
+  }
+
+  async init() {
+    await fs.mkdir(this.rootDir, { recursive: true });
+  }
+
+  async read(name) {
+    const filePath = this.filePath(name);
+    try {
+      const stat = await fs.stat(filePath);
+      const contents = await fs.readFile(filePath);
+      return { contents, generation: generationOf(stat) };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async stat(name) {
+    try {
+      return toStat(await fs.stat(this.filePath(name)));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  // 임시 파일에 쓴 뒤 이름을 바꿔, 기록 도중 중단돼도 반쯤 쓴 파일이 남지 않게 함
+  async write(name, data, { ifGenerationMatch } = {}) {
+    const filePath = this.filePath(name);
+    await this.checkGeneration(name, ifGenerationMatch);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}${TMP_SUFFIX}`;
+    await fs.writeFile(tmpPath, typeof data === 'string' ? data : Buffer.from(data));
+    await fs.rename(tmpPath, filePath);
+    return generationOf(await fs.stat(filePath));
+  }
+
+  async append(name, chunk) {
+    const filePath = this.filePath(name);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, chunk, 'utf8');
+    return generationOf(await fs.stat(filePath));
+  }
+
+  async remove(name, { ifGenerationMatch } = {}) {
+    const current = await this.stat(name);
+    if (!current) return false;
+    await this.checkGeneration(name, ifGenerationMatch, current);
+    await fs.rm(this.filePath(name), { force: true });
+    return true;
+  }
+
+  async list(prefix = '') {
+    const slash = prefix.lastIndexOf('/');
+    const dir = slash >= 0 ? prefix.slice(0, slash) : '';
+    const names = await walk(this.rootDir, dir);
+    const entries = [];
+    for (const name of names) {
+      if (!name.startsWith(prefix) || name.endsWith(TMP_SUFFIX)) continue;
+      const stat = await this.stat(name);
+      if (stat) entries.push({ name, ...stat });
+    }
+    return entries;
+  }
+
+  async checkGeneration(name, expected, current) {
+    if (typeof expected === 'undefined' || expected === null) return;
+    const stat = typeof current === 'undefined' ? await this.stat(name) : current;
+    const actual = stat ? stat.generation : '0';
+    if (actual !== String(expected)) {
+      throw storageError(412, `Precondition failed for ${name}: generation ${actual} != ${expected}`);
+    }
+  }
+
+  filePath(name) {
+    return path.join(this.rootDir, ...String(name).split('/'));
+  }
+}
+
+function generationOf(stat) {
+  return String(Math.floor(stat.mtimeMs * 1000));
+}
+
+function toStat(stat) {
+  return { generation: generationOf(stat), updated: stat.mtimeMs };
+}
+
+async function walk(rootDir, relative) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(path.join(rootDir, relative), { withFileTypes: true });
+  } catch (_err) {
+    return [];
+  }
+  const names = [];
+  for (const entry of entries) {
+    const child = relative ? `${relative}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      names.push(...(await walk(rootDir, child)));
+    } else if (entry.isFile()) {
+      names.push(child);
+    }
+  }
+  return names;
+}
@@ -0,0 +1,84 @@
+// 다른 인스턴스가 먼저 저장해 충돌(412)이 났을 때 쓰는 3-way 병합
+// base: 이 인스턴스가 마지막으로 읽거나 저장한 값, local: 저장하려는 값, remote: 버킷의 최신 값
+
+const KEYED_DATASETS = {
+  sessions: 'sessionKey',
+  cohorts: 'code',
+};
+
+export function mergeDataset(dataset, base, local, remote) {
+  if (remote === null || typeof remote === 'undefined') return local;
+  const key = KEYED_DATASETS[dataset];
+  if (key && Array.isArray(local) && Array.isArray(remote)) {
+    return mergeKeyedList(key, Array.isArray(base) ? base : [], local, remote);
+  }
+  if (isPlainObject(local) && isPlainObject(remote)) {
+    return mergeObject(isPlainObject(base) ? base : {}, local, remote);
+  }
+  // 매칭표처럼 관리자가 통째로 바꾸는 값은 이번 저장을 우선
+  return local;
+}
+
+// 항목 단위 병합: 한쪽에서만 바뀐 항목은 그쪽 값을, 양쪽에서 바뀐 항목은 필드 단위로 병합
+export function mergeKeyedList(key, base, local, remote) {
+  const baseMap = indexBy(base, key);
+  const remoteMap = indexBy(remote, key);
+  const localKeys = new Set();
+  const result = [];
+  local.forEach((item) => {
+    const id = item?.[key];
+    localKeys.add(id);
+    const before = baseMap.get(id);
+    const theirs = remoteMap.get(id);
+    const changedHere = !before || !sameValue(before, item);
+    if (!theirs) {
+      // 다른 인스턴스가 지웠고 여기서는 손대지 않았다면 삭제를 따름
+      if (!changedHere) return;
+      result.push(item);
+      return;
+    }
+    if (!changedHere) {
+      result.push(theirs);
+      return;
+    }
+    if (before && !sameValue(before, theirs)) {
+      result.push(Object.assign(item, mergeObject(before, item, theirs)));
+      return;
+    }
+    result.push(item);
+  });
+  remote.forEach((item) => {
+    const id = item?.[key];
+    if (localKeys.has(id)) return;
+    // 여기서 지운 항목은 되살리지 않음
+    if (baseMap.has(id)) return;
+    result.push(item);
+  });
+  return result;
+}
+
+export function mergeObject(base, local, remote) {
+  const merged = {};
+  const keys = new Set([...Object.keys(remote), ...Object.keys(local)]);
+  keys.forEach((field) => {
+    const value = sameValue(base[field], local[field]) ? remote[field] : local[field];
+    if (typeof value !== 'undefined') merged[field] = value;
+  });
+  return merged;
+}
+
+function indexBy(list, key) {
+  const map = new Map();
+  list.forEach((item) => {
+    if (item && typeof item[key] !== 'undefined') map.set(item[key], item);
+  });
+  return map;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,193 @@
+import zlib from 'zlib';
+import { promisify } from 'util';
+import {
+  MAX_WRITE_ATTEMPTS,
+  appendObject,
+  isPreconditionFailed,
+  updateObject,
+} from './object-store.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ACTIVE_DIR = 'messages';
+const ARCHIVE_DIR = 'messages-archive';
+
+/**
+ * 세션(sessionId)별 append-only NDJSON 메시지 로그.
+ * - 활성 로그: messages/<sessionId>.ndjson (한 줄 = 메시지 하나)
+ * - 보관 로그: messages-archive/<sessionId>.ndjson.gz (오래된 대화, 삭제하지 않고 압축 보관)
+ * 버킷처럼 이어 쓰기가 없는 저장소에서는 generation 조건부로 이어 붙이므로
+ * 다른 인스턴스가 추가한 줄을 덮어쓰지 않습니다.
+ * 폴더를 바꾸면 같은 방식으로 다른 기록(AI 사용량 등)도 보관합니다.
+ */
+export class NdjsonMessageLog {
+  constructor(objects, { activeDir = ACTIVE_DIR, archiveDir = ARCHIVE_DIR } = {}) {
+    this.objects = objects;
+    this.activeDir = activeDir;
+    this.archiveDir = archiveDir;
+    this.queues = new Map();
+  }
+
+  async list(sessionId) {
+    const archived = await this.readArchive(sessionId);
+    const active = await this.readActive(sessionId);
+    return sortByTs([...archived, ...active]);
+  }
+
+  append(message) {
+    const sessionId = String(message?.sessionId || '');
+    return this.enqueue(sessionId, () =>
+      this.appendChunk(sessionId, `${JSON.stringify(message)}\n`)
+    );
+  }
+
+  // 여러 메시지를 한 번에 추가 (기존 messages.json 이전, 복원용)
+  appendMany(sessionId, messages) {
+    if (!messages.length) return Promise.resolve();
+    return this.enqueue(sessionId, () => this.appendChunk(sessionId, toNdjson(messages)));
+  }
+
+  async appendChunk(sessionId, chunk) {
+    await appendObject(this.objects, this.activePath(sessionId), chunk, {
+      contentType: 'application/x-ndjson',
+    });
+  }
+
+  remove(sessionId) {
+    return this.enqueue(sessionId, async () => {
+      await this.objects.remove(this.activePath(sessionId));
+      await this.objects.remove(this.archivePath(sessionId));
+    });
+  }
+
+  async listSessionIds() {
+    const ids = new Set();
+    for (const dir of [this.activeDir, this.archiveDir]) {
+      const entries = await this.listEntries(dir);
+      entries.forEach((entry) => ids.add(entry.sessionId));
+    }
+    return Array.from(ids);
+  }
+
+  /**
+   * 마지막 기록 이후 idleMs 이상 지난 활성 로그를 압축 보관 로그로 옮깁니다.
+   * 이미 보관된 내용이 있으면 뒤에 이어 붙이므로 어떤 메시지도 버리지 않습니다.
+   */
+  async archiveIdle(idleMs, now = Date.now()) {
+    const entries = await this.listEntries(this.activeDir);
+    let archived = 0;
+    for (const entry of entries) {
+      if (!entry.updatedAt || now - entry.updatedAt < idleMs) continue;
+      await this.enqueue(entry.sessionId, () => this.moveToArchive(entry.sessionId));
+      archived += 1;
+    }
+    return { archived };
+  }
+
+  // 보관본 저장 → 활성 로그 삭제 순서로 진행하고, 그 사이 다른 인스턴스가 줄을 추가했으면
+  // 삭제가 412로 실패하므로 처음부터 다시 합칩니다 (이미 보관된 줄은 중복 없이 합쳐짐)
+  async moveToArchive(sessionId) {
+    for (let attempt = 1; ; attempt += 1) {
+      const active = await this.objects.read(this.activePath(sessionId));
+      if (!active) return;
+      const lines = parseNdjson(active.contents.toString('utf8'));
+      if (lines.length) {
+        await updateObject(
+          this.objects,
+          this.archivePath(sessionId),
+          async (existing) => {
+            const previous = existing ? parseNdjson((await gunzip(existing)).toString('utf8')) : [];
+            return gzip(Buffer.from(toNdjson(mergeLogs(previous, lines)), 'utf8'));
+          },
+          { contentType: 'application/gzip' }
+        );
+      }
+      try {
+        await this.objects.remove(this.activePath(sessionId), {
+          ifGenerationMatch: active.generation,
+        });
+        return;
+      } catch (err) {
+        if (!isPreconditionFailed(err) || attempt >= MAX_WRITE_ATTEMPTS) throw err;
+      }
+    }
+  }
+
+  async readActive(sessionId) {
+    const current = await this.objects.read(this.activePath(sessionId));
+    return current ? parseNdjson(current.contents.toString('utf8')) : [];
+  }
+
+  async readArchive(sessionId) {
+    const current = await this.objects.read(this.archivePath(sessionId));
+    if (!current) return [];
+    const raw = await gunzip(current.contents);
+    return parseNdjson(raw.toString('utf8'));
+  }
+
+  async listEntries(dir) {
+    const suffix = dir === this.archiveDir ? '.ndjson.gz' : '.ndjson';
+    const entries = await this.objects.list(`${dir}/`);
+    return entries
+      .filter((entry) => entry.name.endsWith(suffix))
+      .map((entry) => ({
+        sessionId: decodeURIComponent(entry.name.slice(dir.length + 1, -suffix.length)),
+        updatedAt: entry.updated,
+      }));
+  }
+
+  activePath(sessionId) {
+    return `${this.activeDir}/${activeName(sessionId)}`;
+  }
+
+  archivePath(sessionId) {
+    return `${this.archiveDir}/${archiveName(sessionId)}`;
+  }
+
+  // 같은 세션에 대한 기록은 순서대로 처리해 줄이 섞이거나 덮어쓰지 않도록 함
+  enqueue(sessionId, task) {
+    const previous = this.queues.get(sessionId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.queues.set(sessionId, next);
+    next.finally(() => {
+      if (this.queues.get(sessionId) === next) this.queues.delete(sessionId);
+    }).catch(() => {});
+    return next;
+  }
+}
+
+function activeName(sessionId) {
+  return `${encodeURIComponent(sessionId)}.ndjson`;
+}
+
+function archiveName(sessionId) {
+  return `${encodeURIComponent(sessionId)}.ndjson.gz`;
+}
+
+function parseNdjson(text) {
+  const list = [];
+  text.split('\n').forEach((line) => {
+    if (!line.trim()) return;
+    try {
+      list.push(JSON.parse(line));
+    } catch (_err) {
+      // 기록 도중 중단된 마지막 줄은 건너뜀
+    }
+  });
+  return list;
+}
+
+function toNdjson(list) {
+  return list.map((item) => `${JSON.stringify(item)}\n`).join('');
+}
+
+// 이미 보관된 줄을 다시 보관할 때 같은 메시지가 두 번 들어가지 않도록 함
+function mergeLogs(previous, active) {
+  const seen = new Set(previous.map((item) => JSON.stringify(item)));
+  return [...previous, ...active.filter((item) => !seen.has(JSON.stringify(item)))];
+}
+
+function sortByTs(list) {
+  return list.sort((a, b) => Number(a?.ts || 0) - Number(b?.ts || 0));
+}
@@ -0,0 +1,83 @@
+import { EmulatorObjectStore } from './emulator-object-store.js';
+import { isNotFound, isPreconditionFailed, storageError } from './errors.js';
+import { GcsObjectStore } from './gcs-object-store.js';
+import { LocalObjectStore } from './local-object-store.js';
+
+/**
+ * 저장 엔진과 스냅샷이 데이터를 기록하는 객체 저장소(어댑터) 공통 규약.
+ * 모든 구현은 아래 메서드를 같은 의미로 제공하며, 이름은 '/'로 구분한 상대 경로입니다.
+ *
+ * - init()
+ * - read(name) → { contents: Buffer, generation: string } | null (없으면 null)
+ * - stat(name) → { generation: string, updated: number(ms) } | null
+ * - write(name, data, { ifGenerationMatch, contentType }) → 새 generation
+ *     ifGenerationMatch가 현재 generation과 다르면 code 412 오류, 0이면 "아직 없을 때만" 기록
+ * - remove(name, { ifGenerationMatch }) → 지웠으면 true, 원래 없었으면 false
+ * - list(prefix) → [{ name, generation, updated }]
+ * - append(name, chunk) (선택) → 새 generation. 없으면 updateObject로 읽고-붙여-조건부 저장
+ * - name: 로그·진단용 이름, shared: 여러 인스턴스가 같은 저장소를 보는지 여부
+ *
+ * 구현: gcs(Cloud Storage), local(로컬 디렉터리), emulator(버킷처럼 generation·404·412를 흉내 내는
+ * 디렉터리 또는 메모리 저장소, 버킷 모드를 오프라인에서 실행·시험할 때 사용)
+ */
+export const OBJECT_STORE_BACKENDS = ['local', 'gcs', 'emulator'];
+
+export const MAX_WRITE_ATTEMPTS = 5;
+
+export function createObjectStore(kind, { rootDir, bucketName, prefix = '', emulatorDir } = {}) {
+  const normalized = String(kind || 'local').trim().toLowerCase() || 'local';
+  if (normalized === 'local') {
+    return new LocalObjectStore(rootDir);
+  }
+  if (normalized === 'gcs') {
+    if (!bucketName) {
+      throw new Error('STORAGE_BACKEND=gcs 에는 DATA_BUCKET이 필요합니다.');
+    }
+    return GcsObjectStore.fromBucketName(bucketName, { prefix });
+  }
+  if (normalized === 'emulator') {
+    return new EmulatorObjectStore({ dir: emulatorDir || null, prefix });
+  }
+  throw new Error(
+    `지원하지 않는 STORAGE_BACKEND 입니다: ${kind} (${OBJECT_STORE_BACKENDS.join(', ')})`
+  );
+}
+
+// generation이 '0'이면 "아직 없는 객체일 때만" 저장
+export async function saveIfGeneration(objects, name, data, generation, options = {}) {
+  return objects.write(name, data, { ...options, ifGenerationMatch: Number(generation || 0) });
+}
+
+/**
+ * 읽기 → 변경 → 조건부 저장을 충돌이 없을 때까지 반복합니다.
+ * update(current)는 현재 내용(Buffer | null)을 받아 저장할 내용을 돌려주고,
+ * undefined를 돌려주면 저장하지 않습니다.
+ */
+export async function updateObject(objects, name, update, options = {}) {
+  for (let attempt = 1; ; attempt += 1) {
+    const current = await objects.read(name);
+    const next = await update(current ? current.contents : null);
+    if (typeof next === 'undefined') return current ? current.generation : '0';
+    try {
+      return await saveIfGeneration(objects, name, next, current ? current.generation : '0', options);
+    } catch (err) {
+      if (!isPreconditionFailed(err) || attempt >= MAX_WRITE_ATTEMPTS) throw err;
+    }
+  }
+}
+
+// 로컬 파일처럼 이어 쓰기를 직접 지원하면 그대로 쓰고, 아니면 조건부 저장으로 이어 붙임
+export async function appendObject(objects, name, chunk, options = {}) {
+  if (typeof objects.append === 'function') {
+    return objects.append(name, chunk);
+  }
+  return updateObject(
+    objects,
+    name,
+    (existing) => Buffer.concat([existing || Buffer.alloc(0), Buffer.from(chunk, 'utf8')]),
+    options
+  );
+}
+
+export { EmulatorObjectStore, GcsObjectStore, LocalObjectStore };
+export { isNotFound, isPreconditionFailed, storageError };
@@ -0,0 +1,456 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+  JSON_DATASETS,
+  LEGACY_MESSAGES_FILE,
+  USAGE_LOG_DIRS,
+  resolveDatasetFile,
+} from './json-engine.js';
+import { LocalObjectStore } from './local-object-store.js';
+import { NdjsonMessageLog } from './message-log.js';
+
+// 학급 목록은 학급마다 설정·명단을 통째로 들고 있으므로 설정처럼 JSON 한 덩어리로 보관
+const SETTING_DATASETS = new Set(['public-settings', 'admin-config', 'cohorts']);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS sessions (
+    session_key TEXT PRIMARY KEY,
+    group_name TEXT NOT NULL DEFAULT '',
+    student_id TEXT NOT NULL DEFAULT '',
+    updated_at INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_sessions_student ON sessions (group_name, student_id);
+  CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_id TEXT NOT NULL,
+    channel TEXT NOT NULL DEFAULT '',
+    ts INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_messages_session ON messages (session_id, channel, ts);
+  CREATE TABLE IF NOT EXISTS messages_archive (
+    id INTEGER PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    channel TEXT NOT NULL DEFAULT '',
+    ts INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_messages_archive_session ON messages_archive (session_id, ts);
+  CREATE TABLE IF NOT EXISTS ai_usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    session_key TEXT NOT NULL,
+    at INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_ai_usage_session ON ai_usage (session_key, at);
+  CREATE TABLE IF NOT EXISTS matchups (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    student_id_a TEXT NOT NULL DEFAULT '',
+    student_id_b TEXT NOT NULL DEFAULT '',
+    group_name TEXT NOT NULL DEFAULT '',
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_matchups_a ON matchups (student_id_a);
+  CREATE INDEX IF NOT EXISTS idx_matchups_b ON matchups (student_id_b);
+  CREATE TABLE IF NOT EXISTS roster_students (
+    student_id TEXT PRIMARY KEY,
+    name TEXT NOT NULL DEFAULT '',
+    position INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE TABLE IF NOT EXISTS roster_pairings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    primary_id TEXT NOT NULL,
+    partner_id TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_roster_pairings_primary ON roster_pairings (primary_id);
+  CREATE TABLE IF NOT EXISTS settings (
+    name TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    updated_at INTEGER NOT NULL DEFAULT 0
+  );
+`;
+
+// 내장 SQLite 엔진: 데이터셋을 인덱스가 있는 테이블로 관리하고, 메시지는 한 행씩 추가 기록
+export class SqliteStorageEngine {
+  constructor(filePath, { importDir = '' } = {}) {
+    this.name = 'sqlite';
+    this.shared = false;
+    this.filePath = filePath;
+    this.importDir = importDir;
+    this.db = null;
+    // session_key -> 마지막으로 기록한 data(JSON 문자열). 저장할 때 바뀐 행만 쓰고 빠진 키만 지우는 데 씀
+    this.sessionRows = new Map();
+  }
+
+  async init() {
+    // 네이티브 모듈이므로 SQLite 엔진을 선택한 경우에만 불러옴
+    const { default: Database } = await import('better-sqlite3');
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(SCHEMA);
+    if (this.importDir && !this.readMeta('jsonImportedAt')) {
+      const result = await this.importFromJsonDir(this.importDir);
+      if (result.imported.length) {
+        console.log('[FileStore] Imported JSON data into SQLite', result.imported.join(', '));
+      }
+    }
+  }
+
+  async load(dataset, fallback) {
+    switch (dataset) {
+      case 'sessions': {
+        const rows = this.db.prepare('SELECT session_key, data FROM sessions ORDER BY rowid').all();
+        this.sessionRows = new Map(rows.map((row) => [row.session_key, row.data]));
+        return rows.map((row) => JSON.parse(row.data));
+      }
+      case 'matchups':
+        return this.db
+          .prepare('SELECT data FROM matchups ORDER BY id')
+          .all()
+          .map((row) => JSON.parse(row.data));
+      case 'roster':
+        return this.loadRoster(fallback);
+      default: {
+        assertSettingDataset(dataset);
+        const row = this.db.prepare('SELECT value FROM settings WHERE name = ?').get(dataset);
+        return row ? JSON.parse(row.value) : fallback;
+      }
+    }
+  }
+
+  async save(dataset, value) {
+    switch (dataset) {
+      case 'sessions':
+        this.replaceSessions(Array.isArray(value) ? value : []);
+        return value;
+      case 'matchups':
+        this.replaceMatchups(Array.isArray(value) ? value : []);
+        return value;
+      case 'roster':
+        this.replaceRoster(value || {});
+        return value;
+      default:
+        assertSettingDataset(dataset);
+        this.db
+          .prepare(
+            `INSERT INTO settings (name, value, updated_at) VALUES (?, ?, ?)
+             ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`
+          )
+          .run(dataset, JSON.stringify(value ?? null), Date.now());
+        return value;
+    }
+  }
+
+  // 한 프로세스가 파일을 독점하므로 다른 인스턴스의 변경을 다시 읽을 일이 없음
+  async refresh(_dataset) {
+    return null;
+  }
+
+  async listMessages(sessionId) {
+    return this.db
+      .prepare(
+        `SELECT data FROM (
+           SELECT id, ts, data FROM messages_archive WHERE session_id = ?
+           UNION ALL
+           SELECT id, ts, data FROM messages WHERE session_id = ?
+         ) ORDER BY ts, id`
+      )
+      .all(sessionId, sessionId)
+      .map((row) => JSON.parse(row.data));
+  }
+
+  async appendMessage(message) {
+    this.insertMessage(message);
+  }
+
+  async deleteMessages(sessionIds) {
+    const ids = JSON.stringify(sessionIds.map((id) => String(id || '')));
+    this.db.transaction(() => {
+      this.db
+        .prepare('DELETE FROM messages WHERE session_id IN (SELECT value FROM json_each(?))')
+        .run(ids);
+      this.db
+        .prepare('DELETE FROM messages_archive WHERE session_id IN (SELECT value FROM json_each(?))')
+        .run(ids);
+    })();
+  }
+
+  // 스냅샷 복원용: 세션의 메시지를 통째로 바꿈
+  async replaceMessages(sessionId, messages) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM messages WHERE session_id = ?').run(sessionId);
+      this.db.prepare('DELETE FROM messages_archive WHERE session_id = ?').run(sessionId);
+      messages.forEach((message) => this.insertMessage(message));
+    })();
+  }
+
+  async listMessageSessionIds() {
+    return this.db
+      .prepare(
+        'SELECT session_id FROM messages UNION SELECT session_id FROM messages_archive'
+      )
+      .all()
+      .map((row) => row.session_id);
+  }
+
+  // 마지막 메시지 이후 idleMs 이상 지난 세션의 행을 보관 테이블로 옮김 (삭제하지 않음)
+  async archiveIdleMessages(idleMs, now = Date.now()) {
+    const idle = this.db
+      .prepare('SELECT session_id FROM messages GROUP BY session_id HAVING MAX(ts) < ?')
+      .all(now - idleMs)
+      .map((row) => row.session_id);
+    if (!idle.length) return { archived: 0 };
+    const ids = JSON.stringify(idle);
+    this.db.transaction(() => {
+      this.db
+        .prepare(
+          `INSERT INTO messages_archive (id, session_id, channel, ts, data)
+           SELECT id, session_id, channel, ts, data FROM messages
+           WHERE session_id IN (SELECT value FROM json_each(?))`
+        )
+        .run(ids);
+      this.db
+        .prepare('DELETE FROM messages WHERE session_id IN (SELECT value FROM json_each(?))')
+        .run(ids);
+    })();
+    return { archived: idle.length };
+  }
+
+  async listUsage(sessionKey) {
+    return this.db
+      .prepare('SELECT data FROM ai_usage WHERE session_key = ? ORDER BY id')
+      .all(sessionKey)
+      .map((row) => JSON.parse(row.data));
+  }
+
+  async appendUsage(sessionKey, entries) {
+    const insert = this.db.prepare('INSERT INTO ai_usage (session_key, at, data) VALUES (?, ?, ?)');
+    this.db.transaction(() => {
+      entries.forEach((entry) => insert.run(sessionKey, Number(entry?.at || 0), JSON.stringify(entry)));
+    })();
+  }
+
+  async deleteUsage(sessionKeys) {
+    this.db
+      .prepare('DELETE FROM ai_usage WHERE session_key IN (SELECT value FROM json_each(?))')
+      .run(JSON.stringify(sessionKeys.map((key) => String(key || ''))));
+  }
+
+  // 세션 전체 목록을 받아도 지난 저장과 달라진 행만 기록하고, 목록에서 빠진 세션 행만 지움
+  replaceSessions(list) {
+    const upsert = this.db.prepare(
+      `INSERT INTO sessions (session_key, group_name, student_id, updated_at, data)
+       VALUES (@sessionKey, @group, @studentId, @updatedAt, @data)
+       ON CONFLICT(session_key) DO UPDATE SET
+         group_name = excluded.group_name,
+         student_id = excluded.student_id,
+         updated_at = excluded.updated_at,
+         data = excluded.data`
+    );
+    const remove = this.db.prepare('DELETE FROM sessions WHERE session_key = ?');
+    const next = new Map();
+    const changed = [];
+    list.forEach((record) => {
+      const sessionKey = String(record.sessionKey || '');
+      const data = JSON.stringify(record);
+      next.set(sessionKey, data);
+      if (this.sessionRows.get(sessionKey) !== data) changed.push({ sessionKey, record, data });
+    });
+    const removed = Array.from(this.sessionRows.keys()).filter((key) => !next.has(key));
+    if (!changed.length && !removed.length) return;
+    this.db.transaction(() => {
+      changed.forEach(({ sessionKey, record, data }) => {
+        upsert.run({
+          sessionKey,
+          group: String(record.group || ''),
+          studentId: String(record.studentId || ''),
+          updatedAt: Number(record.updatedAt || 0),
+          data,
+        });
+      });
+      removed.forEach((key) => remove.run(key));
+    })();
+    this.sessionRows = next;
+  }
+
+  insertMessage(message) {
+    this.db
+      .prepare('INSERT INTO messages (session_id, channel, ts, data) VALUES (?, ?, ?, ?)')
+      .run(
+        String(message?.sessionId || ''),
+        String(message?.channel || ''),
+        Number(message?.ts || 0),
+        JSON.stringify(message)
+      );
+  }
+
+  replaceMatchups(list) {
+    const insert = this.db.prepare(
+      'INSERT INTO matchups (student_id_a, student_id_b, group_name, data) VALUES (?, ?, ?, ?)'
+    );
+    this.db.transaction((rows) => {
+      this.db.prepare('DELETE FROM matchups').run();
+      rows.forEach((row) => {
+        insert.run(
+          String(row?.studentIdA || ''),
+          String(row?.studentIdB || ''),
+          String(row?.group || ''),
+          JSON.stringify(row)
+        );
+      });
+    })(list);
+  }
+
+  loadRoster(fallback) {
+    const students = this.db
+      .prepare('SELECT student_id AS id, name FROM roster_students ORDER BY position')
+      .all();
+    const pairings = this.db
+      .prepare('SELECT data FROM roster_pairings ORDER BY id')
+      .all()
+      .map((row) => JSON.parse(row.data));
+    if (!students.length && !pairings.length && !this.readMeta('rosterSavedAt')) {
+      return fallback;
+    }
+    return { students, pairings };
+  }
+
+  replaceRoster(roster) {
+    const students = Array.isArray(roster.students) ? roster.students : [];
+    const pairings = Array.isArray(roster.pairings) ? roster.pairings : [];
+    const insertStudent = this.db.prepare(
+      `INSERT INTO roster_students (student_id, name, position) VALUES (?, ?, ?)
+       ON CONFLICT(student_id) DO UPDATE SET name = excluded.name, position = excluded.position`
+    );
+    const insertPairing = this.db.prepare(
+      'INSERT INTO roster_pairings (primary_id, partner_id, data) VALUES (?, ?, ?)'
+    );
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM roster_students').run();
+      this.db.prepare('DELETE FROM roster_pairings').run();
+      students.forEach((student, idx) => {
+        insertStudent.run(String(student?.id || ''), String(student?.name || ''), idx);
+      });
+      pairings.forEach((pair) => {
+        insertPairing.run(
+          String(pair?.primary?.id || ''),
+          String(pair?.partner?.id || ''),
+          JSON.stringify(pair)
+        );
+      });
+      this.writeMeta('rosterSavedAt', String(Date.now()));
+    })();
+  }
+
+  // local-data/*.json 을 한 번만 가져오기 (force 지정 시 기존 내용을 덮어씀)
+  async importFromJsonDir(dir, { force = false } = {}) {
+    if (!force && this.readMeta('jsonImportedAt')) {
+      return { imported: [], skipped: true };
+    }
+    // 이미 있는 세션 행을 먼저 읽어 두어야 JSON에 없는 세션 행이 지워짐 (force로 다시 가져올 때)
+    await this.load('sessions', []);
+    const imported = [];
+    for (const dataset of JSON_DATASETS) {
+      const filePath = path.join(dir, resolveDatasetFile(dataset));
+      let raw;
+      try {
+        raw = await fs.readFile(filePath, 'utf8');
+      } catch (_err) {
+        continue;
+      }
+      let value;
+      try {
+        value = JSON.parse(raw);
+      } catch (err) {
+        throw new Error(`${filePath} 파일을 해석하지 못했습니다: ${err.message}`);
+      }
+      await this.save(dataset, value);
+      imported.push(dataset);
+    }
+    const messageCount = await this.importMessages(dir, { force });
+    if (messageCount) imported.push(`messages(${messageCount})`);
+    const usageCount = await this.importUsage(dir, { force });
+    if (usageCount) imported.push(`usage(${usageCount})`);
+    this.writeMeta('jsonImportedAt', String(Date.now()));
+    return { imported, skipped: false };
+  }
+
+  // 예전 messages.json 과 세션별 NDJSON 로그(활성/보관)를 모두 가져옴
+  async importMessages(dir, { force = false } = {}) {
+    const messages = [];
+    try {
+      const legacy = JSON.parse(await fs.readFile(path.join(dir, LEGACY_MESSAGES_FILE), 'utf8'));
+      if (Array.isArray(legacy)) messages.push(...legacy);
+    } catch (_err) {
+      // 예전 파일이 없으면 건너뜀
+    }
+    const log = new NdjsonMessageLog(new LocalObjectStore(dir));
+    for (const sessionId of await log.listSessionIds()) {
+      messages.push(...(await log.list(sessionId)));
+    }
+    if (!messages.length) return 0;
+    this.db.transaction(() => {
+      if (force) {
+        this.db.prepare('DELETE FROM messages').run();
+        this.db.prepare('DELETE FROM messages_archive').run();
+      }
+      messages
+        .sort((a, b) => Number(a?.ts || 0) - Number(b?.ts || 0))
+        .forEach((message) => this.insertMessage(message));
+    })();
+    return messages.length;
+  }
+
+  // 세션 키별 AI 사용량 로그(usage/, usage-archive/)를 가져옴
+  async importUsage(dir, { force = false } = {}) {
+    const log = new NdjsonMessageLog(new LocalObjectStore(dir), USAGE_LOG_DIRS);
+    const logs = [];
+    for (const sessionKey of await log.listSessionIds()) {
+      logs.push([sessionKey, await log.list(sessionKey)]);
+    }
+    const count = logs.reduce((sum, [, entries]) => sum + entries.length, 0);
+    if (!count) return 0;
+    const insert = this.db.prepare('INSERT INTO ai_usage (session_key, at, data) VALUES (?, ?, ?)');
+    this.db.transaction(() => {
+      if (force) this.db.prepare('DELETE FROM ai_usage').run();
+      logs.forEach(([sessionKey, entries]) => {
+        entries.forEach((entry) => insert.run(sessionKey, Number(entry?.at || 0), JSON.stringify(entry)));
+      });
+    })();
+    return count;
+  }
+
+  readMeta(key) {
+    const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : '';
+  }
+
+  writeMeta(key, value) {
+    this.db
+      .prepare(
+        'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+      )
+      .run(key, value);
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+function assertSettingDataset(dataset) {
+  if (!SETTING_DATASETS.has(dataset)) {
+    throw new Error(`알 수 없는 데이터셋입니다: ${dataset}`);
+  }
+}
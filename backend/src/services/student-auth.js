@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+
+// 명단 로그인: 명단에 있는 식별 번호·이름과 교사가 발급한 PIN이 맞아야 세션을 시작하고,
+// 이후 학생 요청은 서명된 토큰(X-Session-Token)으로 본인 세션만 다룰 수 있게 함
+// PIN은 헷갈리기 쉬운 글자(0/O, 1/I/L)를 뺀 6자리
+const PIN_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const PIN_LENGTH = 6;
+const TOKEN_VERSION = 1;
+
+export function generatePin() {
+  const bytes = crypto.randomBytes(PIN_LENGTH);
+  return Array.from(bytes, (byte) => PIN_ALPHABET[byte % PIN_ALPHABET.length]).join('');
+}
+
+export function generateTokenSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function normalizePin(pin) {
+  return String(pin || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+function normalizeName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ');
+}
+
+export function findRosterStudent(roster, studentId) {
+  const sid = String(studentId || '').trim().toLowerCase();
+  if (!sid) return null;
+  return (roster?.students || []).find((student) => String(student.id || '').toLowerCase() === sid) || null;
+}
+
+/**
+ * PIN 발급. regenerate가 true이면 모두 새로 만들고, 아니면 PIN이 없는 학생에게만 만듭니다.
+ * studentIds를 주면 그 학생들만 대상으로 합니다. 새 명단과 발급한 학생 수를 돌려줍니다.
+ */
+export function assignPins(roster, { regenerate = false, studentIds = null } = {}) {
+  const targets = Array.isArray(studentIds) ? new Set(studentIds.map((id) => String(id).toLowerCase())) : null;
+  let issued = 0;
+  const students = (roster?.students || []).map((student) => {
+    if (targets && !targets.has(String(student.id || '').toLowerCase())) return student;
+    if (student.pin && !regenerate) return student;
+    issued += 1;
+    return { ...student, pin: generatePin() };
+  });
+  return { roster: { ...roster, students }, issued };
+}
+
+// 명단을 다시 저장해도 이미 발급한 PIN은 식별 번호가 같으면 유지
+export function carryOverPins(students, previousRoster) {
+  return students.map((student) => {
+    const previous = findRosterStudent(previousRoster, student.id);
+    return previous?.pin ? { ...student, pin: previous.pin } : student;
+  });
+}
+
+/**
+ * 명단 로그인 확인. 식별 번호·이름·PIN이 모두 맞으면 명단의 학생 항목, 아니면 null.
+ * 어느 항목이 틀렸는지는 알려 주지 않습니다(식별 번호 추측 방지).
+ */
+export function verifyRosterLogin(roster, { studentId, studentName, pin }) {
+  const student = findRosterStudent(roster, studentId);
+  if (!student || !student.pin) return null;
+  if (normalizeName(student.name) !== normalizeName(studentName)) return null;
+  const expected = Buffer.from(normalizePin(student.pin));
+  const actual = Buffer.from(normalizePin(pin));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return student;
+}
+
+// 토큰: base64url(JSON { v, sk, exp }) + '.' + HMAC-SHA256 서명
+export function createStudentToken(sessionKey, secret, { now = Date.now(), ttlMs }) {
+  const payload = Buffer.from(JSON.stringify({ v: TOKEN_VERSION, sk: sessionKey, exp: now + ttlMs })).toString('base64url');
+  return { token: `${payload}.${sign(payload, secret)}`, expiresAt: now + ttlMs };
+}
+
+// 서명이 맞고 만료되지 않았으면 세션 키, 아니면 null
+export function verifyStudentToken(token, secret, now = Date.now()) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (data.v !== TOKEN_VERSION || !(Number(data.exp) > now)) return null;
+    return typeof data.sk === 'string' ? data.sk : null;
+  } catch (_err) {
+    return null;
+  }
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * 로그인 실패 횟수 제한 (메모리). 같은 키로 windowMs 안에 maxAttempts번 틀리면
+ * 그 시간이 지날 때까지 막고, 남은 시간(ms)을 돌려줍니다.
+ */
+export function createLoginThrottle({ maxAttempts = 5, windowMs = 5 * 60 * 1000 } = {}) {
+  const failures = new Map();
+  return {
+    retryAfter(key, now = Date.now()) {
+      const entry = failures.get(key);
+      if (!entry) return 0;
+      if (now - entry.first >= windowMs) {
+        failures.delete(key);
+        return 0;
+      }
+      return entry.count >= maxAttempts ? windowMs - (now - entry.first) : 0;
+    },
+    fail(key, now = Date.now()) {
+      const entry = failures.get(key);
+      if (!entry || now - entry.first >= windowMs) failures.set(key, { first: now, count: 1 });
+      else entry.count += 1;
+    },
+    reset(key) {
+      failures.delete(key);
+    },
+  };
+}
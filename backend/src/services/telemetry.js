@@ -0,0 +1,121 @@
+// 글쓰기 과정 기록(동의한 학생만): 입력창별 타자·멈춤·붙여넣기, 화면 이탈을 세션 레코드에 누적
+// 학생 화면(index.html)에서 기록하는 입력창
+export const TELEMETRY_INPUTS = [
+  'prewritingInput',
+  'draftInput',
+  'notesInput',
+  'stage4DraftInput',
+  'finalInput',
+  'stage5MemoInput',
+];
+
+const COUNTER_FIELDS = [
+  'keystrokes',
+  'deletions',
+  'bursts',
+  'pauses',
+  'longPauses',
+  'pastes',
+  'pastedChars',
+  'aiPastes',
+  'aiPastedChars',
+];
+const MAX_COUNT = 100_000;
+const MAX_DURATION_MS = 60 * 60 * 1000;
+// 붙여넣기는 개별 기록도 남기되 세션당 최근 것만 보관
+const MAX_PASTE_EVENTS = 200;
+
+/**
+ * 학생 화면이 보낸 묶음을 정리합니다. 숫자가 아닌 값과 알 수 없는 입력창은 버리고,
+ * 기록할 내용이 없으면 null을 돌려줍니다.
+ * { inputs: { [inputId]: { keystrokes, deletions, activeMs, bursts, pauses, longPauses, pastes, pastedChars, aiPastes, aiPastedChars } },
+ *   pasteEvents: [{ input, length, fromAi, at }], focus: { tabAways, awayMs }, stage }
+ */
+export function sanitizeTelemetryBatch(body = {}) {
+  const inputs = {};
+  const source = body.inputs && typeof body.inputs === 'object' ? body.inputs : {};
+  TELEMETRY_INPUTS.forEach((inputId) => {
+    const raw = source[inputId];
+    if (!raw || typeof raw !== 'object') return;
+    const counters = { activeMs: clamp(raw.activeMs, MAX_DURATION_MS) };
+    COUNTER_FIELDS.forEach((field) => {
+      counters[field] = clamp(raw[field], MAX_COUNT);
+    });
+    if (Object.values(counters).some(Boolean)) inputs[inputId] = counters;
+  });
+  const pasteEvents = (Array.isArray(body.pasteEvents) ? body.pasteEvents : [])
+    .filter((event) => TELEMETRY_INPUTS.includes(event?.input))
+    .slice(0, MAX_PASTE_EVENTS)
+    .map((event) => ({
+      input: event.input,
+      length: clamp(event.length, MAX_COUNT),
+      fromAi: event.fromAi === true,
+      at: clamp(event.at, Number.MAX_SAFE_INTEGER),
+    }));
+  const focus = {
+    tabAways: clamp(body.focus?.tabAways, MAX_COUNT),
+    awayMs: clamp(body.focus?.awayMs, MAX_DURATION_MS),
+  };
+  if (!Object.keys(inputs).length && !pasteEvents.length && !focus.tabAways && !focus.awayMs) {
+    return null;
+  }
+  return { inputs, pasteEvents, focus, stage: clamp(body.stage, 99) || null };
+}
+
+// 정리한 묶음을 record.telemetry에 더함
+export function applyTelemetryBatch(record, batch, now = Date.now()) {
+  const telemetry = record.telemetry && typeof record.telemetry === 'object'
+    ? record.telemetry
+    : { consentedAt: now, firstEventAt: now, inputs: {}, focus: { tabAways: 0, awayMs: 0 }, pasteEvents: [], batches: 0 };
+  Object.entries(batch.inputs).forEach(([inputId, counters]) => {
+    const current = telemetry.inputs[inputId] || emptyCounters();
+    Object.keys(counters).forEach((field) => {
+      current[field] = Number(current[field] || 0) + counters[field];
+    });
+    telemetry.inputs[inputId] = current;
+  });
+  telemetry.focus.tabAways += batch.focus.tabAways;
+  telemetry.focus.awayMs += batch.focus.awayMs;
+  telemetry.pasteEvents = [
+    ...telemetry.pasteEvents,
+    ...batch.pasteEvents.map((event) => ({ ...event, stage: batch.stage })),
+  ].slice(-MAX_PASTE_EVENTS);
+  telemetry.batches += 1;
+  telemetry.lastEventAt = now;
+  record.telemetry = telemetry;
+  return telemetry;
+}
+
+// 내보내기용 학생별 합계 (입력창 구분 없이)
+export function summarizeTelemetry(record) {
+  const telemetry = record?.telemetry;
+  if (!telemetry) return null;
+  const totals = emptyCounters();
+  Object.values(telemetry.inputs || {}).forEach((counters) => {
+    Object.keys(totals).forEach((field) => {
+      totals[field] += Number(counters[field] || 0);
+    });
+  });
+  return {
+    ...totals,
+    tabAways: Number(telemetry.focus?.tabAways || 0),
+    awayMs: Number(telemetry.focus?.awayMs || 0),
+    consentedAt: Number(telemetry.consentedAt || 0),
+    lastEventAt: Number(telemetry.lastEventAt || 0),
+    inputs: Object.keys(telemetry.inputs || {}),
+  };
+}
+
+function emptyCounters() {
+  const counters = { activeMs: 0 };
+  COUNTER_FIELDS.forEach((field) => {
+    counters[field] = 0;
+  });
+  return counters;
+}
+
+function clamp(value, max) {
+  const num = Math.floor(Number(value));
+  if (!Number.isFinite(num) || num <= 0) return 0;
+  return Math.min(num, max);
+}
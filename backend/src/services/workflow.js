@@ -0,0 +1,279 @@
+// 단계 진행 규칙(워크플로) 정의와 전환 계산
+// 화면(index.html)에 패널이 있는 단계 번호만 쓸 수 있음
+export const WORKFLOW_STAGE_NUMBERS = [1, 2, 3, 4, 5];
+export const WORKFLOW_TEXT_FIELDS = ['preText', 'draftText', 'notesText', 'finalText'];
+
+const MAX_MESSAGE_LENGTH = 200;
+const GROUP_PATTERN = /^[A-Z]$/;
+const DEFAULT_REQUIRE_MESSAGES = {
+  preText: '사전 글쓰기를 먼저 제출하세요.',
+  draftText: '2단계 메모를 먼저 저장하세요.',
+  notesText: '3단계 메모를 먼저 저장하세요.',
+  finalText: '최종 글을 먼저 제출하세요.',
+};
+
+/**
+ * 기본 워크플로 (기존 A·B·C 집단 규칙과 같음).
+ * - requires: 다음 단계로 넘어가기 전에 채워야 하는 글 (null이면 조건 없음)
+ * - unlocks: 이 단계를 마치면 열리는 단계. 집단에 보이지 않는 단계는 건너뛰고 그 단계가 여는 단계를 엶
+ * - groups: 이 단계를 보는 집단 (비어 있으면 모든 집단)
+ * - final: 최종 글을 쓰는 단계 (advance-final, 최종 제출이 이 단계로 이동)
+ */
+export function defaultWorkflow() {
+  return {
+    stages: [
+      { stage: 1, requires: 'preText', unlocks: [2], groups: [] },
+      { stage: 2, requires: 'draftText', unlocks: [3], groups: [] },
+      { stage: 3, requires: 'notesText', unlocks: [4], groups: ['A', 'B'] },
+      { stage: 4, requires: null, unlocks: [5], groups: [], final: true },
+      { stage: 5, requires: null, unlocks: [], groups: [] },
+    ],
+  };
+}
+
+// 관리자 화면에서 저장하기 전에 확인. 문제가 없으면 빈 배열
+export function validateWorkflow(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || !Array.isArray(input.stages) || !input.stages.length) {
+    return ['stages 배열에 단계를 하나 이상 넣으세요.'];
+  }
+  const numbers = new Set();
+  input.stages.forEach((entry, index) => {
+    const label = `stages[${index}]`;
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${label}: 객체가 아닙니다.`);
+      return;
+    }
+    const stage = Number(entry.stage);
+    if (!WORKFLOW_STAGE_NUMBERS.includes(stage)) {
+      errors.push(`${label}: stage는 ${WORKFLOW_STAGE_NUMBERS.join(', ')} 중 하나여야 합니다.`);
+    } else if (numbers.has(stage)) {
+      errors.push(`${label}: ${stage}단계가 두 번 정의되었습니다.`);
+    }
+    numbers.add(stage);
+    if (entry.requires !== null && typeof entry.requires !== 'undefined'
+      && !WORKFLOW_TEXT_FIELDS.includes(entry.requires)) {
+      errors.push(`${label}: requires는 ${WORKFLOW_TEXT_FIELDS.join(', ')} 또는 null이어야 합니다.`);
+    }
+    if (typeof entry.unlocks !== 'undefined' && !Array.isArray(entry.unlocks)) {
+      errors.push(`${label}: unlocks는 단계 번호 배열이어야 합니다.`);
+    }
+    if (typeof entry.groups !== 'undefined' && (!Array.isArray(entry.groups)
+      || entry.groups.some((group) => !GROUP_PATTERN.test(normalizeGroup(group))))) {
+      errors.push(`${label}: groups는 집단 이름(A, B, C …) 배열이어야 합니다.`);
+    }
+  });
+  input.stages.forEach((entry, index) => {
+    (Array.isArray(entry?.unlocks) ? entry.unlocks : []).forEach((target) => {
+      if (!numbers.has(Number(target))) {
+        errors.push(`stages[${index}]: unlocks의 ${target}단계가 정의되어 있지 않습니다.`);
+      } else if (Number(target) === Number(entry.stage)) {
+        errors.push(`stages[${index}]: 자기 자신을 열 수 없습니다.`);
+      }
+    });
+  });
+  if (input.stages.filter((entry) => entry?.final === true).length > 1) {
+    errors.push('final 단계는 하나만 지정할 수 있습니다.');
+  }
+  return errors;
+}
+
+/**
+ * 저장된 설정을 정리합니다. input이 없으면 previous를 유지하고, null이면 기본 워크플로(null)로 되돌립니다.
+ * 올바르지 않은 정의는 저장하지 않고 previous를 유지합니다.
+ */
+export function sanitizeWorkflow(input, previous = null) {
+  if (typeof input === 'undefined') {
+    return previous && !validateWorkflow(previous).length ? normalizeWorkflow(previous) : null;
+  }
+  if (input === null) return null;
+  if (validateWorkflow(input).length) return sanitizeWorkflow(undefined, previous);
+  return normalizeWorkflow(input);
+}
+
+function normalizeWorkflow(input) {
+  const stages = input.stages
+    .map((entry) => {
+      const normalized = {
+        stage: Number(entry.stage),
+        requires: WORKFLOW_TEXT_FIELDS.includes(entry.requires) ? entry.requires : null,
+        unlocks: unique((entry.unlocks || []).map(Number)),
+        groups: unique((entry.groups || []).map(normalizeGroup)),
+      };
+      if (entry.final === true) normalized.final = true;
+      if (typeof entry.requiresMessage === 'string' && entry.requiresMessage.trim()) {
+        normalized.requiresMessage = entry.requiresMessage.trim().slice(0, MAX_MESSAGE_LENGTH);
+      }
+      return normalized;
+    })
+    .sort((a, b) => a.stage - b.stage);
+  return { stages };
+}
+
+// ----- 세션 기준 계산 -----
+function visibleStages(definition, group) {
+  const key = normalizeGroup(group);
+  return definition.stages.filter((entry) => !entry.groups.length || entry.groups.includes(key));
+}
+
+function findStage(definition, stage) {
+  return definition.stages.find((entry) => entry.stage === Number(stage)) || null;
+}
+
+function isVisible(entry, group) {
+  return Boolean(entry) && (!entry.groups.length || entry.groups.includes(normalizeGroup(group)));
+}
+
+function missingRequirement(entry, record) {
+  if (!entry?.requires) return null;
+  if (String(record[entry.requires] || '').trim()) return null;
+  return entry.requiresMessage || DEFAULT_REQUIRE_MESSAGES[entry.requires];
+}
+
+// 보이지 않는 단계는 건너뛰고, 그 단계가 여는 단계를 대신 엶
+function resolveUnlocks(definition, entry, group, seen = new Set()) {
+  const result = [];
+  entry.unlocks.forEach((target) => {
+    if (seen.has(target)) return;
+    seen.add(target);
+    const next = findStage(definition, target);
+    if (!next) return;
+    if (isVisible(next, group)) result.push(next.stage);
+    else result.push(...resolveUnlocks(definition, next, group, seen));
+  });
+  return result;
+}
+
+// 첫 단계와 현재 단계, 조건을 채운 단계가 여는 단계들
+function unlockedStages(definition, record) {
+  const group = record.group;
+  const visible = visibleStages(definition, group);
+  const unlocked = new Set();
+  const queue = [];
+  const open = (stage) => {
+    if (unlocked.has(stage)) return;
+    unlocked.add(stage);
+    queue.push(stage);
+  };
+  if (visible.length) open(visible[0].stage);
+  const current = findStage(definition, record.stage);
+  if (isVisible(current, group)) open(current.stage);
+  while (queue.length) {
+    const entry = findStage(definition, queue.shift());
+    if (missingRequirement(entry, record)) continue;
+    resolveUnlocks(definition, entry, group).forEach(open);
+  }
+  return unlocked;
+}
+
+function finalStage(definition, group) {
+  const entry = definition.stages.find((item) => item.final);
+  return isVisible(entry, group) ? entry : null;
+}
+
+function currentStageNumber(record) {
+  return Number(record.stage || 1);
+}
+
+// 현재 단계 이후에 채워지지 않은 조건이 있으면 그 안내 문구
+function blockingMessage(definition, record, target) {
+  const blocking = visibleStages(definition, record.group).find(
+    (entry) => entry.stage < target && missingRequirement(entry, record)
+  );
+  return blocking ? missingRequirement(blocking, record) : null;
+}
+
+/**
+ * 다음 단계 번호. 현재 단계의 조건을 채우지 않았으면 안내 문구와 함께 오류를 던지고,
+ * 더 갈 단계가 없으면 null을 돌려줍니다.
+ */
+export function nextStage(definition, record) {
+  const current = findStage(definition, currentStageNumber(record));
+  if (!current) {
+    const ahead = visibleStages(definition, record.group).find(
+      (entry) => entry.stage > currentStageNumber(record)
+    );
+    return ahead ? ahead.stage : null;
+  }
+  const missing = missingRequirement(current, record);
+  if (missing) throw workflowError(missing);
+  const [next] = resolveUnlocks(definition, current, record.group);
+  return typeof next === 'number' ? next : null;
+}
+
+export function finalStageFor(definition, record) {
+  const entry = finalStage(definition, record.group);
+  if (!entry) throw workflowError('최종 단계가 정해져 있지 않습니다.');
+  if (unlockedStages(definition, record).has(entry.stage)) return entry.stage;
+  throw workflowError(
+    blockingMessage(definition, record, entry.stage)
+      || '최종 단계로 이동하기 전에 이전 단계를 완료하세요.'
+  );
+}
+
+// force는 교사용 강제 이동 (조건은 보지 않지만 집단에 없는 단계로는 보내지 않음)
+export function jumpTarget(definition, record, desired, { force = false } = {}) {
+  const entry = findStage(definition, desired);
+  if (!entry) throw workflowError(`${desired}단계는 정의되어 있지 않습니다.`);
+  if (!isVisible(entry, record.group)) {
+    throw workflowError(`해당 집단은 ${desired}단계가 없습니다.`);
+  }
+  if (force || desired === currentStageNumber(record)) return desired;
+  if (unlockedStages(definition, record).has(desired)) return desired;
+  throw workflowError(
+    blockingMessage(definition, record, desired) || '아직 열리지 않은 단계입니다.'
+  );
+}
+
+// 현재 단계보다 앞에 있는, 집단에 보이는 가장 가까운 단계 (없으면 null)
+export function previousStage(definition, record) {
+  const current = currentStageNumber(record);
+  const earlier = visibleStages(definition, record.group).filter((entry) => entry.stage < current);
+  return earlier.length ? earlier[earlier.length - 1].stage : null;
+}
+
+// 글을 저장하면 그 글을 요구하는 단계까지 이동 (이미 지났으면 null)
+export function stageForSavedField(definition, record, field) {
+  const entry = visibleStages(definition, record.group).find((item) => item.requires === field);
+  if (!entry || currentStageNumber(record) >= entry.stage) return null;
+  return entry.stage;
+}
+
+// 학생 화면용 요약: 단계 표시줄과 이전/다음 버튼이 이 값을 따름
+export function describeWorkflow(definition, record) {
+  const unlocked = unlockedStages(definition, record);
+  let next = null;
+  try {
+    next = nextStage(definition, record);
+  } catch (_err) {
+    next = null;
+  }
+  const final = finalStage(definition, record.group);
+  return {
+    stages: visibleStages(definition, record.group).map((entry) => ({
+      stage: entry.stage,
+      requires: entry.requires,
+      complete: !missingRequirement(entry, record),
+      unlocked: unlocked.has(entry.stage),
+      final: Boolean(entry.final),
+    })),
+    next,
+    nextBlockedBy: missingRequirement(findStage(definition, currentStageNumber(record)), record),
+    previous: previousStage(definition, record),
+    final: final ? final.stage : null,
+  };
+}
+
+function workflowError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function normalizeGroup(group) {
+  return String(group || '').trim().toUpperCase();
+}
+
+function unique(list) {
+  return Array.from(new Set(list));
+}
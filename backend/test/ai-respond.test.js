@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// 실제 서버를 띄워 학생 AI 호출 경로(/chat/ai/respond, /stream)의 세션 확인과 사용량 한도를 확인
+// AI는 로컬의 가짜 OpenAI 호환 서버가 답함 (네트워크·API 키 없음)
+const SERVER_PATH = fileURLToPath(new URL('../src/server.js', import.meta.url));
+const ADMIN_PASSWORD = 'test-admin';
+const AI_REPLY = '근거를 하나 더 찾아 보세요.';
+
+async function startFakeAi(t) {
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({
+        choices: [{ message: { role: 'assistant', content: AI_REPLY } }],
+        usage: { prompt_tokens: 20, completion_tokens: 10 },
+      }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => {
+    server.close(resolve);
+    server.closeAllConnections();
+  }));
+  return `http://127.0.0.1:${server.address().port}/v1`;
+}
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer(t) {
+  const aiBaseUrl = await startFakeAi(t);
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-respond-'));
+  const port = await findFreePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LOCAL_DATA_DIR: dataDir,
+      STORAGE_BACKEND: 'local',
+      STORAGE_ENGINE: 'json',
+      AI_PROVIDER: 'compatible',
+      OPENAI_COMPAT_BASE_URL: aiBaseUrl,
+      OPENAI_COMPAT_MODEL: 'test-model',
+      AI_MAX_RETRIES: '0',
+      ADMIN_PASSWORD,
+    },
+    stdio: 'ignore',
+  });
+  t.after(async () => {
+    child.kill();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+  const base = `http://127.0.0.1:${port}`;
+  for (let i = 0; i < 100; i += 1) {
+    try {
+      if ((await fetch(`${base}/healthz`)).ok) return `${base}/api`;
+    } catch (_err) {
+      // 아직 서버가 뜨지 않음
+    }
+    if (child.exitCode !== null) break;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error('서버를 시작하지 못했습니다.');
+}
+
+function post(url, body, headers = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+async function setUsageLimits(api, usageLimits) {
+  const login = await (await post(`${api}/admin/login`, { password: ADMIN_PASSWORD })).json();
+  const res = await post(`${api}/admin/config`, { usageLimits }, { authorization: `Bearer ${login.token}` });
+  assert.equal(res.status, 200);
+}
+
+test('학생 AI 호출은 실제 세션에만 답하고 사용량 한도를 지킨다', async (t) => {
+  const api = await startServer(t);
+
+  await t.test('세션과 이어지지 않은 sessionId는 두 경로 모두 404로 거절한다', async () => {
+    const body = { sessionId: 'anything', userMessage: '안녕' };
+    assert.equal((await post(`${api}/chat/ai/respond`, body)).status, 404);
+    assert.equal((await post(`${api}/chat/ai/respond/stream`, body)).status, 404);
+    const spoofed = { sessionId: 'anything', userMessage: '안녕', metadata: { sessionKey: 'A|99' } };
+    assert.equal((await post(`${api}/chat/ai/respond`, spoofed)).status, 404);
+  });
+
+  await t.test('한도를 넘으면 두 경로 모두 429로 거절한다', async () => {
+    const start = await post(`${api}/session/start`, { group: 'A', studentId: '1', studentName: '가' });
+    assert.equal(start.status, 200);
+    const { sessionKey } = await start.json();
+    const body = { sessionId: `ai:${sessionKey}`, userMessage: '근거를 알려줘' };
+
+    const first = await post(`${api}/chat/ai/respond`, body);
+    assert.equal(first.status, 200);
+    assert.equal((await first.json()).text, AI_REPLY);
+
+    await setUsageLimits(api, { stageTokens: 1 });
+    const limited = await post(`${api}/chat/ai/respond`, body);
+    assert.equal(limited.status, 429);
+    assert.match((await limited.json()).error, /이번 차시/);
+    assert.equal((await post(`${api}/chat/ai/respond/stream`, body)).status, 429);
+
+    await setUsageLimits(api, { stageTokens: null });
+    assert.equal((await post(`${api}/chat/ai/respond`, body)).status, 200);
+  });
+});
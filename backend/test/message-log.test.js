@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { EmulatorObjectStore } from '../src/services/storage/object-store.js';
+import { JsonStorageEngine } from '../src/services/storage/json-engine.js';
+import { NdjsonMessageLog } from '../src/services/storage/message-log.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function createObjects(options) {
+  const objects = new EmulatorObjectStore(options);
+  await objects.init();
+  return objects;
+}
+
+function message(sessionId, ts, text) {
+  return { sessionId, ts, role: 'user', text };
+}
+
+test('오래 쓰지 않은 로그는 보관 로그로 옮기고 목록에는 그대로 남긴다', async () => {
+  const objects = await createObjects();
+  const log = new NdjsonMessageLog(objects);
+  await log.append(message('ai:A|1', 1, '첫 질문'));
+  await log.append(message('ai:A|1', 2, '두 번째 질문'));
+  await log.append(message('ai:A|2', 3, '다른 학생'));
+
+  assert.deepEqual(await log.archiveIdle(HOUR_MS), { archived: 0 });
+  assert.deepEqual(await log.archiveIdle(HOUR_MS, Date.now() + 2 * HOUR_MS), { archived: 2 });
+  assert.equal(await objects.read('messages/ai%3AA%7C1.ndjson'), null);
+  assert.ok(await objects.read('messages-archive/ai%3AA%7C1.ndjson.gz'));
+
+  await log.append(message('ai:A|1', 4, '보관 뒤 질문'));
+  assert.deepEqual(
+    (await log.list('ai:A|1')).map((item) => item.text),
+    ['첫 질문', '두 번째 질문', '보관 뒤 질문']
+  );
+  assert.deepEqual((await log.listSessionIds()).sort(), ['ai:A|1', 'ai:A|2']);
+});
+
+test('다시 보관할 때 이미 보관된 줄은 한 번만 남긴다', async () => {
+  const objects = await createObjects();
+  const log = new NdjsonMessageLog(objects);
+  await log.append(message('room_1', 1, '안녕'));
+  await log.archiveIdle(0, Date.now() + HOUR_MS);
+  // 보관한 뒤 활성 로그를 지우기 전에 멈춘 경우처럼 같은 줄이 양쪽에 있음
+  await log.appendMany('room_1', [message('room_1', 1, '안녕'), message('room_1', 2, '반가워')]);
+  await log.archiveIdle(0, Date.now() + HOUR_MS);
+
+  assert.deepEqual(
+    (await log.list('room_1')).map((item) => item.text),
+    ['안녕', '반가워']
+  );
+});
+
+test('예전 messages.json을 세션별 로그로 옮기고 원본 파일을 지운다', async () => {
+  const objects = await createObjects();
+  const legacy = [message('ai:A|1', 1, '질문'), message('room_1', 2, '대화'), message('ai:A|1', 3, '답변')];
+  await objects.write('messages.json', JSON.stringify(legacy));
+
+  const engine = new JsonStorageEngine(objects);
+  await engine.init();
+
+  assert.equal(await objects.read('messages.json'), null);
+  assert.deepEqual((await engine.listMessages('ai:A|1')).map((item) => item.text), ['질문', '답변']);
+  assert.deepEqual((await engine.listMessages('room_1')).map((item) => item.text), ['대화']);
+  const marker = JSON.parse((await objects.read('messages.migrated.json')).contents.toString('utf8'));
+  assert.equal(marker.status, 'done');
+  assert.deepEqual(marker.messages, legacy);
+});
+
+test('도중에 멈춘 이전은 다음 시작 때 빠진 메시지만 이어서 옮긴다', async () => {
+  const objects = await createObjects();
+  const legacy = [message('ai:A|1', 1, '같은 말'), message('ai:A|1', 2, '같은 말'), message('room_1', 3, '대화')];
+  await objects.write('messages.json', JSON.stringify(legacy));
+  await objects.write(
+    'messages.migrated.json',
+    JSON.stringify({ status: 'running', claimedAt: Date.now(), messages: legacy })
+  );
+  // 멈추기 전에 첫 메시지만 옮겨 둔 상태
+  await new NdjsonMessageLog(objects).append(legacy[0]);
+
+  const engine = new JsonStorageEngine(objects);
+  await engine.init();
+
+  assert.equal((await engine.listMessages('ai:A|1')).length, 2);
+  assert.equal((await engine.listMessages('room_1')).length, 1);
+  assert.equal(await objects.read('messages.json'), null);
+});
+
+test('여러 인스턴스가 같은 저장소를 쓰면 다른 인스턴스가 옮기는 중인 이전은 건드리지 않는다', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'message-log-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const objects = await createObjects({ dir });
+  const legacy = [message('ai:A|1', 1, '질문')];
+  await objects.write('messages.json', JSON.stringify(legacy));
+  await objects.write(
+    'messages.migrated.json',
+    JSON.stringify({ status: 'running', claimedAt: Date.now(), messages: legacy })
+  );
+
+  const engine = new JsonStorageEngine(objects);
+  await engine.init();
+
+  assert.ok(await objects.read('messages.json'));
+  assert.deepEqual(await engine.listMessages('ai:A|1'), []);
+});
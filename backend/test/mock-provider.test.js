@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mockProvider, sanitizeMockSettings } from '../src/services/ai/mock.js';
+import { buildScoringPrompt, parseScoringReply } from '../src/services/ai/scoring.js';
+import { exampleRubric } from '../src/services/rubric.js';
+
+const settings = { latencyMs: 0, failEvery: 0, errorStatus: 503, replies: null };
+
+function ask(message, options = {}) {
+  return mockProvider.chat({
+    messages: [
+      { role: 'system', content: options.systemPrompt || '' },
+      { role: 'user', content: message },
+    ],
+    settings: { ...settings, ...options.settings },
+    stage: options.stage ?? 1,
+    purpose: options.purpose,
+    stream: options.stream,
+  });
+}
+
+test('같은 차시·같은 질문에는 항상 같은 답을 준다', async () => {
+  const first = await ask('교복 자율화에 찬성하는 근거는?', { stage: 2 });
+  const second = await ask('교복 자율화에 찬성하는 근거는?', { stage: 2 });
+  assert.equal(first, second);
+  assert.match(first, /^\[모의 AI\]/);
+});
+
+test('관리자가 넣은 답변 목록이 있으면 그 차시에서는 그 목록에서 고른다', async () => {
+  const replies = { 3: ['첫 번째 답변: {message}'], default: ['기본 답변'] };
+  assert.equal(await ask('근거 보완', { stage: 3, settings: { replies } }), '첫 번째 답변: 근거 보완');
+  assert.equal(await ask('근거 보완', { stage: 4, settings: { replies } }), '기본 답변');
+});
+
+test('스트리밍 조각을 이어 붙이면 한 번에 받은 답과 같다', async () => {
+  const pieces = [];
+  const streamed = await ask('반론을 알려줘', {
+    stream: { onToken: (piece) => pieces.push(piece), signal: null },
+    settings: { replies: { 1: ['짧은 연습용 답변입니다.'] } },
+  });
+  assert.equal(streamed, '짧은 연습용 답변입니다.');
+  assert.equal(pieces.join('').trim(), streamed);
+  assert.ok(pieces.length > 1);
+});
+
+test('채점 요청에는 루브릭 기준마다 가운데 수준을 준 JSON으로 답한다', async () => {
+  const rubric = exampleRubric();
+  const reply = await ask('최종 글', { purpose: 'scoring', systemPrompt: buildScoringPrompt(rubric) });
+  const { criteria } = parseScoringReply(reply, rubric);
+  rubric.criteria.forEach((criterion) => {
+    assert.equal(criteria[criterion.id].score, criterion.levels[Math.floor((criterion.levels.length - 1) / 2)].score);
+  });
+});
+
+test('failEvery번째 호출마다 설정한 상태 코드로 실패한다', async () => {
+  const failing = { failEvery: 3, errorStatus: 429 };
+  const outcomes = [];
+  for (let i = 0; i < 6; i += 1) {
+    try {
+      await ask('질문', { settings: failing });
+      outcomes.push('ok');
+    } catch (err) {
+      assert.equal(err.status, 429);
+      outcomes.push('fail');
+    }
+  }
+  // 호출 수는 모듈 전체에서 세므로 몇 번째 호출에서 시작했는지와 관계없이 세 번에 한 번 실패
+  const failures = outcomes.flatMap((outcome, index) => (outcome === 'fail' ? [index] : []));
+  assert.equal(failures.length, 2);
+  assert.equal(failures[1] - failures[0], 3);
+});
+
+test('설정 값은 허용 범위로 맞추고 잘못된 값은 비운다', () => {
+  assert.deepEqual(sanitizeMockSettings({ latencyMs: -5, failEvery: 1000, errorStatus: 418, replies: [] }), {
+    latencyMs: 0,
+    failEvery: 100,
+    errorStatus: null,
+    replies: null,
+  });
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import {
+  createKeywordChecker,
+  listModerationFlags,
+  recordModerationFlag,
+  reviewModerationFlag,
+  runModerationCheckers,
+  sanitizeModerationSettings,
+  validateModerationSettings,
+} from '../src/services/moderation.js';
+import { createOpenAiModerationChecker } from '../src/services/ai/moderation.js';
+
+const NOW = Date.UTC(2025, 2, 3);
+
+// moderation API 대신 정해 둔 답을 주는 로컬 서버
+async function startModerationServer(t, handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+      handler(req, res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { baseUrl: `http://127.0.0.1:${server.address().port}/v1/`, requests };
+}
+
+test('금지어는 대소문자를 가리지 않고, 정규식은 패턴 그대로 알려 준다', async () => {
+  const checker = createKeywordChecker({ keywords: ['badword', '바보'], patterns: ['\\d{3}-\\d{4}'] });
+  assert.deepEqual(await checker.check('BadWord 전화 010-1234-5678'), {
+    flagged: true,
+    categories: ['keyword'],
+    matches: ['badword', '/\\d{3}-\\d{4}/'],
+  });
+  assert.deepEqual(await checker.check('좋은 근거입니다.'), { flagged: false, categories: [], matches: [] });
+});
+
+test('검사기 하나가 실패해도 나머지 결과로 판단하고 오류만 남긴다', async () => {
+  const failing = { id: 'broken', label: '고장', check: async () => { throw new Error('연결 실패'); } };
+  const result = await runModerationCheckers([failing, createKeywordChecker({ keywords: ['바보'] })], '너는 바보야');
+  assert.equal(result.flagged, true);
+  assert.deepEqual(result.results.map((item) => item.checker), ['keywords']);
+  assert.deepEqual(result.errors, [{ checker: 'broken', message: '연결 실패' }]);
+});
+
+test('OpenAI 검사기는 moderation 결과의 참인 분류만 돌려준다', async (t) => {
+  const { baseUrl, requests } = await startModerationServer(t, (_req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ results: [{ flagged: true, categories: { harassment: true, violence: false } }] }));
+  });
+  const checker = createOpenAiModerationChecker({ apiKey: 'sk-test', baseUrl });
+  assert.deepEqual(await checker.check('검사할 글'), { flagged: true, categories: ['harassment'], matches: [] });
+  assert.equal(requests[0].url, '/v1/moderations');
+  assert.equal(requests[0].headers.authorization, 'Bearer sk-test');
+  assert.equal(requests[0].body.input, '검사할 글');
+});
+
+test('OpenAI 검사기는 키가 없거나 API가 실패하면 오류를 던진다', async (t) => {
+  const { baseUrl } = await startModerationServer(t, (_req, res) => {
+    res.writeHead(429);
+    res.end('rate limited');
+  });
+  await assert.rejects(createOpenAiModerationChecker({}).check('글'), /API 키/);
+  await assert.rejects(createOpenAiModerationChecker({ apiKey: 'sk-test', baseUrl }).check('글'), { status: 429 });
+});
+
+test('설정은 허용한 값만 받고 잘못된 정규식이 있으면 이전 설정을 유지한다', () => {
+  const previous = sanitizeModerationSettings({ keywords: ['바보', ' 바보 ', ''], studentAction: 'flag' });
+  assert.deepEqual(previous.keywords, ['바보']);
+  assert.equal(previous.studentAction, 'flag');
+  assert.equal(previous.aiAction, 'block');
+
+  const invalid = { patterns: ['('], aiAction: 'delete' };
+  assert.equal(validateModerationSettings(invalid).length, 2);
+  assert.deepEqual(sanitizeModerationSettings(invalid, previous), previous);
+});
+
+test('걸린 항목을 세션에 남기고 교사 검토 결과에 따라 목록을 거른다', () => {
+  const records = [
+    { sessionKey: 'A|1', studentId: '1', studentName: '가' },
+    { sessionKey: 'A|2', studentId: '2', studentName: '나' },
+  ];
+  recordModerationFlag(records[0], { id: 'f1', source: 'student', text: '바보', action: 'block' }, NOW);
+  recordModerationFlag(records[1], { id: 'f2', source: 'ai', text: '답변', action: 'flag', stage: '2' }, NOW + 1);
+
+  assert.deepEqual(listModerationFlags(records).map((flag) => flag.id), ['f2', 'f1']);
+  assert.equal(listModerationFlags(records)[0].sourceLabel, 'AI 답변');
+  assert.equal(listModerationFlags(records)[0].stage, 2);
+
+  const reviewed = reviewModerationFlag(records[0], 'f1', { status: 'confirmed', note: ' 상담 필요 ' }, NOW + 2);
+  assert.equal(reviewed.note, '상담 필요');
+  assert.equal(reviewModerationFlag(records[0], 'missing', { status: 'dismissed' }), null);
+  assert.deepEqual(listModerationFlags(records).map((flag) => flag.id), ['f2']);
+  assert.deepEqual(listModerationFlags(records, { status: 'confirmed' }).map((flag) => flag.statusLabel), ['문제 있음']);
+  assert.equal(listModerationFlags(records, { status: 'all' }).length, 2);
+});
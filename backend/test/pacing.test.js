@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assertStageOpen,
+  describePacing,
+  sanitizePacing,
+  stageLock,
+  validatePacing,
+} from '../src/services/pacing.js';
+
+const OPENS_AT = Date.UTC(2025, 2, 3, 0, 50);
+
+const pacing = sanitizePacing({
+  rules: [
+    { stage: 3, group: null, locked: true, opensAt: null },
+    { stage: 3, group: 'b', locked: false },
+    { stage: 4, group: null, locked: true, opensAt: OPENS_AT },
+  ],
+});
+
+test('집단 규칙이 전체 규칙보다 우선한다', () => {
+  assert.deepEqual(stageLock(pacing, 'A', 3, OPENS_AT), { stage: 3, opensAt: null });
+  assert.equal(stageLock(pacing, 'B', 3, OPENS_AT), null);
+  assert.equal(stageLock(pacing, 'A', 2, OPENS_AT), null);
+});
+
+test('열리는 시각이 지나면 잠금이 저절로 풀린다', () => {
+  assert.deepEqual(describePacing(pacing, 'A', OPENS_AT - 1), {
+    3: { opensAt: null },
+    4: { opensAt: OPENS_AT },
+  });
+  assert.deepEqual(describePacing(pacing, 'A', OPENS_AT), { 3: { opensAt: null } });
+});
+
+test('잠긴 단계로 이동하면 열리는 시각(한국 시간)을 알려 주는 403 오류를 던진다', () => {
+  assert.throws(() => assertStageOpen(pacing, { group: 'A' }, 4, OPENS_AT - 1), (err) => {
+    assert.equal(err.status, 403);
+    assert.match(err.message, /^4단계는 아직 잠겨 있습니다\. .*9:50.*에 열립니다\.$/);
+    return true;
+  });
+  assert.throws(() => assertStageOpen(pacing, { group: 'C' }, 3), {
+    status: 403,
+    message: '3단계는 아직 잠겨 있습니다. 선생님이 열어 줄 때까지 기다려 주세요.',
+  });
+  assert.doesNotThrow(() => assertStageOpen(pacing, { group: 'B' }, 3));
+});
+
+test('잘못된 규칙은 저장하지 않고 이전 설정을 유지한다', () => {
+  const invalid = { rules: [{ stage: 9 }, { stage: 2, group: '1반' }, { stage: 2, group: '1반' }, { stage: 1, opensAt: -5 }] };
+  assert.equal(validatePacing(invalid).length, 5);
+  assert.deepEqual(sanitizePacing(invalid, pacing), pacing);
+  assert.deepEqual(sanitizePacing(null, pacing), { rules: [] });
+  assert.deepEqual(pacing.rules.map((rule) => [rule.stage, rule.group, rule.locked]), [
+    [3, null, true],
+    [3, 'B', false],
+    [4, null, true],
+  ]);
+});
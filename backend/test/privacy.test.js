@@ -0,0 +1,165 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  anonymizeMessage,
+  anonymizeSessionRecord,
+  applyRetentionToData,
+  collectIdentities,
+  createPseudonymizer,
+  createScrubber,
+  removeStudentFromData,
+  sanitizePrivacySettings,
+} from '../src/services/privacy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 4, 1);
+
+function sampleData() {
+  return {
+    sessions: [
+      {
+        sessionKey: 'A|10101',
+        group: 'A',
+        studentId: '10101',
+        studentName: '김민준',
+        partnerStudentId: '10102',
+        partnerName: '이서연',
+        roomId: 'room_1',
+        finalText: '민준은 10101번이고 서연이와 토론했다.',
+        updatedAt: NOW - 40 * DAY_MS,
+      },
+      {
+        sessionKey: 'A|10102',
+        group: 'A',
+        studentId: '10102',
+        studentName: '이서연',
+        partnerStudentId: '10101',
+        partnerName: '김민준',
+        roomId: 'room_1',
+        finalText: '최근에 쓴 글',
+        updatedAt: NOW - DAY_MS,
+      },
+    ],
+    roster: { students: [{ id: '10101', name: '김민준' }, { id: '10102', name: '이서연' }], pairings: [] },
+    matchups: [{ studentIdA: '10101', studentIdB: '10102' }],
+    messages: {
+      'ai:A|10101': [{ sessionId: 'ai:A|10101', ts: NOW - 40 * DAY_MS, role: 'user', senderId: '10101', senderName: '김민준', text: '민준입니다' }],
+      'ai:A|10102': [{ sessionId: 'ai:A|10102', ts: NOW - DAY_MS, role: 'user', senderId: '10102', senderName: '이서연', text: '질문' }],
+      room_1: [
+        { sessionId: 'room_1', ts: NOW - 2 * DAY_MS, senderId: '10101', senderName: '김민준', text: '안녕' },
+        { sessionId: 'room_1', ts: NOW - 2 * DAY_MS, senderId: '10102', senderName: '이서연', text: '반가워' },
+      ],
+    },
+  };
+}
+
+function createTools(data, salt = 'test-salt') {
+  const pseudonymize = createPseudonymizer(salt);
+  const scrubber = createScrubber(collectIdentities(data.sessions, data.roster), pseudonymize);
+  return { pseudonymize, scrubber };
+}
+
+test('같은 salt에서는 같은 학생에게 항상 같은 가명을 준다', () => {
+  const first = createPseudonymizer('salt-1');
+  const again = createPseudonymizer('salt-1');
+  const other = createPseudonymizer('salt-2');
+  assert.match(first('10101'), /^S-[0-9A-F]{10}$/);
+  assert.equal(first('10101'), again(' 10101 '));
+  assert.notEqual(first('10101'), first('10102'));
+  assert.notEqual(first('10101'), other('10101'));
+  // 이미 가명인 값은 다시 바꾸지 않음
+  assert.equal(first(first('10101')), first('10101'));
+  assert.equal(first(''), '');
+});
+
+test('본문 속 이름·성을 뺀 이름·식별번호를 가명으로 바꾼다', () => {
+  const data = sampleData();
+  const { pseudonymize, scrubber } = createTools(data);
+  const text = scrubber.text('김민준과 민준이, 10101번은 같은 학생이고 101011은 다른 번호다.');
+  assert.equal(
+    text,
+    `${pseudonymize('10101')}과 ${pseudonymize('10101')}이, ${pseudonymize('10101')}번은 같은 학생이고 101011은 다른 번호다.`
+  );
+});
+
+test('세션 레코드를 가명 처리하면 식별 정보와 글 속 이름이 남지 않는다', () => {
+  const data = sampleData();
+  const { pseudonymize, scrubber } = createTools(data);
+  const record = anonymizeSessionRecord(data.sessions[0], pseudonymize, scrubber, NOW);
+  const pseudonym = pseudonymize('10101');
+  assert.equal(record.sessionKey, `A|${pseudonym}`);
+  assert.equal(record.studentId, pseudonym);
+  assert.equal(record.studentName, pseudonym);
+  assert.equal(record.partnerStudentId, pseudonymize('10102'));
+  assert.equal(record.anonymizedAt, NOW);
+  assert.doesNotMatch(JSON.stringify(record), /김민준|이서연|10101|10102/);
+});
+
+test('AI 답변은 보낸 사람을 그대로 두고 학생 메시지는 보낸 사람도 가명으로 바꾼다', () => {
+  const data = sampleData();
+  const { pseudonymize, scrubber } = createTools(data);
+  const student = anonymizeMessage(data.messages.room_1[0], pseudonymize, scrubber);
+  assert.equal(student.senderId, pseudonymize('10101'));
+  assert.equal(student.senderName, pseudonymize('10101'));
+  assert.equal(student.anonymized, true);
+  const ai = anonymizeMessage({ sessionId: 'ai:A|10101', role: 'ai', text: '김민준 학생, 좋은 질문이에요.' }, pseudonymize, scrubber);
+  assert.equal(ai.text, `${pseudonymize('10101')} 학생, 좋은 질문이에요.`);
+  assert.equal(ai.senderId, undefined);
+});
+
+test('보관 기간이 지난 세션과 그 AI 대화만 가명 처리한다', () => {
+  const data = sampleData();
+  const { pseudonymize, scrubber } = createTools(data);
+  const result = applyRetentionToData(data, {
+    cutoff: NOW - 30 * DAY_MS,
+    action: 'anonymize',
+    pseudonymize,
+    scrubber,
+    now: NOW,
+  });
+  const pseudonym = pseudonymize('10101');
+  assert.deepEqual(result.sessions.map((record) => record.sessionKey), [`A|${pseudonym}`, 'A|10102']);
+  assert.equal(result.sessions[1], data.sessions[1]);
+  assert.equal(result.messages['ai:A|10101'], undefined);
+  assert.equal(result.messages[`ai:A|${pseudonym}`][0].sessionId, `ai:A|${pseudonym}`);
+  assert.equal(result.messages[`ai:A|${pseudonym}`][0].text, `${pseudonym}입니다`);
+  // 최근 대화방은 그대로
+  assert.equal(result.messages.room_1, data.messages.room_1);
+});
+
+test('삭제 정책이면 기간이 지난 세션·대화를 지우고 남은 세션의 동료 정보도 비운다', () => {
+  const data = sampleData();
+  const { pseudonymize, scrubber } = createTools(data);
+  const result = applyRetentionToData(data, {
+    cutoff: NOW - 30 * DAY_MS,
+    action: 'delete',
+    pseudonymize,
+    scrubber,
+    now: NOW,
+  });
+  assert.deepEqual(result.sessions.map((record) => record.sessionKey), ['A|10102']);
+  assert.equal(result.sessions[0].partnerStudentId, '');
+  assert.equal(result.sessions[0].partnerName, '');
+  assert.deepEqual(Object.keys(result.messages).sort(), ['ai:A|10102', 'room_1']);
+});
+
+test('학생 데이터를 지우면 세션·AI 대화·대화방 발언·명단·매칭에서 모두 빠진다', () => {
+  const data = sampleData();
+  const result = removeStudentFromData(data, '10101');
+  assert.deepEqual(result.sessions.map((record) => record.sessionKey), ['A|10102']);
+  assert.equal(result.sessions[0].partnerStudentId, '');
+  assert.equal(result.messages['ai:A|10101'], undefined);
+  assert.deepEqual(result.messages.room_1.map((message) => message.senderId), ['10102']);
+  assert.deepEqual(result.roster.students.map((student) => student.id), ['10102']);
+  assert.deepEqual(result.matchups, []);
+});
+
+test('개인정보 설정은 허용한 값만 받고 비운 salt는 이전 값을 유지한다', () => {
+  const previous = { retentionDays: 30, retentionAction: 'delete', pseudonymSalt: 'kept' };
+  const safe = sanitizePrivacySettings({ retentionDays: -3, retentionAction: 'archive', pseudonymSalt: ' ' }, previous);
+  assert.equal(safe.retentionDays, null);
+  assert.equal(safe.retentionAction, 'delete');
+  assert.equal(safe.pseudonymSalt, 'kept');
+  assert.equal(sanitizePrivacySettings({ retentionDays: '14.7' }).retentionDays, 14);
+  assert.equal(sanitizePrivacySettings(null).retentionAction, 'anonymize');
+});
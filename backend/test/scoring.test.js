@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mockScore, parseScoringReply } from '../src/services/ai/scoring.js';
+import { exampleRubric } from '../src/services/rubric.js';
+
+const rubric = exampleRubric();
+
+function finalTexts(text) {
+  return [{ key: 'final', label: '최종 글', text }];
+}
+
+test('모의 채점은 같은 글에 항상 같은 점수를 준다', () => {
+  const text = '학교는 학생에게 선택권을 주어야 한다. 그 근거는 다음과 같다.';
+  assert.deepEqual(mockScore(rubric, finalTexts(text)), mockScore(rubric, finalTexts(text)));
+});
+
+test('모의 채점은 글이 길수록 높은 수준을 준다', () => {
+  const empty = mockScore(rubric, finalTexts(''));
+  const long = mockScore(rubric, finalTexts('단어 '.repeat(1000)));
+  rubric.criteria.forEach((criterion) => {
+    assert.equal(empty.criteria[criterion.id].score, criterion.levels[0].score);
+    assert.equal(long.criteria[criterion.id].score, criterion.levels[criterion.levels.length - 1].score);
+  });
+});
+
+test('채점 답변의 JSON에서 기준별 점수와 근거를 읽는다', () => {
+  const reply = [
+    '채점 결과입니다.',
+    JSON.stringify({
+      criteria: [
+        { id: 'claim', score: 3, rationale: '입장이 분명하다.' },
+        { id: 'evidence', score: 2, rationale: '근거가 막연하다.' },
+        { id: 'language', score: 4, rationale: '표현이 정확하다.' },
+      ],
+      comment: '근거를 보완하세요.',
+    }),
+  ].join('\n');
+  assert.deepEqual(parseScoringReply(reply, rubric), {
+    criteria: {
+      claim: { score: 3, rationale: '입장이 분명하다.' },
+      evidence: { score: 2, rationale: '근거가 막연하다.' },
+      language: { score: 4, rationale: '표현이 정확하다.' },
+    },
+    comment: '근거를 보완하세요.',
+  });
+});
+
+test('수준에 없는 점수는 가장 가까운 수준으로 맞춘다', () => {
+  const reply = JSON.stringify({
+    criteria: [
+      { id: 'claim', score: 9 },
+      { id: 'evidence', score: 2.4 },
+      { id: 'language', score: -1 },
+    ],
+  });
+  const { criteria } = parseScoringReply(reply, rubric);
+  assert.deepEqual(
+    Object.values(criteria).map((item) => item.score),
+    [4, 2, 1]
+  );
+});
+
+test('JSON이 아니거나 기준이 빠진 답변은 오류를 던진다', () => {
+  assert.throws(() => parseScoringReply('점수를 매길 수 없습니다.', rubric), /JSON/);
+  const missing = JSON.stringify({ criteria: [{ id: 'claim', score: 3 }, { id: 'evidence', score: 2 }] });
+  assert.throws(() => parseScoringReply(missing, rubric), /표현/);
+});
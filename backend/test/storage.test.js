@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EmulatorObjectStore, MAX_WRITE_ATTEMPTS } from '../src/services/storage/object-store.js';
+import { JsonStorageEngine } from '../src/services/storage/json-engine.js';
+
+// 같은 가짜 버킷을 쓰는 두 인스턴스
+async function createInstances() {
+  const objects = new EmulatorObjectStore();
+  await objects.init();
+  const first = new JsonStorageEngine(objects);
+  const second = new JsonStorageEngine(objects);
+  await first.init();
+  await second.init();
+  return { objects, first, second };
+}
+
+test('다른 인스턴스가 먼저 저장하면(412) 최신 값과 병합해 다시 저장한다', async () => {
+  const { first, second } = await createInstances();
+  const base = [{ sessionKey: 'A|1', studentName: '가', stage: 1 }];
+  await first.save('sessions', base);
+  assert.deepEqual(await second.load('sessions', []), base);
+
+  await first.save('sessions', [...base, { sessionKey: 'A|2', studentName: '나', stage: 1 }]);
+  const merged = await second.save('sessions', [{ ...base[0], stage: 2 }]);
+
+  assert.deepEqual(
+    merged.map((record) => [record.sessionKey, record.stage]),
+    [['A|1', 2], ['A|2', 1]]
+  );
+  assert.deepEqual(await first.load('sessions', []), merged);
+});
+
+test('양쪽에서 같은 세션을 고치면 필드 단위로 병합한다', async () => {
+  const { first, second } = await createInstances();
+  await first.save('sessions', [{ sessionKey: 'A|1', draftText: '', finalText: '' }]);
+  await second.load('sessions', []);
+
+  await first.save('sessions', [{ sessionKey: 'A|1', draftText: '초고', finalText: '' }]);
+  const merged = await second.save('sessions', [{ sessionKey: 'A|1', draftText: '', finalText: '최종' }]);
+
+  assert.deepEqual(merged, [{ sessionKey: 'A|1', draftText: '초고', finalText: '최종' }]);
+});
+
+test('충돌이 계속되면 정해진 횟수만 다시 시도하고 409로 실패한다', async () => {
+  const { objects, first } = await createInstances();
+  await first.save('sessions', []);
+  // 저장할 때마다 다른 인스턴스가 먼저 기록하는 버킷
+  const write = objects.write.bind(objects);
+  let attempts = 0;
+  objects.write = async (name, data, options) => {
+    attempts += 1;
+    await write(name, JSON.stringify([{ sessionKey: `B|${attempts}` }]));
+    return write(name, data, options);
+  };
+
+  await assert.rejects(first.save('sessions', [{ sessionKey: 'A|1' }]), { code: 409 });
+  assert.equal(attempts, MAX_WRITE_ATTEMPTS);
+});
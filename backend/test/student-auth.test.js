@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assignPins,
+  carryOverPins,
+  createLoginThrottle,
+  createStudentToken,
+  generatePin,
+  verifyRosterLogin,
+  verifyStudentToken,
+} from '../src/services/student-auth.js';
+
+const SECRET = 'test-secret';
+const NOW = Date.UTC(2025, 2, 3);
+const HOUR_MS = 60 * 60 * 1000;
+
+test('서명이 맞고 만료 전인 토큰에서만 세션 키를 읽는다', () => {
+  const { token, expiresAt } = createStudentToken('A|10101', SECRET, { now: NOW, ttlMs: HOUR_MS });
+  assert.equal(expiresAt, NOW + HOUR_MS);
+  assert.equal(verifyStudentToken(token, SECRET, NOW), 'A|10101');
+  assert.equal(verifyStudentToken(token, SECRET, NOW + HOUR_MS), null);
+  assert.equal(verifyStudentToken(token, 'other-secret', NOW), null);
+  assert.equal(verifyStudentToken('', SECRET, NOW), null);
+  assert.equal(verifyStudentToken('not-a-token', SECRET, NOW), null);
+});
+
+test('세션 키를 바꾼 토큰은 서명이 맞지 않아 거절한다', () => {
+  const { token } = createStudentToken('A|10101', SECRET, { now: NOW, ttlMs: HOUR_MS });
+  const [, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ v: 1, sk: 'A|10102', exp: NOW + HOUR_MS })).toString('base64url');
+  assert.equal(verifyStudentToken(`${forged}.${signature}`, SECRET, NOW), null);
+});
+
+test('PIN은 헷갈리는 글자 없이 6자리로 만든다', () => {
+  for (let i = 0; i < 50; i += 1) {
+    assert.match(generatePin(), /^[A-HJKMNP-Z2-9]{6}$/);
+  }
+});
+
+test('PIN은 없는 학생에게만 발급하고, 다시 발급하거나 명단을 다시 저장할 때 규칙을 지킨다', () => {
+  const roster = { students: [{ id: '10101', name: '김민준', pin: 'ABC234' }, { id: '10102', name: '이서연' }] };
+  const first = assignPins(roster);
+  assert.equal(first.issued, 1);
+  assert.equal(first.roster.students[0].pin, 'ABC234');
+  assert.ok(first.roster.students[1].pin);
+
+  const selected = assignPins(first.roster, { regenerate: true, studentIds: ['10101'] });
+  assert.equal(selected.issued, 1);
+  assert.equal(selected.roster.students[1].pin, first.roster.students[1].pin);
+
+  const carried = carryOverPins([{ id: '10102', name: '이서연' }, { id: '10103', name: '박지호' }], first.roster);
+  assert.equal(carried[0].pin, first.roster.students[1].pin);
+  assert.equal(carried[1].pin, undefined);
+});
+
+test('명단 로그인은 식별 번호·이름·PIN이 모두 맞아야 한다', () => {
+  const roster = { students: [{ id: 'S01', name: '김 민준', pin: 'ABC234' }, { id: 'S02', name: '이서연' }] };
+  assert.equal(verifyRosterLogin(roster, { studentId: 's01', studentName: ' 김  민준 ', pin: 'abc-234' })?.id, 'S01');
+  assert.equal(verifyRosterLogin(roster, { studentId: 'S01', studentName: '김민준', pin: 'ABC234' }), null);
+  assert.equal(verifyRosterLogin(roster, { studentId: 'S01', studentName: '김 민준', pin: 'ABC235' }), null);
+  assert.equal(verifyRosterLogin(roster, { studentId: 'S02', studentName: '이서연', pin: '' }), null);
+  assert.equal(verifyRosterLogin(roster, { studentId: 'S03', studentName: '박지호', pin: 'ABC234' }), null);
+});
+
+test('정해진 횟수만큼 틀리면 남은 시간 동안 로그인을 막는다', () => {
+  const throttle = createLoginThrottle({ maxAttempts: 3, windowMs: 1000 });
+  throttle.fail('A|1', NOW);
+  throttle.fail('A|1', NOW + 100);
+  assert.equal(throttle.retryAfter('A|1', NOW + 200), 0);
+  throttle.fail('A|1', NOW + 200);
+  assert.equal(throttle.retryAfter('A|1', NOW + 300), 700);
+  assert.equal(throttle.retryAfter('A|2', NOW + 300), 0);
+  assert.equal(throttle.retryAfter('A|1', NOW + 1000), 0);
+  throttle.fail('A|1', NOW + 1100);
+  throttle.reset('A|1');
+  assert.equal(throttle.retryAfter('A|1', NOW + 1200), 0);
+});
@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkUsageLimits,
+  createUsageEntry,
+  estimateCost,
+  sanitizeUsageLimits,
+  summarizeUsage,
+  usageDayKey,
+} from '../src/services/ai/usage.js';
+import { EmulatorObjectStore } from '../src/services/storage/object-store.js';
+import { JsonStorageEngine } from '../src/services/storage/json-engine.js';
+
+// 2025-03-03 09:00 (한국 시간)
+const NOW = Date.UTC(2025, 2, 3, 0, 0);
+const HOUR_MS = 60 * 60 * 1000;
+
+function entry(stage, tokens, at = NOW, extra = {}) {
+  return createUsageEntry({ stage, promptTokens: tokens, completionTokens: 0, provider: 'openai', model: 'gpt-4.1-mini', at, ...extra });
+}
+
+test('사용량 항목은 허용된 값으로 정리한다', () => {
+  assert.deepEqual(
+    createUsageEntry({ stage: '2', purpose: 'unknown', promptTokens: -3, completionTokens: 12.6, attempts: 0 }, NOW),
+    {
+      at: NOW,
+      stage: 2,
+      purpose: 'reply',
+      provider: '',
+      model: '',
+      promptTokens: 0,
+      completionTokens: 13,
+      estimated: false,
+      latencyMs: 0,
+      ok: true,
+      attempts: 1,
+    }
+  );
+});
+
+test('차시 한도는 같은 차시 사용량만 센다', () => {
+  const entries = [entry(1, 600), entry(2, 300), entry(2, 200, NOW, { purpose: 'summary' })];
+  const limits = { stageTokens: 500, dayTokens: null };
+  assert.deepEqual(checkUsageLimits(entries, 1, limits, NOW), { scope: 'stage', used: 600, limit: 500 });
+  assert.deepEqual(checkUsageLimits(entries, 2, limits, NOW), { scope: 'stage', used: 500, limit: 500 });
+  assert.equal(checkUsageLimits(entries, 3, limits, NOW), null);
+  assert.equal(checkUsageLimits(entries, 1, null, NOW), null);
+});
+
+test('하루 한도는 한국 시간 날짜로 센다', () => {
+  // 전날 23:30(한국 시간)에 쓴 사용량은 오늘 한도에 들어가지 않음
+  const entries = [entry(1, 400, NOW - 10 * HOUR_MS + HOUR_MS / 2), entry(2, 300, NOW - 8 * HOUR_MS)];
+  assert.equal(usageDayKey(NOW - 10 * HOUR_MS + HOUR_MS / 2), '2025-03-02');
+  assert.equal(usageDayKey(NOW - 8 * HOUR_MS), '2025-03-03');
+  const limits = { stageTokens: null, dayTokens: 300 };
+  assert.deepEqual(checkUsageLimits(entries, 1, limits, NOW), { scope: 'day', used: 300, limit: 300 });
+  assert.equal(checkUsageLimits(entries, 1, { stageTokens: null, dayTokens: 301 }, NOW), null);
+});
+
+test('관리자 화면 합계는 모델·차시·날짜·학생별로 묶는다', () => {
+  const records = [
+    { sessionKey: 'A|1', studentId: '1', studentName: '가' },
+    { sessionKey: 'A|2', studentId: '2', studentName: '나' },
+    { sessionKey: 'A|3', studentId: '3', studentName: '다' },
+  ];
+  const usageByKey = new Map([
+    ['A|1', [entry(1, 1000), entry(1, 0, NOW, { ok: false })]],
+    ['A|2', [entry(2, 3000, NOW, { provider: 'compatible', model: 'llama3' })]],
+  ]);
+  const summary = summarizeUsage(records, usageByKey, NOW);
+  assert.equal(summary.totals.calls, 3);
+  assert.equal(summary.totals.failures, 1);
+  assert.deepEqual(summary.byModel.map((bucket) => [bucket.model, bucket.calls, bucket.priced]), [
+    ['llama3', 1, true],
+    ['gpt-4.1-mini', 2, true],
+  ]);
+  assert.deepEqual(summary.byStage.map((bucket) => bucket.stage), [1, 2]);
+  assert.deepEqual(summary.byStudent.map((student) => [student.sessionKey, student.todayTokens]), [
+    ['A|2', 3000],
+    ['A|1', 1000],
+  ]);
+  assert.equal(summary.today, '2025-03-03');
+});
+
+test('예상 비용은 모델 이름 앞부분으로 가격을 찾고 모르는 모델은 null', () => {
+  assert.equal(estimateCost('openai', 'gpt-4.1-mini-2025-04-14', 1_000_000, 1_000_000), 2);
+  assert.equal(estimateCost('compatible', 'llama3', 1_000_000, 0), 0);
+  assert.equal(estimateCost('openai', 'unknown-model', 10, 10), null);
+});
+
+test('한도 설정은 양의 정수만 받고 나머지는 한도 없음으로 둔다', () => {
+  assert.deepEqual(sanitizeUsageLimits({ stageTokens: '1500.4', dayTokens: 0 }), { stageTokens: 1500, dayTokens: null });
+  assert.deepEqual(sanitizeUsageLimits(null), { stageTokens: null, dayTokens: null });
+});
+
+test('사용량은 세션 레코드가 아니라 세션 키별 로그에 쌓인다', async () => {
+  const objects = new EmulatorObjectStore();
+  const engine = new JsonStorageEngine(objects);
+  await engine.init();
+  await engine.save('sessions', [{ sessionKey: 'A|1' }]);
+  await engine.appendUsage('A|1', [entry(1, 10)]);
+  await engine.appendUsage('A|1', [entry(1, 20)]);
+
+  assert.deepEqual((await engine.listUsage('A|1')).map((item) => item.promptTokens), [10, 20]);
+  assert.deepEqual(await engine.load('sessions', []), [{ sessionKey: 'A|1' }]);
+  assert.deepEqual(await engine.listMessageSessionIds(), []);
+  await engine.deleteUsage(['A|1']);
+  assert.deepEqual(await engine.listUsage('A|1'), []);
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  defaultWorkflow,
+  describeWorkflow,
+  finalStageFor,
+  jumpTarget,
+  nextStage,
+  previousStage,
+  sanitizeWorkflow,
+  stageForSavedField,
+  validateWorkflow,
+} from '../src/services/workflow.js';
+
+const workflow = sanitizeWorkflow(defaultWorkflow());
+
+function session(group, stage, texts = {}) {
+  return { group, stage, preText: '', draftText: '', notesText: '', finalText: '', ...texts };
+}
+
+test('기본 워크플로는 그대로 저장할 수 있다', () => {
+  assert.deepEqual(validateWorkflow(defaultWorkflow()), []);
+});
+
+test('현재 단계의 글을 채우지 않으면 다음 단계로 넘어가지 못하고 안내 문구를 준다', () => {
+  assert.throws(() => nextStage(workflow, session('A', 1)), { status: 400, message: '사전 글쓰기를 먼저 제출하세요.' });
+  assert.equal(nextStage(workflow, session('A', 1, { preText: '사전 글' })), 2);
+});
+
+test('집단에 없는 단계는 건너뛰고 그 단계가 여는 단계로 간다', () => {
+  const texts = { preText: '사전 글', draftText: '초고' };
+  assert.equal(nextStage(workflow, session('A', 2, texts)), 3);
+  assert.equal(nextStage(workflow, session('C', 2, texts)), 4);
+  assert.equal(previousStage(workflow, session('C', 4, texts)), 2);
+  assert.deepEqual(
+    describeWorkflow(workflow, session('C', 2, texts)).stages.map((entry) => entry.stage),
+    [1, 2, 4, 5]
+  );
+});
+
+test('열리지 않은 단계로는 이동하지 못하지만 교사는 강제로 보낼 수 있다', () => {
+  const record = session('A', 1, { preText: '사전 글' });
+  assert.equal(jumpTarget(workflow, record, 2), 2);
+  assert.throws(() => jumpTarget(workflow, record, 4), { message: '2단계 메모를 먼저 저장하세요.' });
+  assert.equal(jumpTarget(workflow, record, 4, { force: true }), 4);
+  assert.throws(() => jumpTarget(workflow, session('C', 1), 3, { force: true }), { message: '해당 집단은 3단계가 없습니다.' });
+});
+
+test('최종 단계는 앞 단계 조건을 모두 채워야 열린다', () => {
+  assert.throws(() => finalStageFor(workflow, session('B', 2, { preText: '사전 글', draftText: '초고' })), {
+    message: '3단계 메모를 먼저 저장하세요.',
+  });
+  assert.equal(
+    finalStageFor(workflow, session('B', 3, { preText: '사전 글', draftText: '초고', notesText: '메모' })),
+    4
+  );
+});
+
+test('글을 저장하면 그 글을 요구하는 단계까지만 이동한다', () => {
+  assert.equal(stageForSavedField(workflow, session('A', 1), 'draftText'), 2);
+  assert.equal(stageForSavedField(workflow, session('A', 3), 'draftText'), null);
+  assert.equal(stageForSavedField(workflow, session('C', 1), 'notesText'), null);
+});
+
+test('관리자가 정한 순서와 조건·안내 문구를 따른다', () => {
+  const custom = sanitizeWorkflow({
+    stages: [
+      { stage: 1, requires: 'draftText', unlocks: [4], requiresMessage: '  초고부터 쓰세요. ' },
+      { stage: 4, requires: null, unlocks: [], final: true },
+    ],
+  });
+  assert.throws(() => nextStage(custom, session('A', 1)), { message: '초고부터 쓰세요.' });
+  assert.equal(nextStage(custom, session('A', 1, { draftText: '초고' })), 4);
+  assert.equal(nextStage(custom, session('A', 4)), null);
+});
+
+test('잘못된 정의는 오류를 모두 알려 주고 저장하지 않는다', () => {
+  const invalid = {
+    stages: [
+      { stage: 1, requires: 'essay', unlocks: [1, 7], final: true },
+      { stage: 1, groups: ['가'], final: true },
+    ],
+  };
+  const errors = validateWorkflow(invalid);
+  assert.equal(errors.length, 6);
+  assert.ok(errors.includes('final 단계는 하나만 지정할 수 있습니다.'));
+  const previous = sanitizeWorkflow({ stages: [{ stage: 2, unlocks: [] }] });
+  assert.deepEqual(sanitizeWorkflow(invalid, previous), previous);
+  assert.equal(sanitizeWorkflow(null, previous), null);
+});